@@ -0,0 +1,179 @@
+/**
+ * Météo des Neiges – Forecast accuracy tracking
+ * Every grid load keeps, per resort, what the forecast said about the next
+ * three days. Once a day is over, the hourly values the later loads report
+ * for it (snowfall, snow depth change, low and high temperature) become the
+ * observation, and the two are compared by lead time: bias and mean error.
+ * Only the grid records: the detail page asks for other hours and variables,
+ * and the stored prediction must not depend on which page was opened first.
+ * Everything stays in this browser.
+ */
+
+'use strict';
+
+const ACCURACY_LEAD_DAYS = [1, 2, 3];
+
+// Days kept, counted back from the last observation
+const ACCURACY_RETENTION_DAYS = 45;
+
+// Compared values, all metric; names are the "reliability.metric.<key>" messages
+const ACCURACY_METRICS = ['snowfallCm', 'depthChangeCm', 'tempMinC', 'tempMaxC'];
+
+function accuracyStorageKey(resort) {
+    return `accuracy:${resort.slug}`;
+}
+
+/**
+ * Saved predictions and observations of a resort.
+ * @returns {{predictions: object, observed: object}}
+ *   predictions: target date → lead ("1"…"3") → values; observed: date → values
+ */
+function loadAccuracyLog(resort) {
+    const stored = readStored(accuracyStorageKey(resort), null);
+    return {
+        predictions: stored && stored.predictions ? stored.predictions : {},
+        observed:    stored && stored.observed ? stored.observed : {},
+    };
+}
+
+/**
+ * Forget a resort's log, e.g. after its coordinates changed.
+ */
+function clearAccuracyLog(resort) {
+    removeStored(accuracyStorageKey(resort));
+}
+
+/* ===========================
+   Day values
+   =========================== */
+
+// "2026-10-18" + 2 → "2026-10-20"
+function addDays(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
+
+function round1(value) {
+    return value == null ? null : Math.round(value * 10) / 10;
+}
+
+/**
+ * Values of one day from the hourly series, when all its 24 hours are there.
+ * @returns {object|null} Keyed by ACCURACY_METRICS; depth change null without snow depth
+ */
+function hourlyDayValues(hourly, date) {
+    if (!hourly || !hourly.time) return null;
+    const hours = [];
+    hourly.time.forEach((time, i) => {
+        if (time.startsWith(date)) hours.push(i);
+    });
+    if (hours.length < 24) return null;
+
+    const pick = key => (hourly[key] ? hours.map(i => hourly[key][i]).filter(v => v != null) : []);
+    const snowfall = pick('snowfall');
+    const temps = pick('temperature_2m');
+    const depthM = hourly.snow_depth ? [hourly.snow_depth[hours[0]], hourly.snow_depth[hours[hours.length - 1]]] : [];
+    return {
+        snowfallCm:    snowfall.length ? round1(snowfall.reduce((a, b) => a + b, 0)) : null,
+        depthChangeCm: depthM.length && !depthM.includes(null) ? round1((depthM[1] - depthM[0]) * 100) : null,
+        tempMinC:      temps.length ? round1(Math.min(...temps)) : null,
+        tempMaxC:      temps.length ? round1(Math.max(...temps)) : null,
+    };
+}
+
+/**
+ * Forecast values of a future day: daily aggregates, plus the snow depth
+ * change when the hourly forecast covers the whole day. The grid asks for
+ * 168 forecast hours, so every lead day has it; records saved while it asked
+ * for 72 lack it at D+3 and are simply left out of that metric.
+ */
+function forecastDayValues(data, date) {
+    const i = data.daily.time.indexOf(date);
+    if (i < 0) return null;
+    const pick = key => (data.daily[key] ? round1(data.daily[key][i] ?? null) : null);
+    const hourly = hourlyDayValues(data.hourly, date);
+    return {
+        snowfallCm:    pick('snowfall_sum'),
+        depthChangeCm: hourly ? hourly.depthChangeCm : null,
+        tempMinC:      pick('temperature_2m_min'),
+        tempMaxC:      pick('temperature_2m_max'),
+    };
+}
+
+/* ===========================
+   Recording
+   =========================== */
+
+/**
+ * Add one forecast to a resort's log: the first prediction of the day for
+ * each lead time, and the observation of every finished day in the hourly
+ * history.
+ * @param {object} resort
+ * @param {object} data  API response (base band) with current_weather, hourly and daily
+ */
+function recordForecast(resort, data) {
+    if (!data || !data.current_weather || !data.daily || !data.daily.time) return;
+    // Resort-local date of the forecast run, as the API reports it
+    const today = data.current_weather.time.slice(0, 10);
+    const log = loadAccuracyLog(resort);
+
+    ACCURACY_LEAD_DAYS.forEach(lead => {
+        const target = addDays(today, lead);
+        const values = forecastDayValues(data, target);
+        if (!values) return;
+        const byLead = log.predictions[target] || (log.predictions[target] = {});
+        if (!byLead[lead]) byLead[lead] = values;
+    });
+
+    const pastDays = new Set((data.hourly ? data.hourly.time : []).map(time => time.slice(0, 10)));
+    pastDays.forEach(date => {
+        if (date >= today) return;
+        const values = hourlyDayValues(data.hourly, date);
+        if (values) log.observed[date] = values;
+    });
+
+    const oldest = addDays(today, -ACCURACY_RETENTION_DAYS);
+    Object.keys(log.predictions).forEach(date => { if (date < oldest) delete log.predictions[date]; });
+    Object.keys(log.observed).forEach(date => { if (date < oldest) delete log.observed[date]; });
+
+    writeStored(accuracyStorageKey(resort), log);
+}
+
+/**
+ * Record the forecasts of a grid load.
+ * @param {object[]} entries  {resort, data, savedAt}; cached copies are skipped
+ */
+function recordForecasts(entries) {
+    entries.forEach(({ resort, data, savedAt }) => {
+        if (data && !savedAt) recordForecast(resort, data);
+    });
+}
+
+/* ===========================
+   Scoring
+   =========================== */
+
+/**
+ * Bias (forecast − observed, mean) and mean absolute error of a resort, per
+ * lead time and metric.
+ * @returns {object} lead → metric → {bias, mae, count}|null
+ */
+function accuracyStats(resort) {
+    const log = loadAccuracyLog(resort);
+    return Object.fromEntries(ACCURACY_LEAD_DAYS.map(lead => [lead, Object.fromEntries(ACCURACY_METRICS.map(metric => {
+        const errors = Object.entries(log.predictions)
+            .map(([date, byLead]) => {
+                const predicted = byLead[lead] ? byLead[lead][metric] : null;
+                const observed = log.observed[date] ? log.observed[date][metric] : null;
+                return predicted != null && observed != null ? predicted - observed : null;
+            })
+            .filter(error => error != null);
+        if (errors.length === 0) return [metric, null];
+        return [metric, {
+            bias:  errors.reduce((a, b) => a + b, 0) / errors.length,
+            mae:   errors.reduce((a, b) => a + Math.abs(b), 0) / errors.length,
+            count: errors.length,
+        }];
+    }))]));
+}
@@ -0,0 +1,504 @@
+/**
+ * Météo des Neiges – Powder alerts
+ * User-defined rules ("≥ 20 cm de neige fraîche à Verbier", "vent ≤ 30 km/h
+ * et soleil samedi", "note Excellentes") checked after every grid refresh.
+ * A rule fires once when it starts matching for a resort and day, through a
+ * browser notification and an entry in the in-page alert centre.
+ * Rules, matching state and history are kept in localStorage.
+ */
+
+'use strict';
+
+const ALERT_RULES_KEY   = 'alertRules';
+const ALERT_STATE_KEY   = 'alertState';
+const ALERT_HISTORY_KEY = 'alertHistory';
+
+// Fired alerts kept in the history, newest first
+const ALERT_HISTORY_MAX = 50;
+
+// Days a rule can target, named by the "alerts.day.<id>" messages; daily
+// targets only match once they are inside the grid forecast
+const ALERT_DAYS = ['now', 'd0', 'd1', 'd2', 'sat', 'sun'];
+
+const WEEKDAY_TARGETS = { sat: 6, sun: 0 };
+
+/**
+ * Conditions a rule can combine. `read` gets rateConditions()-style
+ * conditions plus the rating; `describe` renders the condition of a rule.
+ */
+const ALERT_METRICS = {
+    freshSnow: {
+        read:     c => c.freshSnowCm,
+        describe: (op, v) => t('alerts.freshSnow', { value: `${op === '>=' ? '≥' : '≤'} ${formatDepth(v)}` }),
+        format:   c => t('alerts.freshSnow', { value: formatDepth(c.freshSnowCm) }),
+    },
+    wind: {
+        read:     c => c.windKmh,
+        describe: (op, v) => t('reason.wind', { value: `${op === '>=' ? '≥' : '≤'} ${formatWind(v)}` }),
+        format:   c => t('reason.wind', { value: formatWind(c.windKmh) }),
+    },
+    snowDepth: {
+        read:     c => c.snowDepthCm,
+        describe: (op, v) => t('reason.snowpack', { value: `${op === '>=' ? '≥' : '≤'} ${formatDepth(v)}` }),
+        format:   c => t('reason.snowpack', { value: formatDepth(c.snowDepthCm) }),
+    },
+    sunny: {
+        read:     c => (c.code != null ? SUN_CODES.includes(c.code) : null),
+        describe: () => t('reason.sunny'),
+        format:   c => weatherInfo(c.code).desc,
+    },
+    rating: {
+        // Rank so that "≥ good" also matches "excellent"
+        read:     (c, rating) => RATING_LEVELS.length - RATING_LEVELS.findIndex(l => l.key === rating.key),
+        describe: (op, v) => t(v === 'excellent' ? 'alerts.rating' : 'alerts.ratingOrBetter', { label: RATINGS[v] ? ratingLabel(v) : v }),
+        format:   (c, rating) => t('alerts.rating', { label: rating.label }),
+    },
+};
+
+/* ===========================
+   Rules storage
+   =========================== */
+
+/**
+ * @returns {object[]} Stored rules: {id, scope, day, band, conditions: [{metric, op, value}]}
+ */
+function getAlertRules() {
+    const rules = readStored(ALERT_RULES_KEY, []);
+    return Array.isArray(rules) ? rules : [];
+}
+
+function saveAlertRules(rules) {
+    writeStored(ALERT_RULES_KEY, rules);
+}
+
+/**
+ * Add a rule and return it with its generated id.
+ */
+function addAlertRule(rule) {
+    const stored = { ...rule, id: `r${Date.now().toString(36)}` };
+    saveAlertRules([...getAlertRules(), stored]);
+    return stored;
+}
+
+function removeAlertRule(id) {
+    saveAlertRules(getAlertRules().filter(r => r.id !== id));
+}
+
+/**
+ * @returns {object[]} Fired alerts, newest first: {id, ruleId, slug, title, body, firedAt, read}
+ */
+function getAlertHistory() {
+    const history = readStored(ALERT_HISTORY_KEY, []);
+    return Array.isArray(history) ? history : [];
+}
+
+function saveAlertHistory(history) {
+    writeStored(ALERT_HISTORY_KEY, history.slice(0, ALERT_HISTORY_MAX));
+}
+
+/* ===========================
+   Rule evaluation
+   =========================== */
+
+/**
+ * Whether a rule's scope ("all", "country:Suisse", "region:Valais",
+ * "resort:verbier") covers a resort.
+ */
+function ruleAppliesTo(rule, resort) {
+    if (rule.scope === 'all') return true;
+    const [type, value] = rule.scope.split(':');
+    if (type === 'country') return resort.country === value;
+    if (type === 'region')  return resort.region === value;
+    if (type === 'resort')  return resort.slug === value;
+    return false;
+}
+
+/**
+ * Index in `daily.time` of a rule's target day.
+ * @returns {number} -1 when the day is not in the forecast
+ */
+function alertDayIndex(daily, day) {
+    if (!daily || !daily.time) return -1;
+    if (day in WEEKDAY_TARGETS) {
+        return daily.time.findIndex(date => new Date(`${date}T12:00:00`).getDay() === WEEKDAY_TARGETS[day]);
+    }
+    const i = Number(day.slice(1));
+    return i < daily.time.length ? i : -1;
+}
+
+/**
+ * Conditions of one API response for a rule's target day.
+ * @returns {{date: string, conditions: object, rating: object}|null} null when the day is out of range
+ */
+function alertSnapshot(data, day) {
+    if (day === 'now') {
+        const conditions = conditionsFromForecast(data);
+        return { date: 'now', conditions, rating: rateConditions(conditions) };
+    }
+    const i = alertDayIndex(data.daily, day);
+    if (i < 0) return null;
+    const conditions = conditionsFromDaily(data, i, currentSnowDepthCm(data.hourly));
+    return { date: data.daily.time[i], conditions, rating: rateConditions(conditions) };
+}
+
+/**
+ * Whether every condition of a rule holds for a snapshot.
+ */
+function ruleMatches(rule, snapshot) {
+    return rule.conditions.every(({ metric, op, value }) => {
+        const def = ALERT_METRICS[metric];
+        if (!def) return false;
+        const actual = def.read(snapshot.conditions, snapshot.rating);
+        if (actual == null) return false;
+        if (metric === 'sunny') return actual === true;
+        const target = metric === 'rating' ? def.read(null, { key: value }) : value;
+        return op === '<=' ? actual <= target : actual >= target;
+    });
+}
+
+/**
+ * One-line description of a rule, e.g. "≥ 20 cm de neige fraîche · samedi · Verbier".
+ * @param {object}   rule
+ * @param {object[]} resorts  Used to show resort names instead of slugs
+ */
+function describeAlertRule(rule, resorts = []) {
+    const parts = rule.conditions.map(c => ALERT_METRICS[c.metric].describe(c.op, c.value));
+    let where = t('alerts.allResorts');
+    if (rule.scope !== 'all') {
+        const [type, value] = rule.scope.split(':');
+        const resort = type === 'resort' ? resorts.find(r => r.slug === value) : null;
+        where = resort ? resort.name : value;
+        if (type === 'country') where = countryName(value);
+    }
+    const band = rule.band === 'summit' ? ` · ${t('alerts.atSummit')}` : '';
+    return `${parts.join(` ${t('alerts.and')} `)} · ${t(`alerts.day.${rule.day}`)}${band} · ${where}`;
+}
+
+/**
+ * Check every rule against the grid entries and fire the ones that start
+ * matching. Entries served from the offline cache are skipped and keep their
+ * previous state, so a rule does not fire again when the network comes back.
+ * @param {object[]} entries  `allCards` entries: {resort, bands, savedAt}
+ * @returns {object[]} Alerts fired by this check
+ */
+function checkAlerts(entries) {
+    const rules = getAlertRules();
+    const previous = new Set(readStored(ALERT_STATE_KEY, []));
+    const next = new Set();
+    const fired = [];
+
+    rules.forEach(rule => entries.forEach(({ resort, bands, savedAt }) => {
+        if (!ruleAppliesTo(rule, resort)) return;
+        const prefix = `${rule.id}|${resort.slug}|`;
+        if (!bands || savedAt) {
+            previous.forEach(key => { if (key.startsWith(prefix)) next.add(key); });
+            return;
+        }
+        const data = bands[rule.band] || bands.base;
+        const snapshot = data ? alertSnapshot(data, rule.day) : null;
+        if (!snapshot || !ruleMatches(rule, snapshot)) return;
+
+        const key = prefix + snapshot.date;
+        next.add(key);
+        if (previous.has(key)) return;
+
+        const observed = rule.conditions.map(c => ALERT_METRICS[c.metric].format(snapshot.conditions, snapshot.rating));
+        const when = snapshot.date === 'now'
+            ? t('alerts.day.now')
+            : `${t(`alerts.day.${rule.day}`)} ${shortDay(snapshot.date)} ${snapshot.date.slice(8)}`;
+        fired.push({
+            id:      `${key}|${Date.now()}`,
+            ruleId:  rule.id,
+            slug:    resort.slug,
+            title:   `❄️ ${resort.name} – ${when}`,
+            body:    observed.join(', '),
+            firedAt: Date.now(),
+            read:    false,
+        });
+    }));
+
+    writeStored(ALERT_STATE_KEY, [...next]);
+    if (fired.length > 0) {
+        saveAlertHistory([...fired, ...getAlertHistory()]);
+        fired.forEach(showAlertNotification);
+    }
+    updateAlertBadge();
+    return fired;
+}
+
+/* ===========================
+   Notifications
+   =========================== */
+
+/**
+ * Ask for notification permission; only call from a user gesture.
+ */
+function requestAlertPermission() {
+    if (!('Notification' in window) || Notification.permission !== 'default') return;
+    Notification.requestPermission().catch(() => { /* user dismissed */ });
+}
+
+/**
+ * Browser notification for a fired alert. Mobile browsers only allow them
+ * through the service worker, so fall back to it when the constructor throws.
+ */
+function showAlertNotification(alert) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    const options = { body: alert.body, tag: alert.id, icon: 'icons/icon-192.png' };
+    try {
+        new Notification(alert.title, options);
+    } catch (_err) {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.ready
+                .then(reg => reg.showNotification(alert.title, options))
+                .catch(() => { /* in-page alert centre still has it */ });
+        }
+    }
+}
+
+/* ===========================
+   Alert centre
+   =========================== */
+let alertEntriesProvider = () => [];
+
+function updateAlertBadge() {
+    const badge = document.getElementById('alertsCount');
+    const btn = document.getElementById('alertsBtn');
+    if (!badge || !btn) return;
+    const unread = getAlertHistory().filter(a => !a.read).length;
+    badge.textContent = unread > 0 ? String(unread) : '';
+    badge.classList.toggle('hidden', unread === 0);
+    btn.setAttribute('aria-label', unread > 0 ? t('alerts.unread', { count: unread }) : t('alerts.button'));
+}
+
+function buildAlertHistory(resorts) {
+    const section = el('section', { cls: ['alerts-section'], attrs: { 'aria-labelledby': 'alertsHistoryTitle' } });
+    const head = el('div', { cls: ['alerts-section-head'] });
+    head.appendChild(el('h3', { text: t('alerts.historyTitle'), attrs: { id: 'alertsHistoryTitle' } }));
+    const history = getAlertHistory();
+    if (history.length > 0) {
+        const clearBtn = el('button', { cls: ['compare-clear-btn'], text: t('alerts.clearHistory') });
+        clearBtn.addEventListener('click', () => {
+            saveAlertHistory([]);
+            renderAlertCentre();
+        });
+        head.appendChild(clearBtn);
+    }
+    section.appendChild(head);
+
+    if (history.length === 0) {
+        section.appendChild(el('p', { cls: ['alerts-empty'], text: t('alerts.noAlerts') }));
+        return section;
+    }
+    const list = el('ul', { cls: ['alerts-history'] });
+    history.forEach(alert => {
+        const item = el('li', { cls: ['alerts-history-item', alert.read ? 'read' : 'unread'] });
+        const resort = resorts.find(r => r.slug === alert.slug);
+        const title = resort
+            ? el('a', { text: alert.title, attrs: { href: resortDetailUrl(resort) } })
+            : el('span', { text: alert.title });
+        title.classList.add('alerts-history-title');
+        item.appendChild(title);
+        item.appendChild(el('span', { cls: ['alerts-history-body'], text: alert.body }));
+        const firedAt = new Date(alert.firedAt);
+        item.appendChild(el('time', {
+            cls:   ['alerts-history-time'],
+            text:  formatDateTime(firedAt),
+            attrs: { datetime: firedAt.toISOString() },
+        }));
+        list.appendChild(item);
+    });
+    section.appendChild(list);
+    return section;
+}
+
+function buildAlertRules(resorts) {
+    const section = el('section', { cls: ['alerts-section'], attrs: { 'aria-labelledby': 'alertsRulesTitle' } });
+    section.appendChild(el('h3', { text: t('alerts.rulesTitle'), attrs: { id: 'alertsRulesTitle' } }));
+    const rules = getAlertRules();
+    if (rules.length === 0) {
+        section.appendChild(el('p', { cls: ['alerts-empty'], text: t('alerts.noRules') }));
+        return section;
+    }
+    const list = el('ul', { cls: ['alerts-rules'] });
+    rules.forEach(rule => {
+        const item = el('li', { cls: ['alerts-rule'] });
+        const text = describeAlertRule(rule, resorts);
+        item.appendChild(el('span', { text }));
+        const removeBtn = el('button', {
+            cls:   ['compare-clear-btn'],
+            text:  t('alerts.delete'),
+            attrs: { 'aria-label': t('alerts.deleteAria', { rule: text }) },
+        });
+        removeBtn.addEventListener('click', () => {
+            removeAlertRule(rule.id);
+            renderAlertCentre();
+        });
+        item.appendChild(removeBtn);
+        list.appendChild(item);
+    });
+    section.appendChild(list);
+    return section;
+}
+
+/**
+ * <select> helper: options are [value, label] pairs or {group, options} blocks.
+ */
+function buildAlertSelect(id, options) {
+    const select = el('select', { cls: ['profile-select'], attrs: { id } });
+    const addOptions = (parent, list) => list.forEach(([value, label]) => {
+        parent.appendChild(el('option', { text: label, attrs: { value } }));
+    });
+    options.forEach(opt => {
+        if (Array.isArray(opt)) {
+            addOptions(select, [opt]);
+            return;
+        }
+        const group = el('optgroup', { attrs: { label: opt.group } });
+        addOptions(group, opt.options);
+        select.appendChild(group);
+    });
+    return select;
+}
+
+function buildAlertField(labelText, control) {
+    const field = el('div', { cls: ['alerts-field'] });
+    field.appendChild(el('label', { text: labelText, attrs: { for: control.id } }));
+    field.appendChild(control);
+    return field;
+}
+
+function buildNumberInput(id, placeholder) {
+    return el('input', { cls: ['search-input'], attrs: { id, type: 'number', inputmode: 'numeric', min: '0', placeholder } });
+}
+
+function buildAlertForm(resorts) {
+    const form = el('form', { cls: ['alerts-section', 'alerts-form'], attrs: { 'aria-labelledby': 'alertsFormTitle' } });
+    form.appendChild(el('h3', { text: t('alerts.formTitle'), attrs: { id: 'alertsFormTitle' } }));
+
+    const regions = [...new Set(resorts.map(r => r.region).filter(Boolean))].sort((a, b) => a.localeCompare(b, getLocale()));
+    const scope = buildAlertSelect('alertScope', [
+        ['all', t('alerts.allResortsOption')],
+        { group: t('alerts.countries'), options: RESORT_COUNTRIES.map(c => [`country:${c}`, countryName(c)]) },
+        { group: t('alerts.regions'), options: regions.map(r => [`region:${r}`, r]) },
+        { group: t('alerts.resorts'), options: resorts.map(r => [`resort:${r.slug}`, r.name]) },
+    ]);
+    const day = buildAlertSelect('alertDay', ALERT_DAYS.map(id => [id, t(`alerts.day.${id}`)]));
+    const band = buildAlertSelect('alertBand', ['base', 'summit'].map(id => [id, t(`band.${id}`)]));
+    const freshSnow = buildNumberInput('alertFreshSnow', t('alerts.example', { value: 20 }));
+    const wind = buildNumberInput('alertWind', t('alerts.example', { value: 30 }));
+    const snowDepth = buildNumberInput('alertSnowDepth', t('alerts.example', { value: 100 }));
+    const rating = buildAlertSelect('alertRating', [
+        ['', '—'],
+        ...RATING_LEVELS.filter(l => l.key !== 'poor').map(l => [l.key, t('alerts.orBetter', { label: ratingLabel(l.key) })]),
+    ]);
+    const sunny = el('input', { attrs: { id: 'alertSunny', type: 'checkbox' } });
+
+    const grid = el('div', { cls: ['alerts-form-grid'] });
+    grid.appendChild(buildAlertField(t('alerts.where'), scope));
+    grid.appendChild(buildAlertField(t('alerts.when'), day));
+    grid.appendChild(buildAlertField(t('alerts.altitude'), band));
+    grid.appendChild(buildAlertField(t('alerts.freshSnowField', { unit: unitLabel('depth') }), freshSnow));
+    grid.appendChild(buildAlertField(t('alerts.windField', { unit: unitLabel('wind') }), wind));
+    grid.appendChild(buildAlertField(t('alerts.snowDepthField', { unit: unitLabel('depth') }), snowDepth));
+    grid.appendChild(buildAlertField(t('alerts.ratingField'), rating));
+    const sunnyField = el('div', { cls: ['alerts-field', 'alerts-field-check'] });
+    sunnyField.appendChild(sunny);
+    sunnyField.appendChild(el('label', { text: t('alerts.sunnyField'), attrs: { for: 'alertSunny' } }));
+    grid.appendChild(sunnyField);
+    form.appendChild(grid);
+
+    const error = el('p', { cls: ['alerts-form-error', 'hidden'], attrs: { role: 'alert' } });
+    form.appendChild(error);
+    form.appendChild(el('button', { cls: ['compare-action-btn'], text: t('alerts.addRule'), attrs: { type: 'submit' } }));
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const conditions = [];
+        // Typed in the display unit, stored metric
+        const numeric = (input, metric, op, kind) => {
+            if (input.value === '') return true;
+            const value = Number(input.value);
+            if (!Number.isFinite(value) || value < 0) return false;
+            conditions.push({ metric, op, value: Math.round(toMetric(kind, value) * 10) / 10 });
+            return true;
+        };
+        const valid = numeric(freshSnow, 'freshSnow', '>=', 'depth')
+            && numeric(wind, 'wind', '<=', 'wind')
+            && numeric(snowDepth, 'snowDepth', '>=', 'depth');
+        if (sunny.checked) conditions.push({ metric: 'sunny', op: '=', value: true });
+        if (rating.value) conditions.push({ metric: 'rating', op: '>=', value: rating.value });
+
+        if (!valid || conditions.length === 0) {
+            error.textContent = valid
+                ? t('alerts.errorEmpty')
+                : t('alerts.errorNumber');
+            error.classList.remove('hidden');
+            return;
+        }
+
+        requestAlertPermission();
+        addAlertRule({ scope: scope.value, day: day.value, band: band.value, conditions });
+        checkAlerts(alertEntriesProvider());
+        renderAlertCentre();
+    });
+    return form;
+}
+
+/**
+ * (Re)build the alert centre content. Opening it marks every alert as read.
+ */
+function renderAlertCentre() {
+    const container = document.getElementById('alertsContainer');
+    if (!container) return;
+    const resorts = alertEntriesProvider().map(entry => entry.resort);
+
+    container.textContent = '';
+    container.appendChild(buildAlertHistory(resorts));
+    container.appendChild(buildAlertRules(resorts));
+    container.appendChild(buildAlertForm(resorts));
+
+    saveAlertHistory(getAlertHistory().map(a => ({ ...a, read: true })));
+    updateAlertBadge();
+}
+
+function openAlertCentre() {
+    const modal = document.getElementById('alertsModal');
+    if (!modal) return;
+    renderAlertCentre();
+    modal.classList.remove('hidden');
+    const closeBtn = document.getElementById('alertsModalClose');
+    if (closeBtn) closeBtn.focus();
+}
+
+function closeAlertCentre() {
+    const modal = document.getElementById('alertsModal');
+    if (modal) modal.classList.add('hidden');
+}
+
+/**
+ * Wire the header button and the alert centre dialog.
+ * @param {Function} getEntries  Returns the current grid entries ({resort, bands, savedAt})
+ */
+function initAlertCentre(getEntries) {
+    alertEntriesProvider = getEntries;
+
+    const btn = document.getElementById('alertsBtn');
+    if (btn) btn.addEventListener('click', openAlertCentre);
+
+    const closeBtn = document.getElementById('alertsModalClose');
+    if (closeBtn) closeBtn.addEventListener('click', closeAlertCentre);
+
+    const overlay = document.getElementById('alertsModal');
+    if (overlay) {
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) closeAlertCentre();
+        });
+    }
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeAlertCentre();
+    });
+
+    updateAlertBadge();
+}
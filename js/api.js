@@ -0,0 +1,231 @@
+/**
+ * Météo des Neiges – Open-Meteo fetch layer
+ * Groups several resorts (and their elevation bands) into multi-location
+ * requests, retries with exponential backoff on 429 / 5xx and falls back to
+ * one request per resort when a batch keeps failing.
+ */
+
+'use strict';
+
+const API_BASE = 'https://api.open-meteo.com/v1/forecast';
+
+// Open-Meteo accepts comma-separated coordinates. Each location adds ~45
+// encoded characters on top of the hourly/daily lists, so batches are sized
+// by the length of the URL they build rather than by a location count.
+const MAX_URL_LENGTH = 2000;
+
+const RETRY_ATTEMPTS      = 4;     // first try + 3 retries
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS  = 8000;
+
+/* ===========================
+   Retry with backoff
+   =========================== */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Status codes worth retrying: rate limiting and server-side failures.
+ * @param {number} status
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Delay before the next attempt: exponential backoff with full jitter, or the
+ * server's Retry-After (in seconds) when it sends one.
+ * @param {number}      attempt     0 for the first retry
+ * @param {string|null} retryAfter  Retry-After header value
+ * @returns {number} Milliseconds
+ */
+function backoffDelay(attempt, retryAfter) {
+    const seconds = Number(retryAfter);
+    if (retryAfter && Number.isFinite(seconds) && seconds >= 0) {
+        return Math.min(seconds * 1000, RETRY_MAX_DELAY_MS);
+    }
+    const cap = Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, RETRY_MAX_DELAY_MS);
+    return Math.round(Math.random() * cap);
+}
+
+/**
+ * GET a JSON document, retrying network errors, 429 and 5xx responses.
+ * Other HTTP errors (e.g. 400 for a bad parameter) fail immediately.
+ * @param {string} url
+ * @returns {Promise<*>}
+ */
+async function fetchJsonWithRetry(url) {
+    let lastError = null;
+
+    for (let attempt = 0; attempt < RETRY_ATTEMPTS; attempt++) {
+        let retryAfter = null;
+        try {
+            const response = await fetch(url);
+            if (response.ok) return await response.json();
+
+            lastError = new Error(`HTTP ${response.status}`);
+            lastError.status = response.status;
+            if (!isRetryableStatus(response.status)) throw lastError;
+            retryAfter = response.headers ? response.headers.get('Retry-After') : null;
+        } catch (err) {
+            // fetch() rejects with a TypeError on network failure – retry those too
+            if (err === lastError) throw err;
+            lastError = err;
+        }
+
+        if (attempt < RETRY_ATTEMPTS - 1) await sleep(backoffDelay(attempt, retryAfter));
+    }
+
+    throw lastError;
+}
+
+/* ===========================
+   Multi-location requests
+   =========================== */
+
+/**
+ * Build a forecast URL for several resorts at once: one location per
+ * (resort, elevation band) pair, in resort order then band order.
+ * @param {object[]} resorts
+ * @param {string[]} bandIds  Ids from ELEVATION_BANDS
+ * @param {object}   params   Open-Meteo query parameters shared by every location
+ * @returns {string}
+ */
+function buildForecastUrl(resorts, bandIds, params) {
+    const locations = resorts.flatMap(resort =>
+        resortBands(resort, bandIds).map(band => ({ resort, elevation: band.elevation }))
+    );
+    const query = new URLSearchParams({
+        latitude:  locations.map(l => l.resort.lat).join(','),
+        longitude: locations.map(l => l.resort.lon).join(','),
+        elevation: locations.map(l => l.elevation).join(','),
+        timezone:  locations.map(l => l.resort.timezone).join(','),
+        ...params,
+    });
+    return `${API_BASE}?${query.toString()}`;
+}
+
+/**
+ * Split an Open-Meteo multi-location response back into one entry per band.
+ * The API answers with a plain object for one location and an array otherwise.
+ * @param {string[]}        bandIds  Band keys, in request order
+ * @param {object|object[]} json     Parsed API response for one resort
+ * @returns {object} Map of band id → single-location response
+ */
+function splitBandResponse(bandIds, json) {
+    const list = Array.isArray(json) ? json : [json];
+    if (list.length !== bandIds.length) throw new Error('Réponse Open-Meteo incomplète');
+    return Object.fromEntries(bandIds.map((id, i) => [id, list[i]]));
+}
+
+/**
+ * Group resorts so that no request URL exceeds MAX_URL_LENGTH.
+ * A resort's bands always stay in the same request; a resort whose URL is
+ * too long on its own still gets a request of its own.
+ */
+function chunkResorts(resorts, bandIds, params) {
+    const chunks = [];
+    let current = [];
+    resorts.forEach(resort => {
+        if (current.length > 0 && buildForecastUrl([...current, resort], bandIds, params).length > MAX_URL_LENGTH) {
+            chunks.push(current);
+            current = [];
+        }
+        current.push(resort);
+    });
+    if (current.length > 0) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * Fetch each resort on its own, one after another.
+ * @returns {Promise<object[]>} Settled results, aligned with `resorts`
+ */
+async function fetchEachResort(resorts, bandIds, params) {
+    const results = [];
+    for (const resort of resorts) {
+        try {
+            const json = await fetchJsonWithRetry(buildForecastUrl([resort], bandIds, params));
+            results.push({ status: 'fulfilled', value: splitBandResponse(bandIds, json) });
+        } catch (err) {
+            results.push({ status: 'rejected', reason: err });
+        }
+    }
+    return results;
+}
+
+/**
+ * Fetch one batch; if it still fails after its retries, fetch each resort on
+ * its own so a single bad request does not blank the whole grid. A rate limit
+ * (429) or a network error would hit every resort alike, so those fail the
+ * whole batch without the fallback.
+ * @returns {Promise<object[]>} Settled results, aligned with `resorts`
+ */
+async function fetchBatch(resorts, bandIds, params) {
+    let json;
+    try {
+        json = await fetchJsonWithRetry(buildForecastUrl(resorts, bandIds, params));
+    } catch (batchError) {
+        if (resorts.length === 1 || batchError.status === 429 || !batchError.status) {
+            return resorts.map(() => ({ status: 'rejected', reason: batchError }));
+        }
+        return fetchEachResort(resorts, bandIds, params);
+    }
+
+    const list = Array.isArray(json) ? json : [json];
+    if (list.length !== resorts.length * bandIds.length) {
+        if (resorts.length === 1) return [{ status: 'rejected', reason: new Error('Réponse Open-Meteo incomplète') }];
+        return fetchEachResort(resorts, bandIds, params);
+    }
+    return resorts.map((_resort, i) => ({
+        status: 'fulfilled',
+        value:  splitBandResponse(bandIds, list.slice(i * bandIds.length, (i + 1) * bandIds.length)),
+    }));
+}
+
+/**
+ * Fetch forecasts for many resorts in as few requests as possible.
+ * Batches run one after another to stay gentle with the shared rate limit.
+ * @param {object[]} resorts
+ * @param {string[]} bandIds  Ids from ELEVATION_BANDS to fetch for each resort
+ * @param {object}   params   Open-Meteo query parameters (hourly, daily, …)
+ * @returns {Promise<object[]>} Promise.allSettled-style results aligned with
+ *   `resorts`; each fulfilled value maps band id → API response
+ */
+async function fetchForecasts(resorts, bandIds, params) {
+    const results = [];
+    for (const chunk of chunkResorts(resorts, bandIds, params)) {
+        results.push(...await fetchBatch(chunk, bandIds, params));
+    }
+    return results;
+}
+
+/* ===========================
+   Historical archive
+   =========================== */
+const ARCHIVE_API_BASE = 'https://archive-api.open-meteo.com/v1/archive';
+
+/**
+ * Fetch past weather of one location from the archive endpoint (reanalysis,
+ * available with a few days of delay).
+ * @param {object} resort
+ * @param {number} elevation  Metres
+ * @param {string} startDate  YYYY-MM-DD
+ * @param {string} endDate    YYYY-MM-DD
+ * @param {object} params     Open-Meteo query parameters (hourly, daily, …)
+ * @returns {Promise<object>}
+ */
+function fetchArchive(resort, elevation, startDate, endDate, params) {
+    const query = new URLSearchParams({
+        latitude:   resort.lat,
+        longitude:  resort.lon,
+        elevation,
+        timezone:   resort.timezone,
+        start_date: startDate,
+        end_date:   endDate,
+        ...params,
+    });
+    return fetchJsonWithRetry(`${ARCHIVE_API_BASE}?${query}`);
+}
@@ -6,154 +6,25 @@
 
 'use strict';
 
-/* ===========================
-   Resort definitions
-   =========================== */
-const RESORTS = [
-    // France
-    { name: 'Chamonix',          country: 'France',   lat: 45.9237, lon:  6.8694, altitude: 1035 },
-    { name: 'Megève',            country: 'France',   lat: 45.8567, lon:  6.6167, altitude: 1113 },
-    { name: 'Les Gets',          country: 'France',   lat: 46.1575, lon:  6.6683, altitude: 1172 },
-    { name: 'Flaine',            country: 'France',   lat: 46.0000, lon:  6.6833, altitude: 1600 },
-    { name: 'Val d\'Isère',      country: 'France',   lat: 45.4481, lon:  6.9800, altitude: 1850 },
-    { name: 'Les Deux Alpes',    country: 'France',   lat: 45.0122, lon:  6.1208, altitude: 1650 },
-    // Suisse
-    { name: 'Verbier',           country: 'Suisse',   lat: 46.0960, lon:  7.2270, altitude: 1500 },
-    { name: 'Zermatt',           country: 'Suisse',   lat: 46.0207, lon:  7.7491, altitude: 1620 },
-    { name: 'Crans-Montana',     country: 'Suisse',   lat: 46.3110, lon:  7.4820, altitude: 1500 },
-    { name: 'Saas-Fee',          country: 'Suisse',   lat: 46.1132, lon:  7.9261, altitude: 1800 },
-    { name: 'Davos',             country: 'Suisse',   lat: 46.8027, lon:  9.8370, altitude: 1560 },
-    // Autriche
-    { name: 'St. Anton',         country: 'Autriche', lat: 47.1291, lon: 10.2683, altitude: 1304 },
-    { name: 'Kitzbühel',         country: 'Autriche', lat: 47.4452, lon: 12.3905, altitude:  762 },
-    { name: 'Ischgl',            country: 'Autriche', lat: 47.0124, lon: 10.2934, altitude: 1377 },
-    { name: 'Sölden',            country: 'Autriche', lat: 46.9624, lon: 11.0008, altitude: 1380 },
-    // Italie
-    { name: 'Courmayeur',        country: 'Italie',   lat: 45.7936, lon:  6.9699, altitude: 1224 },
-    { name: 'Cortina d\'Ampezzo', country: 'Italie',   lat: 46.5404, lon: 12.1357, altitude: 1224 },
-    { name: 'Livigno',           country: 'Italie',   lat: 46.5371, lon: 10.1368, altitude: 1816 },
-];
-
-/* ===========================
-   WMO Weather Code → {icon, description}
-   https://open-meteo.com/en/docs#weathervariables
-   =========================== */
-const WMO_CODES = {
-    0:  { icon: '☀️',  desc: 'Ciel dégagé' },
-    1:  { icon: '🌤️', desc: 'Principalement dégagé' },
-    2:  { icon: '⛅',  desc: 'Partiellement nuageux' },
-    3:  { icon: '☁️',  desc: 'Couvert' },
-    45: { icon: '🌫️', desc: 'Brouillard' },
-    48: { icon: '🌫️', desc: 'Brouillard givrant' },
-    51: { icon: '🌦️', desc: 'Bruine légère' },
-    53: { icon: '🌦️', desc: 'Bruine modérée' },
-    55: { icon: '🌦️', desc: 'Bruine dense' },
-    61: { icon: '🌧️', desc: 'Pluie légère' },
-    63: { icon: '🌧️', desc: 'Pluie modérée' },
-    65: { icon: '🌧️', desc: 'Pluie forte' },
-    71: { icon: '❄️',  desc: 'Neige légère' },
-    73: { icon: '❄️',  desc: 'Neige modérée' },
-    75: { icon: '❄️',  desc: 'Neige forte' },
-    77: { icon: '🌨️', desc: 'Grains de neige' },
-    80: { icon: '🌦️', desc: 'Averses légères' },
-    81: { icon: '🌧️', desc: 'Averses modérées' },
-    82: { icon: '🌧️', desc: 'Averses violentes' },
-    85: { icon: '🌨️', desc: 'Averses de neige légères' },
-    86: { icon: '🌨️', desc: 'Averses de neige fortes' },
-    95: { icon: '⛈️',  desc: 'Orage' },
-    96: { icon: '⛈️',  desc: 'Orage avec grêle' },
-    99: { icon: '⛈️',  desc: 'Orage avec forte grêle' },
-};
-
-const DEFAULT_WEATHER = { icon: '🌡️', desc: 'Données non disponibles' };
-
-/* ===========================
-   Ski Conditions Rating
-   =========================== */
-const RATINGS = {
-    excellent: { label: '⭐ Excellentes',  class: 'rating-excellent' },
-    good:      { label: '✅ Bonnes',        class: 'rating-good' },
-    fair:      { label: '⚠️ Passables',    class: 'rating-fair' },
-    poor:      { label: '❌ Mauvaises',     class: 'rating-poor' },
-};
-
-/**
- * Compute a ski conditions rating based on weather & snow depth.
- * @param {number} code    WMO weather code
- * @param {number} wind    Wind speed in km/h
- * @param {number} snowCm  Snow depth in cm
- * @returns {object} Rating entry from RATINGS
- */
-function computeRating(code, wind, snowCm) {
-    const isSnowing    = [71, 73, 75, 77, 85, 86].includes(code);
-    const isSunny      = [0, 1, 2].includes(code);
-    const isStorm      = [95, 96, 99].includes(code);
-    const isRain       = [51, 53, 55, 61, 63, 65, 80, 81, 82].includes(code);
-    const highWind     = wind > 60;
-    const goodSnowpack = snowCm >= 50;
-    const okSnowpack   = snowCm >= 20;
-
-    if (isStorm || isRain) return RATINGS.poor;
-    if (highWind)          return RATINGS.fair;
-    if (isSnowing && goodSnowpack) return RATINGS.excellent;
-    if (isSunny   && goodSnowpack) return RATINGS.excellent;
-    if (goodSnowpack)              return RATINGS.good;
-    if (okSnowpack)                return RATINGS.fair;
-    return RATINGS.poor;
-}
-
 /* ===========================
    Open-Meteo API
    =========================== */
-const API_BASE = 'https://api.open-meteo.com/v1/forecast';
 
-/**
- * Build the forecast URL for a resort.
- * @param {object} resort
- * @returns {string}
- */
-function buildApiUrl(resort) {
-    const params = new URLSearchParams({
-        latitude:        resort.lat,
-        longitude:       resort.lon,
-        current_weather: 'true',
-        hourly:          'snow_depth,snowfall,temperature_2m',
-        daily:           'weathercode,temperature_2m_max,temperature_2m_min,snowfall_sum,windspeed_10m_max',
-        timezone:        'Europe/Paris',
-        forecast_days:   '3',
-    });
-    return `${API_BASE}?${params.toString()}`;
-}
-
-/**
- * Fetch weather data for a single resort.
- * @param {object} resort
- * @returns {Promise<object>} Parsed API response
- */
-async function fetchResortWeather(resort) {
-    const url = buildApiUrl(resort);
-    const response = await fetch(url);
-    if (!response.ok) {
-        throw new Error(`HTTP ${response.status} – ${resort.name}`);
-    }
-    return response.json();
-}
+// Auto-refresh interval in milliseconds (30 minutes, matching the footer text)
+const REFRESH_INTERVAL_MS = 30 * 60 * 1000;
 
-/* ===========================
-   DOM helpers (safe, no innerHTML for user data)
-   =========================== */
+// Elevation bands shown on each card (the detail page also fetches "mid")
+const CARD_BANDS = ['base', 'summit'];
 
-/**
- * Create an element with optional classes, text, and attributes.
- * Uses textContent / setAttribute – never innerHTML – to avoid XSS.
- */
-function el(tag, { cls = [], text = '', attrs = {} } = {}) {
-    const node = document.createElement(tag);
-    if (Array.isArray(cls)) cls.forEach(c => c && node.classList.add(c));
-    if (text) node.textContent = text;
-    Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, v));
-    return node;
-}
+// Query parameters for the grid; fetchForecasts() in api.js adds the locations
+const FORECAST_PARAMS = {
+    current_weather: 'true',
+    hourly:          'snow_depth,snowfall,temperature_2m,apparent_temperature,windspeed_10m,windgusts_10m,winddirection_10m,rain,freezing_level_height,visibility,cloudcover_low',
+    daily:           'weathercode,temperature_2m_max,temperature_2m_min,apparent_temperature_min,snowfall_sum,windspeed_10m_max,windgusts_10m_max',
+    forecast_days:   '7',   // daily only: the week planner; cards show the first 3 days
+    past_hours:      '72',  // hourly only: fresh snow for the rating, 72 h for the avalanche indicator
+    forecast_hours:  '168', // hourly only: the planner rates all 7 days from lift-hours values
+};
 
 /* ===========================
    Skeleton loaders
@@ -176,51 +47,60 @@ function renderSkeletons(container, count) {
    =========================== */
 
 /**
- * Find the snow depth closest to "now" from the hourly series.
- * Returns depth in cm.
+ * Build the compact base / summit split shown under the current weather.
+ * Each band gets its own temperature, snow depth and rating.
  */
-function currentSnowDepthCm(hourly) {
-    if (!hourly || !hourly.time || !hourly.snow_depth) return null;
-    const now = new Date();
-    let bestIdx = 0;
-    let bestDiff = Infinity;
-    hourly.time.forEach((t, i) => {
-        const diff = Math.abs(new Date(t) - now);
-        if (diff < bestDiff) { bestDiff = diff; bestIdx = i; }
+function buildBandSplit(resort, bands) {
+    const split = el('div', {
+        cls:   ['band-split'],
+        attrs: { role: 'group', 'aria-label': t('card.bandsAria', { name: resort.name }) },
     });
-    const depthM = hourly.snow_depth[bestIdx];
-    return depthM != null ? Math.round(depthM * 100) : null;
-}
 
-/**
- * Format a date string (YYYY-MM-DD) → short day name in French.
- */
-function shortDayFr(dateStr) {
-    const DAYS = ['Dim', 'Lun', 'Mar', 'Mer', 'Jeu', 'Ven', 'Sam'];
-    // Use T12:00:00 (local noon) to avoid DST boundary issues when inferring the weekday
-    const d = new Date(`${dateStr}T12:00:00`);
-    return DAYS[d.getDay()];
+    resortBands(resort, CARD_BANDS).forEach(band => {
+        const data = bands[band.id];
+        if (!data || !data.current_weather) return;
+        const cw      = data.current_weather;
+        const snowCm  = currentSnowDepthCm(data.hourly);
+        const rating  = rateConditions(conditionsFromForecast(data));
+
+        const item = el('div', { cls: ['band-item'] });
+        item.appendChild(el('span', { cls: ['band-name'], text: `${band.label} · ${band.elevation} m` }));
+        const values = el('span', { cls: ['band-values'] });
+        values.appendChild(el('span', { cls: ['band-temp'], text: formatTemp(cw.temperature) }));
+        values.appendChild(el('span', { cls: ['snow-value'], text: snowCm != null ? formatDepth(snowCm) : '–' }));
+        item.appendChild(values);
+        item.appendChild(el('span', { cls: ['ski-rating-badge', 'band-rating', rating.class], text: rating.label }));
+        split.appendChild(item);
+    });
+
+    return split;
 }
 
 /**
  * Build the full resort card DOM node from API data.
+ * @param {object} resort
+ * @param {object} bands    Map of band id → API response; "base" drives the main values
+ * @param {number|null} savedAt  Epoch ms when the data comes from the offline cache
+ * @param {object|null} modelData  Multi-model forecast, for the confidence badge
  */
-function buildResortCard(resort, data) {
+function buildResortCard(resort, bands, savedAt = null, modelData = null) {
+    const data   = bands.base;
     const cw     = data.current_weather;
     const daily  = data.daily;
     const hourly = data.hourly;
 
-    const code     = cw.weathercode;
-    const weather  = WMO_CODES[code] || DEFAULT_WEATHER;
-    const tempC    = Math.round(cw.temperature);
-    const windKmh  = Math.round(cw.windspeed);
-    const snowCm   = currentSnowDepthCm(hourly);
-    const rating   = computeRating(code, windKmh, snowCm ?? 0);
+    const code       = cw.weathercode;
+    const weather    = weatherInfo(code);
+    const tempC      = cw.temperature;
+    const windKmh    = cw.windspeed;
+    const snowCm     = currentSnowDepthCm(hourly);
+    const conditions = conditionsFromForecast(data);
+    const rating     = rateConditions(conditions);
 
     // Card wrapper
     const card = el('article', {
         cls: ['resort-card', rating.class],
-        attrs: { 'aria-label': `Station ${resort.name}` }
+        attrs: { 'aria-label': t('card.aria', { name: resort.name }) }
     });
 
     // --- Header ---
@@ -228,22 +108,39 @@ function buildResortCard(resort, data) {
     const nameBlock = el('div');
     nameBlock.appendChild(el('div', { cls: ['resort-name'], text: resort.name }));
     const meta = el('div', { cls: ['resort-meta'] });
-    meta.appendChild(el('span', { cls: ['resort-country'], text: resort.country }));
-    meta.appendChild(el('span', { cls: ['resort-altitude'], text: `${resort.altitude} m` }));
+    meta.appendChild(el('span', { cls: ['resort-country'], text: countryName(resort.country) }));
+    if (resort.custom) meta.appendChild(el('span', { cls: ['resort-custom-tag'], text: t('custom.tag') }));
+    meta.appendChild(el('span', { cls: ['resort-altitude'], text: `${resort.altitude}–${resort.summitAltitude} m` }));
+    const home = getHome();
+    if (home) {
+        meta.appendChild(el('span', {
+            cls:   ['resort-distance'],
+            text:  `🏠 ${formatDistance(distanceKm(home.lat, home.lon, resort.lat, resort.lon))}`,
+            attrs: { title: t('home.distanceTitle', { home: homeLabel(home) }) },
+        }));
+    }
+    if (savedAt) meta.appendChild(buildStaleBadge(savedAt));
     nameBlock.appendChild(meta);
     header.appendChild(nameBlock);
 
-    // Compare toggle button
+    // Favourite star (+ order buttons once pinned) and compare toggle
+    const actions = el('div', { cls: ['card-actions'] });
+    actions.appendChild(buildFavoriteOrderButtons(resort, offset => {
+        refreshFavorites(resort.slug, offset < 0 ? '.favorite-move-btn:first-child' : '.favorite-move-btn:last-child');
+    }));
+    actions.appendChild(buildFavoriteButton(resort, () => refreshFavorites(resort.slug, '.favorite-btn')));
+
     const compareToggle = el('button', {
         cls: ['compare-toggle-btn'],
-        text: '+ Comparer',
+        text: t('compare.add'),
         attrs: {
             'aria-pressed': 'false',
-            'aria-label': `Sélectionner ${resort.name} pour comparer`,
+            'aria-label': t('compare.addAria', { name: resort.name }),
         },
     });
-    compareToggle.addEventListener('click', () => toggleCompare(resort.name));
-    header.appendChild(compareToggle);
+    compareToggle.addEventListener('click', () => toggleCompare(resort.slug));
+    actions.appendChild(compareToggle);
+    header.appendChild(actions);
 
     card.appendChild(header);
 
@@ -251,68 +148,101 @@ function buildResortCard(resort, data) {
     const wMain = el('div', { cls: ['weather-main'] });
     wMain.appendChild(el('div', { cls: ['weather-icon'], text: weather.icon, attrs: { 'aria-hidden': 'true' } }));
     const wInfo = el('div');
-    wInfo.appendChild(el('div', { cls: ['weather-temp'], text: `${tempC}°C` }));
+    wInfo.appendChild(el('div', { cls: ['weather-temp'], text: formatTemp(tempC) }));
     wInfo.appendChild(el('div', { cls: ['weather-desc'], text: weather.desc }));
     wMain.appendChild(wInfo);
     card.appendChild(wMain);
 
+    // --- Base / summit split ---
+    card.appendChild(buildBandSplit(resort, bands));
+
     // --- Stats grid ---
     const statsGrid = el('div', { cls: ['card-stats'] });
 
     // Snow depth
     const snowStat = el('div', { cls: ['stat-item'] });
-    snowStat.appendChild(el('span', { cls: ['stat-label'], text: 'Enneigement' }));
+    snowStat.appendChild(el('span', { cls: ['stat-label'], text: t('stat.snowDepth') }));
     snowStat.appendChild(el('span', {
         cls: ['stat-value', 'snow-value'],
-        text: snowCm != null ? `${snowCm} cm` : '–',
+        text: snowCm != null ? formatDepth(snowCm) : '–',
     }));
     statsGrid.appendChild(snowStat);
 
     // Wind
     const windStat = el('div', { cls: ['stat-item'] });
-    windStat.appendChild(el('span', { cls: ['stat-label'], text: 'Vent' }));
+    windStat.appendChild(el('span', { cls: ['stat-label'], text: t('stat.wind') }));
     windStat.appendChild(el('span', {
-        cls: ['stat-value', windKmh > 60 ? 'wind-high' : ''],
-        text: `${windKmh} km/h`,
+        cls: ['stat-value', isHighWind(windKmh) ? 'wind-high' : ''],
+        text: formatWind(windKmh),
     }));
     statsGrid.appendChild(windStat);
 
     // Min / Max temperature from today's daily
     if (daily && daily.temperature_2m_min && daily.temperature_2m_max) {
-        const minTemp = Math.round(daily.temperature_2m_min[0]);
-        const maxTemp = Math.round(daily.temperature_2m_max[0]);
-
         const minStat = el('div', { cls: ['stat-item'] });
-        minStat.appendChild(el('span', { cls: ['stat-label'], text: 'Min / Max' }));
-        minStat.appendChild(el('span', { cls: ['stat-value'], text: `${minTemp}° / ${maxTemp}°C` }));
+        minStat.appendChild(el('span', { cls: ['stat-label'], text: t('stat.minMax') }));
+        minStat.appendChild(el('span', {
+            cls:  ['stat-value'],
+            text: formatTempRange(daily.temperature_2m_min[0], daily.temperature_2m_max[0]),
+        }));
         statsGrid.appendChild(minStat);
 
         // Snowfall today
-        const snowfallCm = daily.snowfall_sum ? Math.round(daily.snowfall_sum[0]) : 0;
+        const snowfallCm = daily.snowfall_sum ? daily.snowfall_sum[0] ?? 0 : 0;
         const sfStat = el('div', { cls: ['stat-item'] });
-        sfStat.appendChild(el('span', { cls: ['stat-label'], text: 'Chutes prévues' }));
+        sfStat.appendChild(el('span', { cls: ['stat-label'], text: t('stat.snowfallToday') }));
         sfStat.appendChild(el('span', {
             cls: ['stat-value', 'snow-value'],
-            text: `${snowfallCm} cm`,
+            text: formatDepth(snowfallCm),
         }));
         statsGrid.appendChild(sfStat);
     }
 
+    // Visibility, feels-like, gusts
+    comfortStats(conditions).forEach(({ label, text, cls }) => {
+        const stat = el('div', { cls: ['stat-item'] });
+        stat.appendChild(el('span', { cls: ['stat-label'], text: label }));
+        stat.appendChild(el('span', { cls: ['stat-value', ...cls], text }));
+        statsGrid.appendChild(stat);
+    });
+
     card.appendChild(statsGrid);
 
+    // --- Whiteout risk ---
+    const whiteout = buildWhiteoutWarning(conditions);
+    if (whiteout) card.appendChild(whiteout);
+
+    // --- Freezing level / snow line against base and summit ---
+    const snowLineRow = buildSnowLineRow(resort, data);
+    if (snowLineRow) card.appendChild(snowLineRow);
+
     // --- Ski rating ---
     const ratingRow = el('div', { cls: ['ski-rating'] });
-    ratingRow.appendChild(el('span', { cls: ['ski-rating-label'], text: 'Conditions ski' }));
+    ratingRow.appendChild(el('span', { cls: ['ski-rating-label'], text: t('stat.skiConditions') }));
     ratingRow.appendChild(el('span', { cls: ['ski-rating-badge', rating.class], text: rating.label }));
     card.appendChild(ratingRow);
+    card.appendChild(buildRatingWhy(rating));
+
+    // --- Indicative avalanche danger (summit band: that is where off-piste starts) ---
+    const avalancheData = bands.summit || data;
+    const avalanche = assessAvalanche(avalancheData.hourly);
+    if (avalanche) {
+        const avRow = el('details', { cls: ['avalanche-row'] });
+        const summary = el('summary');
+        summary.appendChild(el('span', { cls: ['ski-rating-label'], text: t('avalanche.cardLabel') }));
+        summary.appendChild(buildAvalancheLevel(avalanche));
+        avRow.appendChild(summary);
+        avRow.appendChild(buildAvalancheExplanation(avalanche, resort));
+        card.appendChild(avRow);
+    }
 
     // --- Detail Link ---
     const detailLink = el('a', {
         cls:   ['detail-link'],
-        text:  'Voir les détails →',
+        text:  t('card.details'),
         attrs: {
-            href:        `resort.html?resort=${encodeURIComponent(resort.name)}`,
-            'aria-label': `Voir les détails de ${resort.name}`,
+            href:        resortDetailUrl(resort),
+            'aria-label': t('card.detailsAria', { name: resort.name }),
         },
     });
     card.appendChild(detailLink);
@@ -320,17 +250,17 @@ function buildResortCard(resort, data) {
     // --- 3-Day Forecast ---
     if (daily && daily.time && daily.time.length >= 3) {
         const forecastSection = el('div', { cls: ['forecast-section'] });
-        forecastSection.appendChild(el('div', { cls: ['forecast-title'], text: 'Prévisions 3 jours' }));
+        const forecastTitle = el('div', { cls: ['forecast-title'] });
+        forecastTitle.appendChild(el('span', { text: t('card.forecast3') }));
+        forecastSection.appendChild(forecastTitle);
         const daysRow = el('div', { cls: ['forecast-days'] });
 
         for (let i = 0; i < 3; i++) {
-            const dayW = WMO_CODES[daily.weathercode[i]] || DEFAULT_WEATHER;
-            const dayMin = daily.temperature_2m_min ? Math.round(daily.temperature_2m_min[i]) : '–';
-            const dayMax = daily.temperature_2m_max ? Math.round(daily.temperature_2m_max[i]) : '–';
-            const daySnow = daily.snowfall_sum ? Math.round(daily.snowfall_sum[i]) : 0;
+            const dayW = weatherInfo(daily.weathercode[i]);
+            const daySnow = daily.snowfall_sum ? daily.snowfall_sum[i] ?? 0 : 0;
 
             const dayBox = el('div', { cls: ['forecast-day'] });
-            dayBox.appendChild(el('div', { cls: ['forecast-day-name'], text: shortDayFr(daily.time[i]) }));
+            dayBox.appendChild(el('div', { cls: ['forecast-day-name'], text: shortDay(daily.time[i]) }));
             dayBox.appendChild(el('span', {
                 cls: ['forecast-day-icon'],
                 text: dayW.icon,
@@ -338,10 +268,23 @@ function buildResortCard(resort, data) {
             }));
             dayBox.appendChild(el('div', {
                 cls: ['forecast-day-temp'],
-                text: `${dayMin}° / ${dayMax}°`,
+                text: daily.temperature_2m_min && daily.temperature_2m_max
+                    ? formatTempRange(daily.temperature_2m_min[i], daily.temperature_2m_max[i])
+                    : '–',
             }));
-            if (daySnow > 0) {
-                dayBox.appendChild(el('div', { cls: ['forecast-day-snow'], text: `❄ ${daySnow} cm` }));
+            if (daySnow >= 0.5) {
+                dayBox.appendChild(el('div', { cls: ['forecast-day-snow'], text: `❄ ${formatDepth(daySnow)}` }));
+            }
+            const freezing = dayFreezingLevelM(hourly, daily.time[i]);
+            const dayLine = freezing
+                ? assessSnowLine(resort, snowLineFromFreezingLevel(freezing.max), isPrecipitationCode(daily.weathercode[i]))
+                : null;
+            if (dayLine) {
+                dayBox.appendChild(el('div', {
+                    cls:   ['forecast-day-snowline', dayLine.class],
+                    text:  `⛆ ${snowLineFromFreezingLevel(freezing.max)} m`,
+                    attrs: { title: dayLine.title },
+                }));
             }
             daysRow.appendChild(dayBox);
         }
@@ -350,6 +293,7 @@ function buildResortCard(resort, data) {
         card.appendChild(forecastSection);
     }
 
+    if (modelData) setConfidenceBadge(card, modelData);
     return card;
 }
 
@@ -357,7 +301,14 @@ function buildResortCard(resort, data) {
    Map View
    =========================== */
 let mapInstance = null;
-let mapMarkers = [];
+let mapMarkers = new Map(); // resort slug → circle marker
+let mapArea = null;         // bounds the grid is limited to ("Rechercher dans cette zone")
+let highlightedSlug = null; // resort whose card is hovered or focused
+let mapCompareButtons = []; // [{button, slug}] – "+ Comparer" in the marker popups
+let homeLayers = [];    // home marker + radius circle
+let mapPickHandler = null; // called with (lat, lon) by the next map click
+
+const MAP_METRIC_STORAGE_KEY = 'mapMetric';
 
 const RATING_COLORS = {
     'rating-excellent': '#4fc3f7',
@@ -366,6 +317,109 @@ const RATING_COLORS = {
     'rating-poor':      '#f44336',
 };
 
+// Marker outline, normal and while its card is hovered or focused
+const MAP_MARKER_STYLE = { color: '#ffffff', weight: 2 };
+const MAP_MARKER_HIGHLIGHT_STYLE = { color: '#ffcc02', weight: 4 };
+
+// Marker colour when the metric is unknown (failed resort, missing series)
+const MAP_NO_DATA_COLOR = '#78909c';
+
+// Most → least snow
+const SNOW_SCALE_COLORS = ['#e040fb', '#7c4dff', '#4fc3f7', '#b3e5fc', MAP_NO_DATA_COLOR];
+
+// Marker radius in px: the minimum, then grown with the 3-day snowfall
+const MAP_MARKER_RADIUS = { min: 7, max: 18, perSqrtCm: 1.5 };
+
+/**
+ * Colour metrics of the map. `value` reads a grid entry (metric units, null
+ * when unknown); `steps` go from the highest `min` down, the first one the
+ * value reaches gives the colour. Option names are the "map.metric.<id>"
+ * messages.
+ */
+const MAP_METRICS = {
+    rating: {
+        value:  ({ data }) => rateConditions(conditionsFromForecast(data)).score,
+        format: score => `${score}/100`,
+        steps:  RATING_LEVELS.map(({ key, min }) => ({ min, color: RATING_COLORS[RATINGS[key].class], label: () => ratingLabel(key) })),
+    },
+    freshSnow: {
+        value:  ({ data }) => snowfallLastHours(data.hourly, 24),
+        format: cm => formatDepth(cm),
+        steps:  [30, 15, 5, 1, -Infinity].map((min, i) => ({ min, color: SNOW_SCALE_COLORS[i] })),
+    },
+    snowfall: {
+        value:  entry => GRID_SORTS.snowfall3d(entry),
+        format: cm => formatDepth(cm),
+        steps:  [50, 25, 10, 2, -Infinity].map((min, i) => ({ min, color: SNOW_SCALE_COLORS[i] })),
+    },
+    snowDepth: {
+        value:  ({ data }) => currentSnowDepthCm(data.hourly),
+        format: cm => formatDepth(cm),
+        steps:  [200, 100, 50, 20, -Infinity].map((min, i) => ({ min, color: SNOW_SCALE_COLORS[i] })),
+    },
+    temperature: {
+        value:  ({ data }) => data.current_weather.temperature,
+        format: c => formatTemp(c),
+        steps:  [
+            { min: 5,         color: '#f44336' },
+            { min: 0,         color: '#ff9800' },
+            { min: -5,        color: '#4fc3f7' },
+            { min: -10,       color: '#1e88e5' },
+            { min: -Infinity, color: '#7c4dff' },
+        ],
+    },
+    wind: {
+        value:  ({ data }) => data.current_weather.windspeed,
+        format: kmh => formatWind(kmh),
+        steps:  [
+            { min: 60,        color: '#f44336' },
+            { min: 40,        color: '#ff9800' },
+            { min: 20,        color: '#ffeb3b' },
+            { min: -Infinity, color: '#4caf50' },
+        ],
+    },
+};
+
+function getMapMetric() {
+    const stored = readStored(MAP_METRIC_STORAGE_KEY, null);
+    return stored in MAP_METRICS ? stored : 'rating';
+}
+
+function setMapMetric(id) {
+    writeStored(MAP_METRIC_STORAGE_KEY, id);
+}
+
+/**
+ * Value of a metric for a grid entry; null for failed resorts and missing series.
+ */
+function mapMetricValue(metric, entry) {
+    if (!entry.data || !entry.data.current_weather) return null;
+    return metric.value(entry) ?? null;
+}
+
+function mapMetricColor(metric, value) {
+    if (value == null) return MAP_NO_DATA_COLOR;
+    return metric.steps.find(step => value >= step.min).color;
+}
+
+/**
+ * Legend text of a step: "≥ 30 cm", "5 – 15 cm", "< 1 cm", or its own label.
+ */
+function mapStepLabel(metric, i) {
+    const step = metric.steps[i];
+    if (step.label) return step.label();
+    if (i === 0) return `≥ ${metric.format(step.min)}`;
+    const upper = metric.format(metric.steps[i - 1].min);
+    if (step.min === -Infinity) return `< ${upper}`;
+    return `${metric.format(step.min)} – ${upper}`;
+}
+
+function mapMarkerRadius(entry) {
+    const snowfall = entry.data ? GRID_SORTS.snowfall3d(entry) ?? 0 : 0;
+    const { min, max, perSqrtCm } = MAP_MARKER_RADIUS;
+    return Math.min(max, min + perSqrtCm * Math.sqrt(Math.max(0, snowfall)));
+}
+
 function initMap() {
     if (mapInstance || typeof L === 'undefined') return;
     const mapEl = document.getElementById('mapView');
@@ -378,41 +432,245 @@ function initMap() {
         subdomains: 'abcd',
         maxZoom: 19,
     }).addTo(mapInstance);
+
+    mapInstance.on('click', e => {
+        if (!mapPickHandler) return;
+        const onPick = mapPickHandler;
+        stopMapPick();
+        onPick(e.latlng.lat, e.latlng.lng);
+    });
+    updateHomeMarker();
 }
 
+/**
+ * Draw the home point and the radius filter on the map.
+ */
+function updateHomeMarker() {
+    if (!mapInstance) return;
+    homeLayers.forEach(layer => layer.remove());
+    homeLayers = [];
+
+    const home = getHome();
+    if (!home) return;
+    const radius = getHomeRadius();
+    if (radius) {
+        homeLayers.push(L.circle([home.lat, home.lon], {
+            radius:      radius * 1000,
+            color:       '#ffcc02',
+            weight:      1,
+            fillOpacity: 0.05,
+            interactive: false,
+        }).addTo(mapInstance));
+    }
+    homeLayers.push(L.circleMarker([home.lat, home.lon], {
+        radius:      8,
+        fillColor:   '#ffcc02',
+        color:       '#0d1b2a',
+        weight:      3,
+        opacity:     1,
+        fillOpacity: 1,
+    }).bindPopup(el('strong', { text: `🏠 ${homeLabel(home)}` })).addTo(mapInstance));
+}
+
+/**
+ * Popup of a resort marker: key numbers, rating and the detail / compare actions.
+ */
+function buildMapPopup(entry) {
+    const { resort, data } = entry;
+    const popup = el('div', { cls: ['map-popup'] });
+    popup.appendChild(el('strong', { cls: ['map-popup-name'], text: resort.name }));
+    popup.appendChild(el('span', { cls: ['map-popup-meta'], text: `${countryName(resort.country)} \u00b7 ${resort.altitude}\u00a0m` }));
+
+    if (data && data.current_weather) {
+        const cw = data.current_weather;
+        const numbers = el('dl', { cls: ['map-popup-numbers'] });
+        const addNumber = (label, text) => {
+            numbers.appendChild(el('dt', { text: label }));
+            numbers.appendChild(el('dd', { text }));
+        };
+        const fresh = snowfallLastHours(data.hourly, 24);
+        const snowfall = GRID_SORTS.snowfall3d(entry);
+        const depth = currentSnowDepthCm(data.hourly);
+        addNumber(t('stat.temperature'), `${weatherInfo(cw.weathercode).icon} ${formatTemp(cw.temperature)}`);
+        addNumber(t('map.metric.freshSnow'), fresh != null ? formatDepth(fresh) : '–');
+        addNumber(t('map.metric.snowfall'), snowfall != null ? formatDepth(snowfall) : '–');
+        addNumber(t('stat.snowDepth'), depth != null ? formatDepth(depth) : '–');
+        addNumber(t('stat.wind'), formatWind(cw.windspeed));
+        popup.appendChild(numbers);
+
+        const rating = rateConditions(conditionsFromForecast(data));
+        popup.appendChild(el('span', { cls: ['map-popup-rating', 'ski-rating-badge', rating.class], text: `${rating.label} (${rating.score}/100)` }));
+    } else {
+        popup.appendChild(el('span', { cls: ['map-popup-meta'], text: t('map.noData') }));
+    }
+
+    const actions = el('div', { cls: ['map-popup-actions'] });
+    actions.appendChild(el('a', {
+        cls:   ['map-popup-link'],
+        text:  t('map.details'),
+        attrs: { href: resortDetailUrl(resort), 'aria-label': t('card.detailsAria', { name: resort.name }) },
+    }));
+    const compareBtn = el('button', {
+        cls:   ['compare-toggle-btn', 'map-popup-compare'],
+        attrs: { 'aria-label': t('compare.addAria', { name: resort.name }) },
+    });
+    compareBtn.addEventListener('click', () => toggleCompare(resort.slug));
+    syncCompareButton(compareBtn, resort.slug);
+    actions.appendChild(compareBtn);
+    popup.appendChild(actions);
+    return popup;
+}
+
+/**
+ * Legend of the current metric, plus "no data" when a marker needs it.
+ */
+function renderMapLegend(metricId, hasMissing) {
+    const legend = document.getElementById('mapLegend');
+    if (!legend) return;
+    const metric = MAP_METRICS[metricId];
+    legend.textContent = '';
+
+    const list = el('ul', { cls: ['map-legend-list'], attrs: { 'aria-label': t('map.legendAria', { metric: t(`map.metric.${metricId}`) }) } });
+    const addItem = (color, text) => {
+        const item = el('li', { cls: ['map-legend-item'] });
+        const swatch = el('span', { cls: ['map-legend-swatch'], attrs: { 'aria-hidden': 'true' } });
+        swatch.style.backgroundColor = color;
+        item.appendChild(swatch);
+        item.appendChild(el('span', { text }));
+        list.appendChild(item);
+    };
+    metric.steps.forEach((step, i) => addItem(step.color, mapStepLabel(metric, i)));
+    if (hasMissing) addItem(MAP_NO_DATA_COLOR, t('map.noData'));
+    legend.appendChild(list);
+    legend.appendChild(el('p', { cls: ['map-legend-size'], text: t('map.sizeNote') }));
+}
+
+/**
+ * Draw one marker per resort, coloured by the selected metric and sized by
+ * the 3-day snowfall, from the grid data.
+ */
 function updateMapMarkers() {
     if (!mapInstance) return;
     mapMarkers.forEach(m => m.remove());
-    mapMarkers = [];
-
-    allCards.forEach(({ resort, card }) => {
-        const ratingClass = [...card.classList].find(c => c.startsWith('rating-')) || 'rating-poor';
-        const color = RATING_COLORS[ratingClass] || '#4fc3f7';
-        const ratingBadge = card.querySelector('.ski-rating-badge');
-        const ratingText = ratingBadge ? ratingBadge.textContent : '';
-
-        const marker = L.circleMarker([resort.lat, resort.lon], {
-            radius: 10,
-            fillColor: color,
-            color: '#ffffff',
-            weight: 2,
-            opacity: 1,
+    mapMarkers = new Map();
+    mapCompareButtons = [];
+
+    const metricId = getMapMetric();
+    const metric = MAP_METRICS[metricId];
+    let hasMissing = false;
+
+    allCards.forEach(entry => {
+        const value = mapMetricValue(metric, entry);
+        if (value == null) hasMissing = true;
+
+        const marker = L.circleMarker([entry.resort.lat, entry.resort.lon], {
+            radius:      mapMarkerRadius(entry),
+            fillColor:   mapMetricColor(metric, value),
+            ...(entry.resort.slug === highlightedSlug ? MAP_MARKER_HIGHLIGHT_STYLE : MAP_MARKER_STYLE),
+            opacity:     1,
             fillOpacity: 0.85,
-        }).addTo(mapInstance);
-
-        // Build popup DOM safely (no innerHTML with dynamic data)
-        const popup = document.createElement('div');
-        const nameEl = el('strong', { cls: ['map-popup-name'], text: resort.name });
-        const metaEl = el('span', { cls: ['map-popup-meta'], text: `${resort.country} \u00b7 ${resort.altitude}\u00a0m` });
-        popup.appendChild(nameEl);
-        popup.appendChild(metaEl);
-        if (ratingText) {
-            popup.appendChild(el('span', { cls: ['map-popup-rating'], text: ratingText }));
-        }
+        });
+        marker.on('click', () => revealCard(entry.resort.slug));
 
+        // Popup built as DOM (no innerHTML with dynamic data)
+        const popup = buildMapPopup(entry);
+        mapCompareButtons.push({ button: popup.querySelector('.map-popup-compare'), slug: entry.resort.slug });
         marker.bindPopup(popup);
-        mapMarkers.push(marker);
+        mapMarkers.set(entry.resort.slug, marker);
+    });
+
+    showFilteredMarkers();
+    renderMapLegend(metricId, hasMissing);
+}
+
+/**
+ * Keep on the map only the resorts whose card the filters show.
+ */
+function showFilteredMarkers() {
+    if (!mapInstance) return;
+    allCards.forEach(entry => {
+        const marker = mapMarkers.get(entry.resort.slug);
+        if (!marker) return;
+        if (entry.visible === false) marker.remove();
+        else marker.addTo(mapInstance);
+    });
+}
+
+/**
+ * Outline the marker of a resort (its card is hovered or focused); null
+ * clears the highlight.
+ */
+function highlightMarker(slug) {
+    if (slug === highlightedSlug) return;
+    const previous = mapMarkers.get(highlightedSlug);
+    if (previous) previous.setStyle(MAP_MARKER_STYLE);
+    highlightedSlug = slug;
+    const marker = mapMarkers.get(slug);
+    if (marker) marker.setStyle(MAP_MARKER_HIGHLIGHT_STYLE).bringToFront();
+}
+
+/**
+ * Scroll to a resort's card and flash it (its marker was clicked).
+ */
+function revealCard(slug) {
+    const entry = allCards.find(e => e.resort.slug === slug);
+    if (!entry || !entry.card || entry.visible === false) return;
+    const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    entry.card.scrollIntoView({ behavior: reduceMotion ? 'auto' : 'smooth', block: 'center' });
+
+    document.querySelectorAll('.resort-card.map-linked').forEach(card => card.classList.remove('map-linked'));
+    void entry.card.offsetWidth; // restart the animation when the same card is revealed twice
+    entry.card.classList.add('map-linked');
+}
+
+/**
+ * Follow the pointer and the keyboard focus across the grid to highlight
+ * the matching marker.
+ */
+function initMapLinking() {
+    const grid = document.getElementById('resortsGrid');
+    if (!grid) return;
+
+    const slugOf = target => {
+        const card = target instanceof Element ? target.closest('.resort-card') : null;
+        const entry = card ? allCards.find(e => e.card === card) : null;
+        return entry ? entry.resort.slug : null;
+    };
+    grid.addEventListener('mouseover', e => highlightMarker(slugOf(e.target)));
+    grid.addEventListener('mouseleave', () => highlightMarker(null));
+    grid.addEventListener('focusin', e => highlightMarker(slugOf(e.target)));
+    grid.addEventListener('focusout', e => {
+        if (!grid.contains(e.relatedTarget)) highlightMarker(null);
     });
+    grid.addEventListener('animationend', e => {
+        if (e.target.classList.contains('map-linked')) e.target.classList.remove('map-linked');
+    });
+}
+
+/**
+ * Limit the grid to the resorts inside `bounds` (Leaflet LatLngBounds), or
+ * lift the limit with null.
+ */
+function setMapArea(bounds) {
+    mapArea = bounds;
+    const btn = document.getElementById('mapAreaBtn');
+    if (btn) btn.setAttribute('aria-pressed', String(!!bounds));
+    const clearBtn = document.getElementById('mapAreaClear');
+    if (clearBtn) clearBtn.classList.toggle('hidden', !bounds);
+    applyFilters();
+}
+
+/**
+ * (Re)fill the map metric <select> in the current language.
+ */
+function fillMapControls() {
+    const select = document.getElementById('mapMetric');
+    if (!select) return;
+    select.textContent = '';
+    Object.keys(MAP_METRICS).forEach(id => {
+        select.appendChild(el('option', { text: t(`map.metric.${id}`), attrs: { value: id } }));
+    });
+    select.value = getMapMetric();
 }
 
 function initMapToggle() {
@@ -420,47 +678,145 @@ function initMapToggle() {
     const container = document.getElementById('mapContainer');
     if (!btn || !container) return;
 
-    btn.addEventListener('click', () => {
-        const isVisible = !container.classList.contains('hidden');
-        if (isVisible) {
-            container.classList.add('hidden');
-            btn.classList.remove('active');
-            btn.setAttribute('aria-pressed', 'false');
-        } else {
-            container.classList.remove('hidden');
-            btn.classList.add('active');
-            btn.setAttribute('aria-pressed', 'true');
-            initMap();
+    btn.addEventListener('click', () => setMapVisible(container.classList.contains('hidden')));
+
+    const areaBtn = document.getElementById('mapAreaBtn');
+    if (areaBtn) areaBtn.addEventListener('click', () => setMapArea(mapInstance ? mapInstance.getBounds() : null));
+    const areaClear = document.getElementById('mapAreaClear');
+    if (areaClear) areaClear.addEventListener('click', () => setMapArea(null));
+
+    fillMapControls();
+    const select = document.getElementById('mapMetric');
+    if (select) {
+        select.addEventListener('change', () => {
+            setMapMetric(select.value);
             updateMapMarkers();
-            if (mapInstance) mapInstance.invalidateSize();
-        }
+        });
+    }
+}
+
+function setMapVisible(visible) {
+    const btn = document.getElementById('mapToggle');
+    const container = document.getElementById('mapContainer');
+    if (!btn || !container) return;
+
+    if (visible === !container.classList.contains('hidden')) return;
+    container.classList.toggle('hidden', !visible);
+    btn.classList.toggle('active', visible);
+    btn.setAttribute('aria-pressed', String(visible));
+    saveUrlState(true);
+    if (visible) {
+        initMap();
+        updateMapMarkers();
+        if (mapInstance) mapInstance.invalidateSize();
+    } else {
+        stopMapPick();
+        if (mapArea) setMapArea(null);
+    }
+}
+
+/**
+ * Open the map and hand the next click on it to `onPick(lat, lon)`.
+ * @param {string}   hint    Shown above the map meanwhile
+ * @param {Function} onPick
+ */
+function startMapPick(hint, onPick) {
+    setMapVisible(true);
+    mapPickHandler = onPick;
+    const hintEl = document.getElementById('mapHint');
+    if (hintEl) {
+        hintEl.textContent = hint;
+        hintEl.classList.remove('hidden');
+    }
+    const container = document.getElementById('mapContainer');
+    if (container) container.classList.add('picking-point');
+}
+
+function stopMapPick() {
+    mapPickHandler = null;
+    const hint = document.getElementById('mapHint');
+    if (hint) hint.classList.add('hidden');
+    const container = document.getElementById('mapContainer');
+    if (container) container.classList.remove('picking-point');
+}
+
+/* ===========================
+   Home location
+   =========================== */
+
+/**
+ * Open the map and let the next click on it set the home point.
+ */
+function startHomePick() {
+    startMapPick(t('home.pickHint'), (lat, lon) => {
+        setHome({ source: 'map', lat, lon });
+        onHomeChange();
     });
 }
 
+/**
+ * Home point or radius changed: distances, radius filter, distance sort and map.
+ */
+function onHomeChange() {
+    stopMapPick();
+    fillHomeControls();
+    updateHomeMarker();
+    renderGrid();
+}
+
 /* ===========================
    Filtering
    =========================== */
-let allCards = []; // [{resort, card, data}]
+let allCards = []; // [{resort, card, data, bands, savedAt, visible}] – data is the base band, savedAt set when cached
 let activeFilter = 'all';
 let searchQuery = '';
 
 function applyFilters() {
-    allCards.forEach(({ resort, card }) => {
-        const matchesFilter = activeFilter === 'all' || resort.country === activeFilter;
+    const favorites = getFavorites();
+    const home = getHome();
+    const radius = home ? getHomeRadius() : null;
+    let shown = 0;
+    allCards.forEach(entry => {
+        const { resort, card } = entry;
+        const matchesFilter = activeFilter === 'all'
+            || (activeFilter === 'favorites' ? favorites.includes(resort.slug) : resort.country === activeFilter);
         const matchesSearch = resort.name.toLowerCase().includes(searchQuery.toLowerCase());
-        card.style.display = matchesFilter && matchesSearch ? '' : 'none';
+        const matchesRadius = radius == null || distanceKm(home.lat, home.lon, resort.lat, resort.lon) <= radius;
+        const matchesArea = !mapArea || mapArea.contains([resort.lat, resort.lon]);
+        entry.visible = matchesFilter && matchesSearch && matchesRadius && matchesArea;
+        card.style.display = entry.visible ? '' : 'none';
+        if (entry.visible) shown++;
     });
+    showFilteredMarkers();
+
+    const empty = document.getElementById('gridEmpty');
+    if (!empty) return;
+    empty.classList.toggle('hidden', shown > 0 || allCards.length === 0);
+    if (activeFilter === 'favorites' && favorites.length === 0) empty.textContent = t('favorites.empty');
+    else empty.textContent = mapArea ? t('map.areaEmpty') : t('grid.noMatch');
+}
+
+/**
+ * Select a filter button ("all", a country or "favorites"); unknown values
+ * fall back to "all".
+ */
+function setActiveFilter(filter) {
+    const btns = [...document.querySelectorAll('.filter-btn[data-filter]')];
+    const target = btns.find(b => b.dataset.filter === filter) ? filter : 'all';
+    btns.forEach(b => {
+        const active = b.dataset.filter === target;
+        b.classList.toggle('active', active);
+        b.setAttribute('aria-pressed', String(active));
+    });
+    activeFilter = target;
+    applyFilters();
 }
 
 function initFilters() {
-    const btns = document.querySelectorAll('.filter-btn[data-filter]');
-    btns.forEach(btn => {
+    document.querySelectorAll('.filter-btn[data-filter]').forEach(btn => {
         btn.addEventListener('click', () => {
-            btns.forEach(b => { b.classList.remove('active'); b.setAttribute('aria-pressed', 'false'); });
-            btn.classList.add('active');
-            btn.setAttribute('aria-pressed', 'true');
-            activeFilter = btn.dataset.filter;
-            applyFilters();
+            setActiveFilter(btn.dataset.filter);
+            saveUrlState(true);
         });
     });
 
@@ -469,47 +825,178 @@ function initFilters() {
         searchInput.addEventListener('input', () => {
             searchQuery = searchInput.value.trim();
             applyFilters();
+            saveUrlState();
         });
     }
 }
 
 /* ===========================
-   Error handling
+   Sorting
    =========================== */
-function showError(message) {
-    const banner = document.getElementById('errorBanner');
-    if (!banner) return;
-    banner.textContent = message;
-    banner.classList.remove('hidden');
+const SORT_STORAGE_KEY = 'gridSort';
+
+// Sort key → value of a grid entry (metric; null when unknown, e.g. a failed
+// resort). Option names are the "sort.<key>" messages; "catalogue" keeps the
+// order of data/resorts.json.
+const GRID_SORTS = {
+    catalogue:     null,
+    snowDepth:     ({ data }) => data && currentSnowDepthCm(data.hourly),
+    snowfallToday: ({ data }) => data && data.daily.snowfall_sum ? data.daily.snowfall_sum[0] : null,
+    snowfall3d:    ({ data }) => data && data.daily.snowfall_sum ? data.daily.snowfall_sum.slice(0, 3).reduce((a, b) => a + (b ?? 0), 0) : null,
+    temperature:   ({ data }) => data && data.current_weather.temperature,
+    wind:          ({ data }) => data && data.current_weather.windspeed,
+    score:         ({ data }) => data && rateConditions(conditionsFromForecast(data)).score,
+    altitude:      ({ resort }) => resort.altitude,
+    name:          ({ resort }) => resort.name,
+    distance:      ({ resort }) => resortDistanceKm(resort),
+};
+
+// Keys whose natural order is ascending (A → Z, closest first); the others start descending
+const ASCENDING_SORTS = ['catalogue', 'name', 'distance'];
+
+/**
+ * Persisted grid order.
+ * @returns {{key: string, dir: 'asc'|'desc'}}
+ */
+function getGridSort() {
+    const stored = readStored(SORT_STORAGE_KEY, {}) || {};
+    return {
+        key: stored.key in GRID_SORTS ? stored.key : 'catalogue',
+        dir: stored.dir === 'asc' ? 'asc' : 'desc',
+    };
+}
+
+function setGridSort(sort) {
+    writeStored(SORT_STORAGE_KEY, sort);
+}
+
+/**
+ * Entries in the persisted order; unknown values always go last.
+ * @param {object[]} entries  allCards entries
+ * @returns {object[]} A new array
+ */
+function sortEntries(entries) {
+    const { key, dir } = getGridSort();
+    const valueOf = GRID_SORTS[key];
+    if (!valueOf) return [...entries];
+
+    const sign = dir === 'asc' ? 1 : -1;
+    const values = new Map(entries.map(entry => [entry, valueOf(entry)]));
+    return [...entries].sort((a, b) => {
+        const va = values.get(a);
+        const vb = values.get(b);
+        if (va == null || vb == null) return (va == null) - (vb == null);
+        const diff = typeof va === 'string' ? va.localeCompare(vb, getLocale()) : va - vb;
+        return sign * diff;
+    });
+}
+
+/**
+ * (Re)fill the sort <select> and the direction button in the current language.
+ */
+function fillSortControls() {
+    const select = document.getElementById('sortSelect');
+    const dirBtn = document.getElementById('sortDirection');
+    if (!select || !dirBtn) return;
+
+    const { key, dir } = getGridSort();
+    select.textContent = '';
+    Object.keys(GRID_SORTS).forEach(id => {
+        select.appendChild(el('option', { text: t(`sort.${id}`), attrs: { value: id } }));
+    });
+    select.value = key;
+
+    const label = t(dir === 'asc' ? 'sort.asc' : 'sort.desc');
+    dirBtn.textContent = dir === 'asc' ? '↑' : '↓';
+    dirBtn.setAttribute('aria-label', label);
+    dirBtn.setAttribute('title', label);
+    dirBtn.disabled = key === 'catalogue';
+}
+
+/**
+ * Tell screen-reader users the new order and which resorts now lead the grid.
+ */
+function announceSort() {
+    const status = document.getElementById('sortStatus');
+    if (!status) return;
+    const { key, dir } = getGridSort();
+    const first = orderedCards()
+        .filter(entry => entry.card && entry.card.style.display !== 'none')
+        .slice(0, 3)
+        .map(entry => entry.resort.name);
+    status.textContent = t('sort.announce', {
+        criterion: t(`sort.${key}`),
+        direction: key === 'catalogue' ? '' : `, ${t(dir === 'asc' ? 'sort.asc' : 'sort.desc')}`,
+        first:     first.join(', '),
+    });
 }
 
-function hideError() {
-    const banner = document.getElementById('errorBanner');
-    if (banner) banner.classList.add('hidden');
+function initSort() {
+    const select = document.getElementById('sortSelect');
+    const dirBtn = document.getElementById('sortDirection');
+    if (!select || !dirBtn) return;
+
+    const apply = sort => {
+        setGridSort(sort);
+        fillSortControls();
+        placeCards();
+        announceSort();
+    };
+    fillSortControls();
+    select.addEventListener('change', () => {
+        apply({ key: select.value, dir: ASCENDING_SORTS.includes(select.value) ? 'asc' : 'desc' });
+    });
+    dirBtn.addEventListener('click', () => {
+        const { key, dir } = getGridSort();
+        apply({ key, dir: dir === 'asc' ? 'desc' : 'asc' });
+    });
+}
+
+/* ===========================
+   Error handling
+   =========================== */
+/**
+ * Banner summarising failed and offline resorts of the last refresh.
+ */
+function showGridStatus() {
+    if (allCards.length === 0) return;
+    const errorCount = allCards.filter(entry => !entry.bands).length;
+    const staleCount = allCards.filter(entry => entry.savedAt).length;
+    if (errorCount > 0) {
+        showError(t('error.forecasts', { count: errorCount }));
+    } else if (staleCount > 0) {
+        showError(t('error.offlineGrid', { count: staleCount }));
+    } else {
+        hideError();
+    }
 }
 
 /* ===========================
    Last-updated timestamp
    =========================== */
+let lastUpdatedAt = null;
+
 function updateTimestamp() {
     const timestampEl = document.getElementById('lastUpdated');
-    if (!timestampEl) return;
-    const now = new Date();
-    timestampEl.textContent = `Mise à jour : ${now.toLocaleDateString('fr-FR')} ${now.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' })}`;
+    if (!timestampEl || !lastUpdatedAt) return;
+    timestampEl.textContent = t('status.updated', { time: formatDateTime(lastUpdatedAt) });
 }
 
 /* ===========================
    Comparison Feature
    =========================== */
-const selectedForCompare = new Set(); // Set of resort name strings (e.g. 'Chamonix')
+const selectedForCompare = new Set(); // Set of resort slugs (e.g. 'chamonix')
+
+const MAX_COMPARE = 6;
 
-function toggleCompare(resortName) {
-    if (selectedForCompare.has(resortName)) {
-        selectedForCompare.delete(resortName);
-    } else if (selectedForCompare.size < 3) {
-        selectedForCompare.add(resortName);
+function toggleCompare(slug) {
+    if (selectedForCompare.has(slug)) {
+        selectedForCompare.delete(slug);
+    } else if (selectedForCompare.size < MAX_COMPARE) {
+        selectedForCompare.add(slug);
     }
     updateCompareUI();
+    saveUrlState();
 }
 
 function updateCompareUI() {
@@ -520,29 +1007,36 @@ function updateCompareUI() {
 
     if (count >= 2) {
         bar.classList.remove('hidden');
-        countEl.textContent = `${count} station${count > 1 ? 's' : ''} sélectionnée${count > 1 ? 's' : ''}`;
+        countEl.textContent = t('compare.count', { count });
     } else {
         bar.classList.add('hidden');
     }
 
     allCards.forEach(({ resort, card }) => {
-        const isSelected = selectedForCompare.has(resort.name);
+        const isSelected = selectedForCompare.has(resort.slug);
         const btn = card.querySelector('.compare-toggle-btn');
-        if (btn) {
-            btn.setAttribute('aria-pressed', isSelected ? 'true' : 'false');
-            btn.textContent = isSelected ? '✓ Sélectionné' : '+ Comparer';
-            if (!isSelected && count >= 3) {
-                btn.setAttribute('disabled', 'true');
-            } else {
-                btn.removeAttribute('disabled');
-            }
-        }
+        if (btn) syncCompareButton(btn, resort.slug);
         if (isSelected) {
             card.classList.add('compare-selected');
         } else {
             card.classList.remove('compare-selected');
         }
     });
+    mapCompareButtons.forEach(({ button, slug }) => syncCompareButton(button, slug));
+}
+
+/**
+ * Pressed state, label and availability of a "+ Comparer" button.
+ */
+function syncCompareButton(btn, slug) {
+    const isSelected = selectedForCompare.has(slug);
+    btn.setAttribute('aria-pressed', isSelected ? 'true' : 'false');
+    btn.textContent = isSelected ? t('compare.selected') : t('compare.add');
+    if (!isSelected && selectedForCompare.size >= MAX_COMPARE) {
+        btn.setAttribute('disabled', 'true');
+    } else {
+        btn.removeAttribute('disabled');
+    }
 }
 
 function openCompareModal() {
@@ -550,101 +1044,328 @@ function openCompareModal() {
     const container = document.getElementById('compareTableContainer');
     if (!modal || !container) return;
 
-    const selected = allCards.filter(({ resort }) => selectedForCompare.has(resort.name));
+    const selected = allCards.filter(({ resort }) => selectedForCompare.has(resort.slug));
+    const days = compareDays(selected);
     container.textContent = '';
-    container.appendChild(buildCompareTable(selected));
+    container.appendChild(buildCompareToolbar(selected, days));
+    if (days.length) container.appendChild(buildCompareCharts(selected, days));
+    container.appendChild(buildCompareTable(selected, days));
 
+    const wasOpen = !modal.classList.contains('hidden');
     modal.classList.remove('hidden');
+    if (!wasOpen) saveUrlState(true);
     const closeBtn = document.getElementById('compareModalClose');
     if (closeBtn) closeBtn.focus();
 }
 
 function closeCompareModal() {
     const modal = document.getElementById('compareModal');
-    if (modal) modal.classList.add('hidden');
+    if (!modal || modal.classList.contains('hidden')) return;
+    modal.classList.add('hidden');
+    saveUrlState();
+}
+
+/**
+ * Value of a daily series on a date, null when the resort has no data for it.
+ */
+function dailyValue(data, key, date) {
+    if (!data || !data.daily || !data.daily[key]) return null;
+    const i = data.daily.time.indexOf(date);
+    return i >= 0 ? data.daily[key][i] ?? null : null;
 }
 
-function buildCompareTable(selected) {
+/**
+ * Forecast dates covered by at least one of the compared resorts.
+ * @returns {string[]} YYYY-MM-DD, in order
+ */
+function compareDays(selected) {
+    const days = new Set();
+    selected.forEach(({ data }) => {
+        if (data && data.daily) data.daily.time.forEach(date => days.add(date));
+    });
+    return [...days].sort();
+}
+
+/**
+ * Best of a row's values ("max" or "min"); null when fewer than two resorts
+ * have one or they are all equal, so nothing stands out.
+ */
+function bestCompareValue(values, best) {
+    const defined = values.filter(Number.isFinite);
+    if (defined.length < 2 || defined.every(v => v === defined[0])) return null;
+    return best === 'max' ? Math.max(...defined) : Math.min(...defined);
+}
+
+function buildCompareTable(selected, days) {
     const wrapper = el('div', { cls: ['compare-table-wrapper'] });
     const table = document.createElement('table');
     table.classList.add('compare-table-el');
 
-    // Header: resort names
+    // Header: resort names, with their colour in the charts
     const thead = document.createElement('thead');
     const headerRow = document.createElement('tr');
-    const thEmpty = el('th', { cls: ['compare-th-label'], text: 'Critère' });
+    const thEmpty = el('th', { cls: ['compare-th-label'], text: t('compare.criterion') });
     headerRow.appendChild(thEmpty);
-    selected.forEach(({ resort }) => {
-        const th = el('th', { cls: ['compare-th-resort'] });
-        th.appendChild(el('div', { cls: ['compare-resort-name'], text: resort.name }));
-        th.appendChild(el('div', { cls: ['compare-resort-meta'], text: `${resort.country} · ${resort.altitude} m` }));
+    selected.forEach(({ resort }, k) => {
+        const th = el('th', { cls: ['compare-th-resort'], attrs: { scope: 'col' } });
+        const name = el('div', { cls: ['compare-resort-name'] });
+        name.appendChild(el('span', { cls: ['compare-swatch', `compare-series-${k}`], attrs: { 'aria-hidden': 'true' } }));
+        name.appendChild(document.createTextNode(resort.name));
+        th.appendChild(name);
+        th.appendChild(el('div', { cls: ['compare-resort-meta'], text: `${countryName(resort.country)} · ${resort.altitude} m` }));
         headerRow.appendChild(th);
     });
     thead.appendChild(headerRow);
     table.appendChild(thead);
 
-    const tbody = document.createElement('tbody');
+    let tbody = null;
+
+    // One <tbody> per block ("now", then each day) under a heading row
+    function addGroup(heading) {
+        tbody = document.createElement('tbody');
+        const row = document.createElement('tr');
+        row.appendChild(el('th', {
+            cls:   ['compare-group-heading'],
+            text:  heading,
+            attrs: { colspan: String(selected.length + 1), scope: 'colgroup' },
+        }));
+        tbody.appendChild(row);
+        table.appendChild(tbody);
+    }
 
-    function addRow(label, values) {
+    // `best` ("max" / "min") highlights the cells holding the best `value`
+    function addRow(label, values, best = null) {
+        const bestValue = best ? bestCompareValue(values.map(({ value }) => value), best) : null;
         const row = document.createElement('tr');
-        row.appendChild(el('td', { cls: ['compare-td-label'], text: label }));
-        values.forEach(({ text, extraCls = [] }) => {
-            const td = el('td', { cls: ['compare-td', ...extraCls] });
-            td.textContent = text;
+        row.appendChild(el('th', { cls: ['compare-td-label'], text: label, attrs: { scope: 'row' } }));
+        values.forEach(({ text, value, extraCls = [] }) => {
+            const isBest = bestValue != null && value === bestValue;
+            const td = el('td', { cls: ['compare-td', ...extraCls, ...(isBest ? ['compare-best'] : [])], text });
+            if (isBest) td.appendChild(el('span', { cls: ['sr-only'], text: ` (${t('compare.best')})` }));
             row.appendChild(td);
         });
         tbody.appendChild(row);
     }
 
-    addRow('Météo actuelle', selected.map(({ data }) => {
+    addGroup(t('compare.now'));
+
+    addRow(t('compare.weatherNow'), selected.map(({ data }) => {
         if (!data) return { text: '–' };
-        const w = WMO_CODES[data.current_weather.weathercode] || DEFAULT_WEATHER;
+        const w = weatherInfo(data.current_weather.weathercode);
         return { text: `${w.icon} ${w.desc}` };
     }));
 
-    addRow('Température', selected.map(({ data }) => {
+    addRow(t('stat.temperature'), selected.map(({ data }) => {
         if (!data) return { text: '–' };
-        return { text: `${Math.round(data.current_weather.temperature)}°C` };
+        return { text: formatTemp(data.current_weather.temperature) };
     }));
 
-    addRow('Enneigement', selected.map(({ data }) => {
+    addRow(t('stat.snowDepth'), selected.map(({ data }) => {
         if (!data) return { text: '–' };
         const snowCm = currentSnowDepthCm(data.hourly);
-        return { text: snowCm != null ? `${snowCm} cm` : '–', extraCls: ['snow-value'] };
-    }));
+        return { text: snowCm != null ? formatDepth(snowCm) : '–', value: snowCm, extraCls: ['snow-value'] };
+    }), 'max');
 
-    addRow('Vent', selected.map(({ data }) => {
+    addRow(t('stat.wind'), selected.map(({ data }) => {
         if (!data) return { text: '–' };
-        const wind = Math.round(data.current_weather.windspeed);
-        return { text: `${wind} km/h`, extraCls: wind > 60 ? ['wind-high'] : [] };
-    }));
-
-    addRow('Min / Max', selected.map(({ data }) => {
-        if (!data || !data.daily || !data.daily.temperature_2m_min) return { text: '–' };
-        const min = Math.round(data.daily.temperature_2m_min[0]);
-        const max = Math.round(data.daily.temperature_2m_max[0]);
-        return { text: `${min}° / ${max}°C` };
-    }));
+        const wind = data.current_weather.windspeed;
+        return { text: formatWind(wind), value: wind, extraCls: isHighWind(wind) ? ['wind-high'] : [] };
+    }), 'min');
+
+    // Visibility (with the whiteout warning), feels-like and gusts
+    const comfort = selected.map(({ data }) => {
+        if (!data) return null;
+        const conditions = conditionsFromForecast(data);
+        return { conditions, stats: comfortStats(conditions) };
+    });
+    [
+        { label: t('stat.visibility'), key: 'visibilityM', best: 'max' },
+        { label: t('stat.feelsLike'),  key: 'feelsLikeC',  best: null },
+        { label: t('stat.gusts'),      key: 'gustKmh',     best: 'min' },
+    ].forEach(({ label, key, best }) => {
+        addRow(label, comfort.map(entry => {
+            const stat = entry && entry.stats.find(s => s.key === key);
+            if (!stat) return { text: '–' };
+            const whiteout = key === 'visibilityM' && isWhiteoutRisk(entry.conditions);
+            return {
+                text:     whiteout ? `${stat.text} · ⚠️ ${t('conditions.whiteout')}` : stat.text,
+                value:    entry.conditions[key],
+                extraCls: stat.cls,
+            };
+        }), best);
+    });
 
-    addRow('Chutes prévues', selected.map(({ data }) => {
-        if (!data || !data.daily) return { text: '–' };
-        const sf = data.daily.snowfall_sum ? Math.round(data.daily.snowfall_sum[0]) : 0;
-        return { text: `${sf} cm`, extraCls: ['snow-value'] };
-    }));
+    addRow(t('stat.skiConditions'), selected.map(({ data }) => {
+        if (!data) return { text: '–' };
+        const rating = rateConditions(conditionsFromForecast(data));
+        return { text: `${rating.label} (${rating.score}/100)`, value: rating.score, extraCls: [rating.class] };
+    }), 'max');
 
-    addRow('Conditions ski', selected.map(({ data }) => {
+    addRow(t('compare.why'), selected.map(({ data }) => {
         if (!data) return { text: '–' };
-        const cw = data.current_weather;
-        const snowCm = currentSnowDepthCm(data.hourly);
-        const rating = computeRating(cw.weathercode, Math.round(cw.windspeed), snowCm ?? 0);
-        return { text: rating.label, extraCls: [rating.class] };
+        const { reasons } = rateConditions(conditionsFromForecast(data));
+        return { text: reasons.length ? reasons.map(formatReason).join('\n') : '–', extraCls: ['compare-td-reasons'] };
     }));
 
-    table.appendChild(tbody);
+    days.forEach(date => {
+        addGroup(`${shortDay(date)} ${formatDayMonth(date)}`);
+
+        addRow(t('compare.weather'), selected.map(({ data }) => {
+            const code = dailyValue(data, 'weathercode', date);
+            if (code == null) return { text: '–' };
+            const w = weatherInfo(code);
+            return { text: `${w.icon} ${w.desc}` };
+        }));
+
+        addRow(t('stat.minMax'), selected.map(({ data }) => {
+            const min = dailyValue(data, 'temperature_2m_min', date);
+            const max = dailyValue(data, 'temperature_2m_max', date);
+            return { text: min != null && max != null ? formatTempRange(min, max) : '–' };
+        }));
+
+        addRow(t('stat.snowfall'), selected.map(({ data }) => {
+            const snowfall = dailyValue(data, 'snowfall_sum', date);
+            return { text: snowfall != null ? formatDepth(snowfall) : '–', value: snowfall, extraCls: ['snow-value'] };
+        }), 'max');
+
+        addRow(t('stat.windMax'), selected.map(({ data }) => {
+            const wind = dailyValue(data, 'windspeed_10m_max', date);
+            if (wind == null) return { text: '–' };
+            return { text: formatWind(wind), value: wind, extraCls: isHighWind(wind) ? ['wind-high'] : [] };
+        }), 'min');
+
+        addRow(t('stat.skiConditions'), selected.map(({ data }) => {
+            const rating = dailyRating(data, date);
+            if (!rating) return { text: '–' };
+            return { text: `${rating.label} (${rating.score}/100)`, value: rating.score, extraCls: [rating.class] };
+        }), 'max');
+    });
+
     wrapper.appendChild(table);
     return wrapper;
 }
 
+/* Side-by-side daily charts, one series per resort */
+
+// Charts drawn, left to right; titles are the `label` messages
+const COMPARE_CHARTS = [
+    { key: 'snowfall_sum',       label: 'stat.snowfall',   type: 'bar',  format: v => formatDepth(v) },
+    { key: 'temperature_2m_max', label: 'compare.tempMax', type: 'line', format: v => formatTemp(v) },
+    { key: 'windspeed_10m_max',  label: 'stat.windMax',    type: 'line', format: v => formatWind(v) },
+];
+
+const COMPARE_CHART_SIZE = { width: 260, height: 130, padLeft: 44, padRight: 8, padTop: 8, padBottom: 20 };
+
+/**
+ * One small chart of a daily series for every compared resort. Decorative
+ * for assistive tech: the table below holds the same values.
+ * @returns {HTMLElement}
+ */
+function buildCompareChart(chart, selected, days) {
+    const c = COMPARE_CHART_SIZE;
+    const series = selected.map(({ data }) => days.map(date => dailyValue(data, chart.key, date)));
+    const defined = series.flat().filter(v => v != null);
+    let min = chart.type === 'bar' || !defined.length ? 0 : Math.min(...defined);
+    let max = defined.length ? Math.max(...defined) : 1;
+    if (max - min < 1) { max += 0.5; min -= chart.type === 'line' ? 0.5 : 0; }
+
+    const slot = (c.width - c.padLeft - c.padRight) / days.length;
+    const x = i => c.padLeft + slot * (i + 0.5);
+    const y = v => c.height - c.padBottom - ((v - min) / (max - min)) * (c.height - c.padTop - c.padBottom);
+
+    const figure = el('figure', { cls: ['compare-chart'] });
+    figure.appendChild(el('figcaption', { cls: ['chart-title'], text: t(chart.label) }));
+    const svg = svgEl('svg', { viewBox: `0 0 ${c.width} ${c.height}`, class: 'chart-svg', 'aria-hidden': 'true', focusable: 'false' });
+
+    // Y labels: min and max; X labels: days
+    [min, max].forEach(v => {
+        const label = svgEl('text', { x: c.padLeft - 6, y: y(v) + 4, 'text-anchor': 'end', class: 'chart-tick' });
+        label.textContent = chart.format(v);
+        svg.appendChild(label);
+    });
+    days.forEach((date, i) => {
+        const label = svgEl('text', { x: x(i), y: c.height - 5, 'text-anchor': 'middle', class: 'chart-tick' });
+        label.textContent = shortDay(date);
+        svg.appendChild(label);
+    });
+    if (chart.type === 'line' && min < 0 && max > 0) {
+        svg.appendChild(svgEl('line', { x1: c.padLeft, y1: y(0), x2: c.width - c.padRight, y2: y(0), class: 'chart-zero' }));
+    }
+
+    // Bars side by side within each day, lines with a dot per day
+    const barWidth = (slot * 0.8) / series.length;
+    series.forEach((values, k) => {
+        const group = svgEl('g', { class: `compare-series-${k}` });
+        if (chart.type === 'bar') {
+            values.forEach((v, i) => {
+                if (!v) return;
+                group.appendChild(svgEl('rect', {
+                    x: (x(i) - slot * 0.4 + k * barWidth).toFixed(1), y: y(v).toFixed(1),
+                    width: Math.max(1, barWidth - 1).toFixed(1), height: Math.max(0.5, y(0) - y(v)).toFixed(1),
+                    class: 'chart-bar',
+                }));
+            });
+        } else {
+            const points = values.map((v, i) => (v != null ? [x(i).toFixed(1), y(v).toFixed(1)] : null)).filter(Boolean);
+            group.appendChild(svgEl('polyline', { points: points.map(p => p.join(',')).join(' '), class: 'chart-line' }));
+            points.forEach(([cx, cy]) => group.appendChild(svgEl('circle', { cx, cy, r: 2.5, class: 'chart-dot' })));
+        }
+        svg.appendChild(group);
+    });
+
+    figure.appendChild(svg);
+    return figure;
+}
+
+function buildCompareCharts(selected, days) {
+    const charts = el('div', { cls: ['compare-charts'] });
+    COMPARE_CHARTS.forEach(chart => charts.appendChild(buildCompareChart(chart, selected, days)));
+    return charts;
+}
+
+/* CSV export */
+
+/**
+ * One line per resort and forecast day, values in the display units.
+ * @returns {Array<Array<string|number|null>>}
+ */
+function compareCsvRows(selected, days) {
+    const round = value => (value != null ? Math.round(value * 10) / 10 : null);
+    const rows = [[
+        t('csv.resort'), t('csv.country'), t('csv.altitude'), t('csv.date'), t('csv.weather'),
+        t('csv.tempMin', { unit: unitLabel('temp') }), t('csv.tempMax', { unit: unitLabel('temp') }),
+        t('csv.snowfall', { unit: unitLabel('depth') }), t('csv.windMax', { unit: unitLabel('wind') }),
+        t('csv.score'), t('csv.rating'),
+    ]];
+    selected.forEach(({ resort, data }) => {
+        days.forEach(date => {
+            const value = key => dailyValue(data, key, date);
+            const code = value('weathercode');
+            const rating = dailyRating(data, date);
+            const convert = (key, fn) => (value(key) != null ? round(fn(value(key))) : null);
+            rows.push([
+                resort.name, countryName(resort.country), resort.altitude, date,
+                code != null ? weatherInfo(code).desc : null,
+                convert('temperature_2m_min', convertTemp), convert('temperature_2m_max', convertTemp),
+                convert('snowfall_sum', convertDepth), convert('windspeed_10m_max', convertWind),
+                rating ? rating.score : null, rating ? t(`rating.${rating.key}`) : null,
+            ]);
+        });
+    });
+    return rows;
+}
+
+function buildCompareToolbar(selected, days) {
+    const toolbar = el('div', { cls: ['compare-toolbar'] });
+    const exportBtn = el('button', { cls: ['compare-export-btn'], text: t('compare.exportCsv') });
+    exportBtn.addEventListener('click', () => {
+        const today = new Date().toISOString().slice(0, 10);
+        downloadCsv(`${t('compare.csvFilename')}-${today}.csv`, compareCsvRows(selected, days));
+    });
+    toolbar.appendChild(exportBtn);
+    return toolbar;
+}
+
 function initCompare() {
     const compareBtn = document.getElementById('compareBtn');
     if (compareBtn) compareBtn.addEventListener('click', openCompareModal);
@@ -653,6 +1374,7 @@ function initCompare() {
     if (clearBtn) clearBtn.addEventListener('click', () => {
         selectedForCompare.clear();
         updateCompareUI();
+        saveUrlState();
     });
 
     const closeBtn = document.getElementById('compareModalClose');
@@ -671,47 +1393,151 @@ function initCompare() {
 }
 
 /* ===========================
-   Main init
+   URL state
+   Filters, search, map and comparison live in the query string so a view
+   can be shared, e.g. "?country=Suisse&map=1&compare=verbier,zermatt".
+   Compared resorts are listed by slug (names may contain commas); links
+   that still list names keep working.
+   Typing and selections replace the current history entry; switching a
+   filter, the map or the comparison adds one so back/forward walk through them.
    =========================== */
-async function init() {
-    const grid = document.getElementById('resortsGrid');
-    if (!grid) return;
+let restoringUrlState = false; // set while the UI follows the URL, so it is not written back
+let urlStateRestored = false;  // the full state (with the comparison) is applied once, after the first load
+
+function isCompareModalOpen() {
+    const modal = document.getElementById('compareModal');
+    return !!modal && !modal.classList.contains('hidden');
+}
 
-    renderSkeletons(grid, RESORTS.length);
+/**
+ * URL of the current UI state; "#compare" marks the open comparison.
+ */
+function buildStateUrl() {
+    const params = new URLSearchParams();
+    if (activeFilter === 'favorites') params.set('favorites', '1');
+    else if (activeFilter !== 'all') params.set('country', activeFilter);
+    if (searchQuery) params.set('q', searchQuery);
+    const mapContainer = document.getElementById('mapContainer');
+    if (mapContainer && !mapContainer.classList.contains('hidden')) params.set('map', '1');
+    if (selectedForCompare.size > 0) params.set('compare', [...selectedForCompare].join(','));
 
-    const results = await Promise.allSettled(
-        RESORTS.map(resort => fetchResortWeather(resort))
-    );
+    // Commas read better than %2C in a shared link and are valid in a query
+    const query = params.toString().replace(/%2C/g, ',');
+    return `${location.pathname}${query ? `?${query}` : ''}${isCompareModalOpen() ? '#compare' : ''}`;
+}
 
-    grid.textContent = '';
-    allCards = [];
+/**
+ * Write the UI state to the URL.
+ * @param {boolean} [push]  New history entry instead of replacing the current one
+ */
+function saveUrlState(push = false) {
+    if (restoringUrlState) return;
+    const url = buildStateUrl();
+    if (url === `${location.pathname}${location.search}${location.hash}`) return;
+    if (push) history.pushState(null, '', url);
+    else history.replaceState(null, '', url);
+}
 
-    let errorCount = 0;
+/**
+ * Make the UI follow the URL (on load and on back/forward). The comparison
+ * opens when the URL says so, or on first load when it names at least 2
+ * resorts (the first MAX_COMPARE are kept).
+ * @param {boolean} [firstLoad]
+ */
+function applyUrlState(firstLoad = false) {
+    const params = new URLSearchParams(location.search);
+    restoringUrlState = true;
 
-    results.forEach((result, i) => {
-        const resort = RESORTS[i];
-        if (result.status === 'fulfilled') {
-            const card = buildResortCard(resort, result.value);
-            allCards.push({ resort, card, data: result.value });
-            grid.appendChild(card);
-        } else {
-            errorCount++;
-            // Render an error placeholder card
-            const errCard = el('article', { cls: ['resort-card', 'rating-poor'] });
-            errCard.appendChild(el('div', { cls: ['resort-name'], text: resort.name }));
-            errCard.appendChild(el('div', { cls: ['weather-desc'], text: '⚠ Données non disponibles' }));
-            allCards.push({ resort, card: errCard, data: null });
-            grid.appendChild(errCard);
-        }
+    setActiveFilter(params.get('favorites') === '1' ? 'favorites' : params.get('country') || 'all');
+
+    searchQuery = (params.get('q') || '').trim();
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput) searchInput.value = searchQuery;
+    applyFilters();
+
+    setMapVisible(params.get('map') === '1');
+
+    // Only known resorts, at most MAX_COMPARE, once they are loaded
+    const keys = (params.get('compare') || '').split(',').map(key => key.trim()).filter(Boolean);
+    const resorts = allCards.map(({ resort }) => resort);
+    const known = allCards.length
+        ? keys.map(key => findResort(resorts, key)).filter(Boolean).map(resort => resort.slug)
+        : keys;
+    selectedForCompare.clear();
+    [...new Set(known)].slice(0, MAX_COMPARE).forEach(slug => selectedForCompare.add(slug));
+    if (allCards.length) updateCompareUI();
+
+    const openCompare = selectedForCompare.size >= 2 && allCards.length > 0
+        && (location.hash === '#compare' || firstLoad);
+    if (openCompare) openCompareModal();
+    else closeCompareModal();
+
+    restoringUrlState = false;
+    // Normalise the URL (dropped unknown resorts, "#compare" on first load)
+    saveUrlState();
+}
+
+/* ===========================
+   Grid rendering
+   =========================== */
+
+/**
+ * Error placeholder for a resort whose forecast could not be loaded.
+ */
+function buildErrorCard(resort) {
+    const errCard = el('article', { cls: ['resort-card', 'rating-poor'] });
+    errCard.appendChild(el('div', { cls: ['resort-name'], text: resort.name }));
+    errCard.appendChild(el('div', { cls: ['weather-desc'], text: `⚠ ${t('wmo.unknown')}` }));
+    return errCard;
+}
+
+/**
+ * Grid order: favourites first, in the user's order, then the other resorts
+ * in the chosen sort order.
+ */
+function orderedCards() {
+    const favorites = getFavorites();
+    const pinned = favorites
+        .map(slug => allCards.find(entry => entry.resort.slug === slug))
+        .filter(Boolean);
+    return [...pinned, ...sortEntries(allCards.filter(entry => !favorites.includes(entry.resort.slug)))];
+}
+
+/**
+ * Put the existing cards in grid order without rebuilding them.
+ */
+function placeCards() {
+    const grid = document.getElementById('resortsGrid');
+    if (!grid) return;
+    orderedCards().forEach(entry => {
+        if (entry.card) grid.appendChild(entry.card);
     });
+}
 
-    if (errorCount > 0) {
-        showError(`Impossible de charger les données de ${errorCount} station(s). Vérifiez votre connexion ou réessayez plus tard.`);
-    } else {
-        hideError();
-    }
+/**
+ * Entries of the cards currently shown, in grid order – what the exports cover.
+ */
+function displayedEntries() {
+    return orderedCards().filter(({ card }) => card && card.style.display !== 'none');
+}
+
+/**
+ * (Re)build every card from the data already in `allCards` – used after a
+ * fetch and when a setting such as the rating profile changes.
+ */
+function renderGrid() {
+    const grid = document.getElementById('resortsGrid');
+    if (!grid) return;
+
+    grid.textContent = '';
+    allCards.forEach(entry => {
+        entry.card = entry.bands
+            ? buildResortCard(entry.resort, entry.bands, entry.savedAt, entry.models)
+            : buildErrorCard(entry.resort);
+        if (isFavorite(entry.resort.slug)) entry.card.classList.add('favorite');
+    });
+    placeCards();
 
-    updateTimestamp();
     updateCompareUI();
     applyFilters(); // re-apply active country filter + search query after data refresh
 
@@ -720,15 +1546,202 @@ async function init() {
     if (mapContainer && !mapContainer.classList.contains('hidden')) {
         updateMapMarkers();
     }
+}
+
+/**
+ * Re-render after the favourites changed and give the focus back to the
+ * control the user was on, now that its card may have moved.
+ * @param {string} slug
+ * @param {string} selector  Control inside the card, e.g. ".favorite-btn"
+ */
+function refreshFavorites(slug, selector) {
+    renderGrid();
+    const entry = allCards.find(e => e.resort.slug === slug);
+    if (!entry) return;
+    const target = entry.card.querySelector(`${selector}:not([disabled])`)
+        || entry.card.querySelector('.favorite-move-btn:not([disabled]), .favorite-btn');
+    if (target) target.focus();
+}
+
+/**
+ * Grid entry of a resort from its settled forecast result.
+ */
+function gridEntry(resort, result) {
+    const bands = result.status === 'fulfilled' ? result.value : null;
+    return { resort, card: null, data: bands ? bands.base : null, bands, savedAt: bands ? result.savedAt : null, models: null };
+}
+
+/* ===========================
+   Model confidence
+   =========================== */
+
+/**
+ * Put (or replace) the multi-model confidence badge next to the card's
+ * 3-day forecast title.
+ */
+function setConfidenceBadge(card, modelData) {
+    const title = card.querySelector('.forecast-title');
+    if (!title) return;
+    const previous = title.querySelector('.confidence-badge');
+    if (previous) previous.remove();
+    const badge = buildConfidenceBadge(modelOutlook(modelData));
+    if (badge) title.appendChild(badge);
+}
+
+/**
+ * Fetch the multi-model forecast of some grid entries after the cards are
+ * shown and add their badges in place, so nothing moves under the user.
+ * The badge is an extra: a failure only leaves it out.
+ */
+async function loadModelConfidence(entries) {
+    const withData = entries.filter(entry => entry.bands);
+    if (withData.length === 0) return;
+    const models = await fetchModelForecasts(withData.map(entry => entry.resort));
+    withData.forEach((entry, i) => {
+        if (!models[i]) return;
+        entry.models = models[i];
+        // A refresh may have replaced the entry meanwhile
+        if (entry.card && allCards.includes(entry)) setConfidenceBadge(entry.card, entry.models);
+    });
+}
+
+/* ===========================
+   Custom resorts
+   =========================== */
+
+/**
+ * A custom resort was added, edited (`previous` set) or deleted (`saved`
+ * null): update its card, its comparison slot and its favourite without
+ * refetching the other resorts.
+ */
+async function onCustomResortChange(saved, previous) {
+    if (previous) {
+        clearCachedForecasts(previous);
+        clearAccuracyLog(previous);
+        clearSeasonHistory(previous);
+        // An edit keeps the slug, so only a deleted resort leaves the comparison
+        if (!saved) selectedForCompare.delete(previous.slug);
+    }
+
+    if (!saved) {
+        allCards = allCards.filter(entry => entry.resort.slug !== previous.slug);
+        if (isFavorite(previous.slug)) toggleFavorite(previous.slug);
+    } else {
+        const fetched = await fetchForecasts([saved], CARD_BANDS, FORECAST_PARAMS);
+        const [result] = applyOfflineCache('grid', [saved], fetched);
+        const entry = gridEntry(saved, result);
+        const index = allCards.findIndex(e => e.resort.slug === saved.slug);
+        if (index >= 0) allCards[index] = entry;
+        else allCards.push(entry);
+        recordForecasts([entry]);
+        loadModelConfidence([entry]);
+    }
+
+    renderGrid();
+    showGridStatus();
+    saveUrlState();
+    // Every entry: the alert state is rewritten from the entries checked
+    checkAlerts(allCards);
+}
+
+/* ===========================
+   Main init
+   =========================== */
+async function init() {
+    const grid = document.getElementById('resortsGrid');
+    if (!grid) return;
+
+    let resorts;
+    try {
+        resorts = await loadResorts();
+    } catch (_err) {
+        showError(t('error.resortList'));
+        setTimeout(() => { init(); }, REFRESH_INTERVAL_MS);
+        return;
+    }
+
+    renderSkeletons(grid, resorts.length);
+
+    const fetched = await fetchForecasts(resorts, CARD_BANDS, FORECAST_PARAMS);
+    const results = applyOfflineCache('grid', resorts, fetched);
+
+    allCards = results.map((result, i) => gridEntry(resorts[i], result));
+    recordForecasts(allCards);
+    renderGrid();
+    if (!urlStateRestored) {
+        urlStateRestored = true;
+        applyUrlState(true); // now that the compare names can be checked
+    }
+
+    showGridStatus();
+
+    if (isPlannerOpen()) renderPlanner();
+
+    checkAlerts(allCards);
+    lastUpdatedAt = new Date();
+    updateTimestamp();
+    loadModelConfidence(allCards);
 
     // Auto-refresh every 30 minutes
-    setTimeout(() => { init(); }, 30 * 60 * 1000);
+    setTimeout(() => { init(); }, REFRESH_INTERVAL_MS);
+}
+
+/**
+ * Re-render everything after a language change, without refetching.
+ */
+function relocalizeGrid() {
+    fillProfileSelect();
+    fillSortControls();
+    fillHomeControls();
+    fillMapControls();
+    updateHomeMarker();
+    renderGrid();
+    showGridStatus();
+    updateTimestamp();
+    updateAlertBadge();
+    const compareModal = document.getElementById('compareModal');
+    if (compareModal && !compareModal.classList.contains('hidden')) openCompareModal();
+    const alertsModal = document.getElementById('alertsModal');
+    if (alertsModal && !alertsModal.classList.contains('hidden')) renderAlertCentre();
+    if (isPlannerOpen()) renderPlanner();
+    if (isCustomDialogOpen()) renderCustomResorts();
 }
 
 // Start when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
+    initLanguageSelect(relocalizeGrid);
     initFilters();
+    initSort();
     initCompare();
     initMapToggle();
+    initMapLinking();
+    initProfileSelect(renderGrid);
+    initUnitSelects(() => {
+        fillHomeControls(); // radius choices are shown in km or miles
+        renderGrid();
+    });
+    initHomeControls({ onChange: onHomeChange, onPickOnMap: startHomePick, onError: showError });
+    applyUrlState();
+    window.addEventListener('popstate', () => applyUrlState());
+    initAlertCentre(() => allCards);
+    initPlanner(() => allCards);
+    initExports(displayedEntries, () => t('export.gridFilename'));
+    initCustomResorts({
+        getResorts:  () => allCards.map(entry => entry.resort),
+        onChange:    (saved, previous) => {
+            onCustomResortChange(saved, previous).catch(() => showError(t('error.forecasts', { count: 1 })));
+        },
+        onPickOnMap: onPick => startMapPick(t('custom.pickHint'), onPick),
+    });
+    registerServiceWorker();
+
+    // Favourites changed on a detail page: in another tab, or before coming back through the history
+    window.addEventListener('storage', e => {
+        if (e.key === STORAGE_PREFIX + FAVORITES_STORAGE_KEY) renderGrid();
+    });
+    window.addEventListener('pageshow', e => {
+        if (e.persisted) renderGrid();
+    });
+
     init();
 });
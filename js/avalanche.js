@@ -0,0 +1,179 @@
+/**
+ * Météo des Neiges – Indicative avalanche danger
+ * Local heuristic built from the last 72 h of hourly weather (new snow, wind
+ * loading, rapid warming, rain on snow). It is NOT an official bulletin and
+ * every rendering says so and links to the national avalanche services.
+ */
+
+'use strict';
+
+// Look-back window for the heuristic, in hours
+const AVALANCHE_WINDOW_H = 72;
+
+// Levels follow the wording of the European (EAWS) danger scale, in the
+// "avalanche.level<n>" messages
+const AVALANCHE_LEVELS = {
+    1: { class: 'avalanche-1' },
+    2: { class: 'avalanche-2' },
+    3: { class: 'avalanche-3' },
+    4: { class: 'avalanche-4' },
+    5: { class: 'avalanche-5' },
+};
+
+const AVALANCHE_THRESHOLDS = {
+    newSnowCm:      [15, 30, 50], // +1 / +2 / +3
+    loadingWindKmh: 30,           // wind able to transport snow
+    loadingHours:   [6, 18],      // +1 / +2 hours of transporting wind
+    loadingSnowCm:  10,           // new snow needed for wind loading to matter
+    warmingC:       10,           // rise of the 24 h max above the earlier minimum
+    rainMm:         [2, 10],      // +1 / +2 rain on an existing snowpack
+};
+
+const OFFICIAL_BULLETINS = {
+    France:   { name: 'Météo-France (BERA)',  url: 'https://meteofrance.com/meteo-montagne' },
+    Suisse:   { name: 'SLF',                  url: 'https://www.slf.ch' },
+    Autriche: { name: 'Lawinen.report',       url: 'https://lawinen.report' },
+    Italie:   { name: 'AINEVA',               url: 'https://www.aineva.it' },
+};
+
+// 8-point compass, clockwise from north; names are the "compass.<point>" messages
+const COMPASS_POINTS = ['n', 'ne', 'e', 'se', 's', 'sw', 'w', 'nw'];
+
+/**
+ * 8-point compass name of a direction in degrees.
+ */
+function compassName(deg) {
+    return t(`compass.${COMPASS_POINTS[Math.round((((deg % 360) + 360) % 360) / 45) % 8]}`);
+}
+
+/**
+ * Speed-weighted mean direction of a set of hours (vector average).
+ * @returns {number|null} Degrees, null when there is nothing to average
+ */
+function meanDirection(speeds, directions) {
+    let x = 0;
+    let y = 0;
+    speeds.forEach((speed, i) => {
+        const rad = (directions[i] * Math.PI) / 180;
+        x += speed * Math.sin(rad);
+        y += speed * Math.cos(rad);
+    });
+    if (x === 0 && y === 0) return null;
+    return ((Math.atan2(x, y) * 180) / Math.PI + 360) % 360;
+}
+
+/**
+ * Count how many thresholds of an ascending list a value reaches.
+ */
+function stepsReached(value, thresholds) {
+    return thresholds.filter(limit => value >= limit).length;
+}
+
+/**
+ * Assess the indicative avalanche danger from an hourly series.
+ * Needs snowfall, windspeed_10m, winddirection_10m, temperature_2m, rain and
+ * snow_depth, with `past_hours` covering AVALANCHE_WINDOW_H.
+ * @param {object} hourly  Open-Meteo hourly block
+ * @returns {{level: number, label: string, class: string,
+ *            factors: {points: number, text: string}[]}|null} null without data
+ */
+function assessAvalanche(hourly) {
+    if (!hourly || !hourly.snowfall || !hourly.temperature_2m) return null;
+    const end = closestHourIndex(hourly);
+    if (end < 0) return null;
+    const start = Math.max(0, end - AVALANCHE_WINDOW_H + 1);
+    const series = key => (hourly[key] ? hourly[key].slice(start, end + 1).map(v => v ?? 0) : []);
+    const sum = values => values.reduce((a, b) => a + b, 0);
+
+    const limits = AVALANCHE_THRESHOLDS;
+    const factors = [];
+    const hoursCovered = end - start + 1;
+
+    // 1. Heavy new snow
+    const newSnow = sum(series('snowfall'));
+    const snowSteps = stepsReached(newSnow, limits.newSnowCm);
+    if (snowSteps > 0) {
+        factors.push({ points: snowSteps, text: t('avalanche.newSnow', { value: formatDepth(newSnow), hours: hoursCovered }) });
+    }
+
+    // 2. Wind loading: transporting wind while fresh snow is available
+    const wind = series('windspeed_10m');
+    const dirs = series('winddirection_10m');
+    const strong = wind.map((w, i) => ({ w, d: dirs[i] })).filter(h => h.w >= limits.loadingWindKmh);
+    const windSteps = stepsReached(strong.length, limits.loadingHours);
+    if (windSteps > 0 && newSnow >= limits.loadingSnowCm) {
+        const mean = dirs.length ? meanDirection(strong.map(h => h.w), strong.map(h => h.d)) : null;
+        const maxWind = formatWind(Math.max(...strong.map(h => h.w)));
+        const where = mean != null
+            ? t('avalanche.windFrom', { from: compassName(mean), speed: maxWind, to: compassName(mean + 180) })
+            : t('avalanche.windLee', { speed: maxWind });
+        factors.push({ points: windSteps, text: t('avalanche.windLoading', { hours: strong.length, where }) });
+    }
+
+    // 3. Rapid warming: last 24 h maximum well above the earlier minimum
+    const temps = series('temperature_2m');
+    if (temps.length > 24) {
+        const recentMax = Math.max(...temps.slice(-24));
+        const earlierMin = Math.min(...temps.slice(0, -24));
+        if (recentMax - earlierMin >= limits.warmingC && recentMax > 0) {
+            factors.push({
+                points: 1,
+                text:   t('avalanche.warming', { from: formatTemp(earlierMin), to: formatTemp(recentMax) }),
+            });
+        }
+    }
+
+    // 4. Rain on an existing snowpack
+    const rain = sum(series('rain'));
+    const depths = series('snow_depth');
+    const hasSnowpack = depths.some(d => d > 0);
+    const rainSteps = stepsReached(rain, limits.rainMm);
+    if (rainSteps > 0 && hasSnowpack) {
+        factors.push({ points: rainSteps, text: t('avalanche.rainOnSnow', { value: formatNumber(rain) }) });
+    }
+
+    const level = Math.max(1, Math.min(5, 1 + sum(factors.map(f => f.points))));
+    return { level, label: t(`avalanche.level${level}`), ...AVALANCHE_LEVELS[level], factors };
+}
+
+/* ===========================
+   Rendering
+   =========================== */
+
+/**
+ * Level pill, e.g. "3 – Marqué".
+ */
+function buildAvalancheLevel(assessment) {
+    return el('span', {
+        cls:   ['avalanche-level', assessment.class],
+        text:  `${assessment.level} – ${assessment.label}`,
+        attrs: { title: t('avalanche.levelTitle', { level: assessment.level }) },
+    });
+}
+
+/**
+ * Factor list + disclaimer + link to the official bulletin of the resort's country.
+ * @param {object} assessment  Result of assessAvalanche()
+ * @param {object} resort
+ */
+function buildAvalancheExplanation(assessment, resort) {
+    const wrap = el('div', { cls: ['avalanche-explanation'] });
+    const list = el('ul', { cls: ['avalanche-factors'] });
+    if (assessment.factors.length === 0) {
+        list.appendChild(el('li', { text: t('avalanche.noFactor') }));
+    }
+    assessment.factors.forEach(f => list.appendChild(el('li', { text: t('avalanche.factor', { points: f.points, text: f.text }) })));
+    wrap.appendChild(list);
+
+    const note = el('p', { cls: ['avalanche-disclaimer'], text: t('avalanche.disclaimer') });
+    const bulletin = OFFICIAL_BULLETINS[resort.country];
+    if (bulletin) {
+        note.appendChild(document.createTextNode(` ${t('avalanche.officialBulletin')} `));
+        note.appendChild(el('a', {
+            text:  bulletin.name,
+            attrs: { href: bulletin.url, target: '_blank', rel: 'noopener noreferrer' },
+        }));
+    }
+    wrap.appendChild(note);
+    return wrap;
+}
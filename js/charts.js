@@ -0,0 +1,230 @@
+/**
+ * Météo des Neiges – Hourly charts
+ * Dependency-free SVG charts of the detail page's hourly series (temperature,
+ * snowfall, snow depth, wind) over the whole forecast, with day separators,
+ * a "now" marker and one shared cursor driven by the pointer or the keyboard.
+ * The SVGs are decorative for assistive tech: the cursor readout is announced
+ * and the hourly table stays available as the text fallback.
+ */
+
+'use strict';
+
+// Series drawn, top to bottom; `scale` converts the API unit to cm, values stay
+// metric and `format` renders them in the display unit. Titles are the
+// `label` messages.
+const CHART_SERIES = [
+    { key: 'temperature_2m', label: 'stat.temperature', type: 'line', cls: 'chart-temp',     format: v => formatTemp(v) },
+    { key: 'snowfall',       label: 'chart.snowfall',   type: 'bar',  cls: 'chart-snowfall', format: v => formatDepth(v, true) },
+    { key: 'snow_depth',     label: 'stat.snowDepth',   type: 'area', cls: 'chart-depth',    format: v => formatDepth(v), scale: 100 },
+    { key: 'windspeed_10m',  label: 'stat.wind',        type: 'line', cls: 'chart-wind',     format: v => formatWind(v) },
+];
+
+const CHART_SIZE = { width: 720, height: 110, padLeft: 44, padRight: 8, padTop: 16, padBottom: 6 };
+
+// Keyboard steps, in hours
+const CHART_STEP_PAGE = 24;
+
+/**
+ * Hour range to plot: from midnight today to the end of the forecast.
+ * @returns {{start: number, end: number, now: number}|null} Indices into the hourly series
+ */
+function chartRange(hourly) {
+    const now = closestHourIndex(hourly);
+    if (now < 0) return null;
+    const today = hourly.time[now].slice(0, 10);
+    const start = hourly.time.findIndex(time => time.startsWith(today));
+    const end = hourly.time.length - 1;
+    return end > start ? { start, end, now } : null;
+}
+
+/**
+ * Min / max of a series, padded so flat lines stay inside the plot.
+ */
+function chartExtent(values, type) {
+    const defined = values.filter(v => v != null);
+    let min = type === 'line' ? Math.min(...defined) : 0;
+    let max = Math.max(...defined);
+    if (!Number.isFinite(min) || !Number.isFinite(max)) return { min: 0, max: 1 };
+    if (max - min < 1) { max += 0.5; min -= type === 'line' ? 0.5 : 0; }
+    return { min, max };
+}
+
+/**
+ * One panel: a single series with axis labels, separators, now marker and cursor.
+ * @returns {{figure: HTMLElement, cursor: SVGElement}}
+ */
+function buildChartPanel(series, values, times, range, x) {
+    const c = CHART_SIZE;
+    const { min, max } = chartExtent(values, series.type);
+    const y = v => c.height - c.padBottom - ((v - min) / (max - min)) * (c.height - c.padTop - c.padBottom);
+
+    const figure = el('figure', { cls: ['chart-panel', series.cls] });
+    figure.appendChild(el('figcaption', { cls: ['chart-title'], text: t(series.label) }));
+
+    const svg = svgEl('svg', { viewBox: `0 0 ${c.width} ${c.height}`, class: 'chart-svg', 'aria-hidden': 'true', focusable: 'false' });
+
+    // Y labels: min and max
+    [min, max].forEach(v => {
+        const label = svgEl('text', { x: c.padLeft - 6, y: y(v) + 4, 'text-anchor': 'end', class: 'chart-tick' });
+        label.textContent = series.format(v);
+        svg.appendChild(label);
+    });
+    if (series.type === 'line' && min < 0 && max > 0) {
+        svg.appendChild(svgEl('line', { x1: c.padLeft, y1: y(0), x2: c.width - c.padRight, y2: y(0), class: 'chart-zero' }));
+    }
+
+    // Day separators with the day name along the top
+    times.forEach((time, i) => {
+        if (!time.endsWith('T00:00')) return;
+        svg.appendChild(svgEl('line', { x1: x(i), y1: 0, x2: x(i), y2: c.height - c.padBottom, class: 'chart-day' }));
+        const label = svgEl('text', { x: x(i) + 4, y: 11, class: 'chart-tick' });
+        label.textContent = `${shortDay(time.slice(0, 10))} ${time.slice(8, 10)}`;
+        svg.appendChild(label);
+    });
+
+    // Data
+    const base = y(Math.max(min, 0));
+    if (series.type === 'bar') {
+        const barWidth = Math.max(1, (x(1) - x(0)) * 0.8);
+        values.forEach((v, i) => {
+            if (!v) return;
+            svg.appendChild(svgEl('rect', {
+                x: (x(i) - barWidth / 2).toFixed(1), y: y(v).toFixed(1),
+                width: barWidth.toFixed(1), height: Math.max(0.5, base - y(v)).toFixed(1),
+                class: 'chart-bar',
+            }));
+        });
+    } else {
+        const coords = values.map((v, i) => (v != null ? `${x(i).toFixed(1)},${y(v).toFixed(1)}` : null)).filter(Boolean);
+        if (series.type === 'area' && coords.length > 1) {
+            const first = values.findIndex(v => v != null);
+            const last = values.length - 1 - [...values].reverse().findIndex(v => v != null);
+            svg.appendChild(svgEl('polygon', {
+                points: `${x(first).toFixed(1)},${base.toFixed(1)} ${coords.join(' ')} ${x(last).toFixed(1)},${base.toFixed(1)}`,
+                class:  'chart-area',
+            }));
+        }
+        svg.appendChild(svgEl('polyline', { points: coords.join(' '), class: 'chart-line' }));
+    }
+
+    // Now marker
+    const nowX = x(range.now - range.start);
+    svg.appendChild(svgEl('line', { x1: nowX, y1: 0, x2: nowX, y2: c.height - c.padBottom, class: 'chart-now' }));
+
+    const cursor = svgEl('line', { x1: 0, y1: 0, x2: 0, y2: c.height - c.padBottom, class: 'chart-cursor hidden' });
+    svg.appendChild(cursor);
+
+    figure.appendChild(svg);
+    return { figure, cursor };
+}
+
+/**
+ * Charts section of the detail page.
+ * @param {object} data  API response with an hourly block
+ * @param {string} tableId  Id of the hourly table section toggled by the "table" button
+ * @returns {HTMLElement|null}
+ */
+function renderHourlyCharts(data, tableId) {
+    const hourly = data.hourly;
+    if (!hourly || !hourly.time) return null;
+    const range = chartRange(hourly);
+    if (!range) return null;
+
+    const c = CHART_SIZE;
+    const times = hourly.time.slice(range.start, range.end + 1);
+    const count = times.length;
+    const x = i => c.padLeft + (i / (count - 1)) * (c.width - c.padLeft - c.padRight);
+
+    const section = el('section', { cls: ['charts-section'], attrs: { 'aria-label': t('chart.aria') } });
+    const head = el('div', { cls: ['charts-head'] });
+    head.appendChild(el('h2', { cls: ['detail-section-title'], text: t('chart.title', { count: Math.round(count / 24) }) }));
+    const tableBtn = el('button', {
+        cls:   ['filter-btn'],
+        text:  t('chart.showTable'),
+        attrs: { 'aria-expanded': 'false', 'aria-controls': tableId },
+    });
+    tableBtn.addEventListener('click', () => {
+        const table = document.getElementById(tableId);
+        if (!table) return;
+        const show = table.classList.toggle('sr-only') === false;
+        tableBtn.setAttribute('aria-expanded', String(show));
+        tableBtn.textContent = show ? t('chart.hideTable') : t('chart.showTable');
+    });
+    head.appendChild(tableBtn);
+    section.appendChild(head);
+
+    const stack = el('div', {
+        cls:   ['chart-stack'],
+        attrs: {
+            tabindex:     '0',
+            role:         'group',
+            'aria-label': t('chart.keyboardHelp'),
+        },
+    });
+
+    const plotted = CHART_SERIES
+        .filter(s => hourly[s.key])
+        .map(s => ({ series: s, values: hourly[s.key].slice(range.start, range.end + 1).map(v => (v != null ? v * (s.scale || 1) : null)) }));
+    const cursors = plotted.map(({ series, values }) => {
+        const panel = buildChartPanel(series, values, times, range, x);
+        stack.appendChild(panel.figure);
+        return panel.cursor;
+    });
+
+    const tooltip = el('div', { cls: ['chart-tooltip', 'hidden'], attrs: { role: 'status', 'aria-live': 'polite' } });
+    stack.appendChild(tooltip);
+    section.appendChild(stack);
+
+    // --- Shared cursor ---
+    let current = null;
+    function show(i) {
+        current = Math.max(0, Math.min(count - 1, i));
+        const cx = x(current);
+        cursors.forEach(line => {
+            line.setAttribute('x1', cx);
+            line.setAttribute('x2', cx);
+            line.classList.remove('hidden');
+        });
+        const time = times[current];
+        tooltip.textContent = '';
+        tooltip.appendChild(el('strong', { text: `${shortDay(time.slice(0, 10))} ${time.slice(8, 10)} · ${time.slice(11, 16)}` }));
+        plotted.forEach(({ series, values }) => {
+            const v = values[current];
+            const value = v != null ? series.format(v) : '–';
+            tooltip.appendChild(el('span', { cls: [series.cls], text: t('chart.tooltipValue', { label: t(series.label), value }) }));
+        });
+        const pct = (cx / c.width) * 100;
+        tooltip.style.left = `${pct}%`;
+        tooltip.classList.toggle('chart-tooltip-left', pct > 60);
+        tooltip.classList.remove('hidden');
+    }
+    function hide() {
+        current = null;
+        cursors.forEach(line => line.classList.add('hidden'));
+        tooltip.classList.add('hidden');
+    }
+
+    stack.addEventListener('pointermove', (e) => {
+        const svg = stack.querySelector('.chart-svg');
+        const rect = svg.getBoundingClientRect();
+        if (rect.width === 0) return;
+        const vx = ((e.clientX - rect.left) / rect.width) * c.width;
+        show(Math.round(((vx - c.padLeft) / (c.width - c.padLeft - c.padRight)) * (count - 1)));
+    });
+    stack.addEventListener('pointerleave', () => {
+        if (document.activeElement !== stack) hide();
+    });
+    stack.addEventListener('focus', () => show(range.now - range.start));
+    stack.addEventListener('blur', hide);
+    stack.addEventListener('keydown', (e) => {
+        const steps = { ArrowLeft: -1, ArrowRight: 1, PageUp: -CHART_STEP_PAGE, PageDown: CHART_STEP_PAGE };
+        if (e.key in steps) show((current ?? range.now - range.start) + steps[e.key]);
+        else if (e.key === 'Home') show(0);
+        else if (e.key === 'End') show(count - 1);
+        else if (e.key === 'Escape') hide();
+        else return;
+        e.preventDefault();
+    });
+
+    return section;
+}
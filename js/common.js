@@ -0,0 +1,265 @@
+/**
+ * Météo des Neiges – Shared helpers
+ * Weather code table, safe DOM creation, hourly-series helpers and file
+ * downloads used by both index.html and resort.html.
+ */
+
+'use strict';
+
+/* ===========================
+   WMO Weather Code → icon (descriptions are the "wmo.<code>" messages)
+   https://open-meteo.com/en/docs#weathervariables
+   =========================== */
+const WMO_CODES = {
+    0:  { icon: '☀️' },
+    1:  { icon: '🌤️' },
+    2:  { icon: '⛅' },
+    3:  { icon: '☁️' },
+    45: { icon: '🌫️' },
+    48: { icon: '🌫️' },
+    51: { icon: '🌦️' },
+    53: { icon: '🌦️' },
+    55: { icon: '🌦️' },
+    61: { icon: '🌧️' },
+    63: { icon: '🌧️' },
+    65: { icon: '🌧️' },
+    71: { icon: '❄️' },
+    73: { icon: '❄️' },
+    75: { icon: '❄️' },
+    77: { icon: '🌨️' },
+    80: { icon: '🌦️' },
+    81: { icon: '🌧️' },
+    82: { icon: '🌧️' },
+    85: { icon: '🌨️' },
+    86: { icon: '🌨️' },
+    95: { icon: '⛈️' },
+    96: { icon: '⛈️' },
+    99: { icon: '⛈️' },
+};
+
+const DEFAULT_WEATHER = { icon: '🌡️' };
+
+/**
+ * Icon and translated description of a weather code.
+ * @param {number|null|undefined} code
+ * @returns {{icon: string, desc: string}}
+ */
+function weatherInfo(code) {
+    const known = code != null && WMO_CODES[code];
+    return {
+        icon: (known || DEFAULT_WEATHER).icon,
+        desc: t(known ? `wmo.${code}` : 'wmo.unknown'),
+    };
+}
+
+/* ===========================
+   DOM helpers (safe, no innerHTML for user data)
+   =========================== */
+
+/**
+ * Create an element with optional classes, text, and attributes.
+ * Uses textContent / setAttribute – never innerHTML – to avoid XSS.
+ */
+function el(tag, { cls = [], text = '', attrs = {} } = {}) {
+    const node = document.createElement(tag);
+    if (Array.isArray(cls)) cls.forEach(c => c && node.classList.add(c));
+    if (text) node.textContent = text;
+    Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, v));
+    return node;
+}
+
+/* ===========================
+   Error banner (#errorBanner, every page)
+   =========================== */
+function showError(message) {
+    const banner = document.getElementById('errorBanner');
+    if (!banner) return;
+    banner.textContent = message;
+    banner.classList.remove('hidden');
+}
+
+function hideError() {
+    const banner = document.getElementById('errorBanner');
+    if (banner) banner.classList.add('hidden');
+}
+
+/* ===========================
+   Date & hourly-series helpers
+   =========================== */
+
+/**
+ * Index of the hourly timestamp closest to "now".
+ * @param {object} hourly  Open-Meteo hourly block
+ * @returns {number} -1 when there is no hourly data
+ */
+function closestHourIndex(hourly) {
+    if (!hourly || !hourly.time || hourly.time.length === 0) return -1;
+    const now = new Date();
+    let bestIdx = 0;
+    let bestDiff = Infinity;
+    hourly.time.forEach((time, i) => {
+        const diff = Math.abs(new Date(time) - now);
+        if (diff < bestDiff) { bestDiff = diff; bestIdx = i; }
+    });
+    return bestIdx;
+}
+
+/**
+ * Find the snow depth closest to "now" from the hourly series.
+ * Returns depth in cm.
+ */
+function currentSnowDepthCm(hourly) {
+    if (!hourly || !hourly.snow_depth) return null;
+    const idx = closestHourIndex(hourly);
+    if (idx < 0) return null;
+    const depthM = hourly.snow_depth[idx];
+    return depthM != null ? Math.round(depthM * 100) : null;
+}
+
+/**
+ * Value of an hourly variable at the hour closest to now.
+ * @returns {number|null} null when the series is missing
+ */
+function currentHourlyValue(hourly, key) {
+    if (!hourly || !hourly[key]) return null;
+    const idx = closestHourIndex(hourly);
+    return idx < 0 ? null : hourly[key][idx] ?? null;
+}
+
+// Hours the lifts run, for day values of hourly variables
+const LIFT_HOURS = { from: 9, to: 16 };
+
+/**
+ * Mean of an hourly variable over the lift hours of one day.
+ * @param {object} hourly
+ * @param {string} key
+ * @param {string} date  YYYY-MM-DD
+ * @returns {number|null} null when the day is not covered
+ */
+function liftHoursMean(hourly, key, date) {
+    if (!hourly || !hourly[key]) return null;
+    const values = hourly.time
+        .map((time, i) => {
+            if (!time.startsWith(date)) return null;
+            const hour = Number(time.slice(11, 13));
+            return hour >= LIFT_HOURS.from && hour <= LIFT_HOURS.to ? hourly[key][i] : null;
+        })
+        .filter(v => v != null);
+    return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/**
+ * Sum of hourly snowfall (cm) over the last `hours` hours up to now.
+ * Needs `past_hours` in the request to cover the full window.
+ * @returns {number|null} null when the series is missing
+ */
+function snowfallLastHours(hourly, hours) {
+    if (!hourly || !hourly.snowfall) return null;
+    const end = closestHourIndex(hourly);
+    if (end < 0) return null;
+    let total = 0;
+    for (let i = Math.max(0, end - hours + 1); i <= end; i++) total += hourly.snowfall[i] ?? 0;
+    return total;
+}
+
+/* ===========================
+   Freezing level and snow line
+   =========================== */
+
+// Snow usually reaches the ground about 300 m below the 0 °C isotherm
+const SNOW_LINE_OFFSET_M = 300;
+
+/**
+ * Estimated rain/snow line from a freezing level, rounded to 50 m.
+ * @param {number|null} freezingM
+ * @returns {number|null}
+ */
+function snowLineFromFreezingLevel(freezingM) {
+    if (freezingM == null) return null;
+    return Math.max(0, Math.round((freezingM - SNOW_LINE_OFFSET_M) / 50) * 50);
+}
+
+/**
+ * Freezing level (m) at the hour closest to now.
+ * Needs `freezing_level_height` in the hourly request.
+ * @returns {number|null}
+ */
+function currentFreezingLevelM(hourly) {
+    if (!hourly || !hourly.freezing_level_height) return null;
+    const idx = closestHourIndex(hourly);
+    if (idx < 0) return null;
+    const value = hourly.freezing_level_height[idx];
+    return value != null ? Math.round(value) : null;
+}
+
+/**
+ * Lowest and highest freezing level (m) of one day of the hourly series.
+ * @param {object} hourly
+ * @param {string} date  YYYY-MM-DD
+ * @returns {{min: number, max: number}|null} null when the day is not covered
+ */
+function dayFreezingLevelM(hourly, date) {
+    if (!hourly || !hourly.freezing_level_height) return null;
+    const values = hourly.time
+        .map((time, i) => (time.startsWith(date) ? hourly.freezing_level_height[i] : null))
+        .filter(v => v != null);
+    if (values.length === 0) return null;
+    return { min: Math.round(Math.min(...values)), max: Math.round(Math.max(...values)) };
+}
+
+/* ===========================
+   SVG
+   =========================== */
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Create an SVG element with attributes (the SVG counterpart of el()).
+ * @param {string} tag
+ * @param {object} [attrs]
+ * @returns {SVGElement}
+ */
+function svgEl(tag, attrs = {}) {
+    const node = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, v));
+    return node;
+}
+
+/* ===========================
+   Files
+   =========================== */
+
+/**
+ * CSV text (RFC 4180) of rows of cells; null cells stay empty.
+ * @param {Array<Array<string|number|null>>} rows
+ * @returns {string}
+ */
+function toCsv(rows) {
+    const cell = value => {
+        const text = value == null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(cell).join(',')).join('\r\n');
+}
+
+/**
+ * Let the browser save generated text as a file.
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} type  MIME type
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = el('a', { attrs: { href: url, download: filename } });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Save rows as a CSV file. The byte order mark makes spreadsheets read it as
+ * UTF-8 (accented resort names).
+ */
+function downloadCsv(filename, rows) {
+    downloadFile(filename, `\uFEFF${toCsv(rows)}\r\n`, 'text/csv;charset=utf-8');
+}
@@ -0,0 +1,278 @@
+/**
+ * Météo des Neiges – Custom resorts dialog
+ * "Ajouter une station" in the grid: the user's own resorts with edit and
+ * delete, and a form whose coordinates are typed or picked on the map.
+ * Storage and validation live in resorts.js.
+ */
+
+'use strict';
+
+let customResortHandlers = {
+    getResorts:  () => [],
+    onChange:    () => {},
+    onPickOnMap: () => {},
+};
+
+// Form values, kept while the dialog is closed to pick a point on the map
+let customDraft = null;
+
+// Last outcome shown above the list ("Station ajoutée", …)
+let customStatus = '';
+
+function emptyCustomDraft() {
+    return { slug: null, name: '', country: RESORT_COUNTRIES[0], lat: '', lon: '', altitude: '', summitAltitude: '' };
+}
+
+/**
+ * Number typed in a field; a decimal comma is accepted.
+ * @returns {number|null} null when empty, NaN when not a number
+ */
+function parseCustomNumber(value) {
+    const text = String(value).trim().replace(',', '.');
+    return text === '' ? null : Number(text);
+}
+
+/* ===========================
+   Rendering
+   =========================== */
+
+function buildCustomList() {
+    const section = el('section', { cls: ['alerts-section'], attrs: { 'aria-labelledby': 'customListTitle' } });
+    section.appendChild(el('h3', { text: t('custom.listTitle'), attrs: { id: 'customListTitle' } }));
+
+    const resorts = getCustomResorts();
+    if (resorts.length === 0) {
+        section.appendChild(el('p', { cls: ['alerts-empty'], text: t('custom.none') }));
+        return section;
+    }
+
+    const list = el('ul', { cls: ['alerts-rules'] });
+    resorts.forEach(resort => {
+        const item = el('li', { cls: ['alerts-rule'] });
+        const text = el('div', { cls: ['custom-resort-text'] });
+        text.appendChild(el('a', { text: resort.name, attrs: { href: resortDetailUrl(resort) } }));
+        text.appendChild(el('span', {
+            cls:  ['custom-resort-meta'],
+            text: `${countryName(resort.country)} · ${resort.altitude}–${resort.summitAltitude} m · ${formatNumber(resort.lat, 4)}, ${formatNumber(resort.lon, 4)}`,
+        }));
+        item.appendChild(text);
+
+        const edit = el('button', {
+            cls:   ['compare-clear-btn'],
+            text:  t('custom.edit'),
+            attrs: { 'aria-label': t('custom.editAria', { name: resort.name }) },
+        });
+        edit.addEventListener('click', () => {
+            customDraft = {
+                slug:           resort.slug,
+                name:           resort.name,
+                country:        resort.country,
+                lat:            String(resort.lat),
+                lon:            String(resort.lon),
+                altitude:       String(resort.altitude),
+                summitAltitude: resort.summitAltitude !== resort.altitude ? String(resort.summitAltitude) : '',
+            };
+            customStatus = '';
+            renderCustomResorts();
+            const name = document.getElementById('customName');
+            if (name) name.focus();
+        });
+
+        const remove = el('button', {
+            cls:   ['compare-clear-btn'],
+            text:  t('custom.delete'),
+            attrs: { 'aria-label': t('custom.deleteAria', { name: resort.name }) },
+        });
+        remove.addEventListener('click', () => {
+            deleteCustomResort(resort.slug);
+            if (customDraft && customDraft.slug === resort.slug) customDraft = null;
+            customStatus = t('custom.deleted', { name: resort.name });
+            customResortHandlers.onChange(null, resort);
+            renderCustomResorts();
+        });
+
+        item.appendChild(edit);
+        item.appendChild(remove);
+        list.appendChild(item);
+    });
+    section.appendChild(list);
+    return section;
+}
+
+function buildCustomInput(id, value, attrs = {}) {
+    const input = el('input', { cls: ['search-input'], attrs: { id, type: 'text', ...attrs } });
+    input.value = value;
+    return input;
+}
+
+function buildCustomField(labelText, control) {
+    const field = el('div', { cls: ['alerts-field'] });
+    field.appendChild(el('label', { text: labelText, attrs: { for: control.id } }));
+    field.appendChild(control);
+    return field;
+}
+
+function buildCustomForm() {
+    const draft = customDraft || emptyCustomDraft();
+    const editing = !!draft.slug;
+
+    const form = el('form', { cls: ['alerts-section', 'alerts-form'], attrs: { 'aria-labelledby': 'customFormTitle', novalidate: '' } });
+    form.appendChild(el('h3', { text: t(editing ? 'custom.editTitle' : 'custom.addTitle'), attrs: { id: 'customFormTitle' } }));
+
+    const name = buildCustomInput('customName', draft.name, { maxlength: String(CUSTOM_NAME_MAX_LENGTH), autocomplete: 'off' });
+    const country = el('select', { cls: ['profile-select'], attrs: { id: 'customCountry' } });
+    RESORT_COUNTRIES.forEach(c => country.appendChild(el('option', { text: countryName(c), attrs: { value: c } })));
+    country.value = draft.country;
+    const coordAttrs = { inputmode: 'decimal', autocomplete: 'off' };
+    const lat = buildCustomInput('customLat', draft.lat, { ...coordAttrs, placeholder: t('alerts.example', { value: '45.9' }) });
+    const lon = buildCustomInput('customLon', draft.lon, { ...coordAttrs, placeholder: t('alerts.example', { value: '6.42' }) });
+    const altitude = buildCustomInput('customAltitude', draft.altitude, { inputmode: 'numeric', autocomplete: 'off' });
+    const summit = buildCustomInput('customSummit', draft.summitAltitude, { inputmode: 'numeric', autocomplete: 'off', placeholder: t('custom.optional') });
+
+    const fields = { name, country, lat, lon, altitude, summitAltitude: summit };
+    const readDraft = () => ({
+        slug:           draft.slug,
+        name:           name.value,
+        country:        country.value,
+        lat:            lat.value,
+        lon:            lon.value,
+        altitude:       altitude.value,
+        summitAltitude: summit.value,
+    });
+
+    const grid = el('div', { cls: ['alerts-form-grid'] });
+    grid.appendChild(buildCustomField(t('custom.name'), name));
+    grid.appendChild(buildCustomField(t('custom.country'), country));
+    grid.appendChild(buildCustomField(t('custom.lat'), lat));
+    grid.appendChild(buildCustomField(t('custom.lon'), lon));
+    grid.appendChild(buildCustomField(t('custom.altitude'), altitude));
+    grid.appendChild(buildCustomField(t('custom.summitAltitude'), summit));
+    form.appendChild(grid);
+
+    const pick = el('button', { cls: ['compare-clear-btn', 'custom-pick-btn'], text: t('custom.pickOnMap'), attrs: { type: 'button' } });
+    pick.addEventListener('click', () => {
+        customDraft = readDraft();
+        closeCustomDialog();
+        customResortHandlers.onPickOnMap((pickedLat, pickedLon) => {
+            // ~10 m is more than enough for a forecast point
+            customDraft.lat = String(Math.round(pickedLat * 10000) / 10000);
+            customDraft.lon = String(Math.round(pickedLon * 10000) / 10000);
+            openCustomDialog();
+        });
+    });
+    form.appendChild(pick);
+
+    const error = el('p', { cls: ['alerts-form-error', 'hidden'], attrs: { role: 'alert' } });
+    form.appendChild(error);
+
+    const actions = el('div', { cls: ['custom-form-actions'] });
+    actions.appendChild(el('button', { cls: ['compare-action-btn'], text: t(editing ? 'custom.save' : 'custom.add'), attrs: { type: 'submit' } }));
+    if (editing) {
+        const cancel = el('button', { cls: ['compare-clear-btn'], text: t('custom.cancel'), attrs: { type: 'button' } });
+        cancel.addEventListener('click', () => {
+            customDraft = null;
+            renderCustomResorts();
+        });
+        actions.appendChild(cancel);
+    }
+    form.appendChild(actions);
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const values = readDraft();
+        const raw = {
+            slug:           values.slug,
+            name:           values.name,
+            country:        values.country,
+            lat:            parseCustomNumber(values.lat),
+            lon:            parseCustomNumber(values.lon),
+            altitude:       parseCustomNumber(values.altitude),
+            summitAltitude: parseCustomNumber(values.summitAltitude),
+        };
+        const resorts = customResortHandlers.getResorts();
+        const problems = validateCustomResort(raw, resorts);
+
+        Object.entries(fields).forEach(([field, input]) => {
+            const invalid = problems.includes(field) || (field === 'name' && problems.includes('nameTaken'));
+            if (invalid) input.setAttribute('aria-invalid', 'true');
+            else input.removeAttribute('aria-invalid');
+        });
+        if (problems.length > 0) {
+            error.textContent = problems.map(p => t(`custom.error.${p}`, { max: MAX_ALTITUDE_M })).join(' ');
+            error.classList.remove('hidden');
+            const first = fields[problems[0] === 'nameTaken' ? 'name' : problems[0]];
+            if (first) first.focus();
+            return;
+        }
+
+        const previous = raw.slug ? resorts.find(r => r.slug === raw.slug) || null : null;
+        const saved = saveCustomResort(raw, resorts);
+        customDraft = null;
+        customStatus = t(previous ? 'custom.saved' : 'custom.added', { name: saved.name });
+        customResortHandlers.onChange(saved, previous);
+        renderCustomResorts();
+    });
+
+    return form;
+}
+
+/**
+ * (Re)build the dialog content.
+ */
+function renderCustomResorts() {
+    const container = document.getElementById('customContainer');
+    if (!container) return;
+    container.textContent = '';
+    container.appendChild(el('p', { cls: ['custom-status'], text: customStatus, attrs: { role: 'status' } }));
+    container.appendChild(buildCustomList());
+    container.appendChild(buildCustomForm());
+}
+
+function isCustomDialogOpen() {
+    const modal = document.getElementById('customModal');
+    return !!modal && !modal.classList.contains('hidden');
+}
+
+function openCustomDialog() {
+    const modal = document.getElementById('customModal');
+    if (!modal) return;
+    renderCustomResorts();
+    modal.classList.remove('hidden');
+    const name = document.getElementById('customName');
+    if (name) name.focus();
+}
+
+function closeCustomDialog() {
+    const modal = document.getElementById('customModal');
+    if (modal) modal.classList.add('hidden');
+    customStatus = '';
+}
+
+/**
+ * Wire the header button and the dialog.
+ * @param {object}   handlers
+ * @param {Function} handlers.getResorts   Every resort currently known (catalogue + custom)
+ * @param {Function} handlers.onChange     Called with (saved, previous) after an add or edit,
+ *                                         (null, deleted) after a delete
+ * @param {Function} handlers.onPickOnMap  Called with a callback taking (lat, lon)
+ */
+function initCustomResorts(handlers) {
+    customResortHandlers = handlers;
+
+    const btn = document.getElementById('customResortsBtn');
+    if (btn) btn.addEventListener('click', openCustomDialog);
+
+    const closeBtn = document.getElementById('customModalClose');
+    if (closeBtn) closeBtn.addEventListener('click', closeCustomDialog);
+
+    const overlay = document.getElementById('customModal');
+    if (overlay) {
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) closeCustomDialog();
+        });
+    }
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeCustomDialog();
+    });
+}
@@ -0,0 +1,223 @@
+/**
+ * Météo des Neiges – Forecast exports
+ * Daily forecast of the displayed resorts as CSV, JSON or an iCalendar file,
+ * generated in the browser. CSV and JSON are meant for other tools: English
+ * field names, units in the names, always metric. The calendar is meant for
+ * people, so its events follow the page's language and units.
+ */
+
+'use strict';
+
+// CSV columns, in order; the JSON uses the same names
+const EXPORT_FIELDS = [
+    'resort', 'slug', 'country', 'latitude', 'longitude', 'altitude_m', 'elevation_m',
+    'date', 'weather_code', 'temperature_min_c', 'temperature_max_c', 'snowfall_cm',
+    'wind_max_kmh', 'rating_score', 'rating',
+];
+
+const ICS_PRODUCT_ID = '-//Meteo des Neiges//Forecast export//FR';
+
+// RFC 5545: content lines are folded at 75 octets
+const ICS_LINE_OCTETS = 75;
+
+/**
+ * Normalised daily records of one resort (base band).
+ * @param {object} resort
+ * @param {object} data  API response with a daily block
+ * @returns {object[]} One record per forecast day, keyed by EXPORT_FIELDS
+ */
+function exportRecords(resort, data) {
+    if (!data || !data.daily) return [];
+    const daily = data.daily;
+    const pick = (key, i) => (daily[key] ? daily[key][i] ?? null : null);
+    return daily.time.map((date, i) => {
+        const rating = dailyRating(data, date);
+        return {
+            resort:            resort.name,
+            slug:              resort.slug,
+            country:           resort.country,
+            latitude:          resort.lat,
+            longitude:         resort.lon,
+            altitude_m:        resort.altitude,
+            elevation_m:       data.elevation ?? null,
+            date,
+            weather_code:      pick('weathercode', i),
+            temperature_min_c: pick('temperature_2m_min', i),
+            temperature_max_c: pick('temperature_2m_max', i),
+            snowfall_cm:       pick('snowfall_sum', i),
+            wind_max_kmh:      pick('windspeed_10m_max', i),
+            rating_score:      rating ? rating.score : null,
+            rating:            rating ? rating.key : null,
+        };
+    });
+}
+
+function exportFilename(name, extension) {
+    return `${name}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+/* ===========================
+   CSV and JSON
+   =========================== */
+
+function exportCsv(entries, name) {
+    const rows = [EXPORT_FIELDS];
+    entries.forEach(({ resort, data }) => {
+        exportRecords(resort, data).forEach(record => rows.push(EXPORT_FIELDS.map(field => record[field])));
+    });
+    downloadCsv(exportFilename(name, 'csv'), rows);
+}
+
+function exportJson(entries, name) {
+    const payload = {
+        generated_at:   new Date().toISOString(),
+        source:         'Open-Meteo (https://open-meteo.com/)',
+        rating_profile: getRatingProfileId(),
+        resorts:        entries.map(({ resort, data }) => ({
+            resort:      resort.name,
+            slug:        resort.slug,
+            country:     resort.country,
+            latitude:    resort.lat,
+            longitude:   resort.lon,
+            altitude_m:  resort.altitude,
+            elevation_m: data.elevation ?? null,
+            days:        exportRecords(resort, data).map(record => ({
+                date:              record.date,
+                weather_code:      record.weather_code,
+                temperature_min_c: record.temperature_min_c,
+                temperature_max_c: record.temperature_max_c,
+                snowfall_cm:       record.snowfall_cm,
+                wind_max_kmh:      record.wind_max_kmh,
+                rating_score:      record.rating_score,
+                rating:            record.rating,
+            })),
+        })),
+    };
+    downloadFile(exportFilename(name, 'json'), `${JSON.stringify(payload, null, 2)}\n`, 'application/json');
+}
+
+/* ===========================
+   iCalendar
+   =========================== */
+
+/**
+ * TEXT value with backslashes, separators and line breaks escaped.
+ */
+function icsText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Split a content line into 75-octet chunks, continuation lines starting
+ * with a space; never inside a character.
+ */
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    let chunk = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        const limit = chunks.length ? ICS_LINE_OCTETS - 1 : ICS_LINE_OCTETS;
+        if (octets + size > limit) {
+            chunks.push(chunk);
+            chunk = '';
+            octets = 0;
+        }
+        chunk += char;
+        octets += size;
+    }
+    chunks.push(chunk);
+    return chunks.join('\r\n ');
+}
+
+// "2026-10-18" → "20261018"
+function icsDate(date) {
+    return date.replace(/-/g, '');
+}
+
+function nextDay(date) {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + 1);
+    return day.toISOString().slice(0, 10);
+}
+
+/**
+ * All-day VEVENT lines of one resort and day. The UID is stable, so
+ * importing a newer export updates the events instead of duplicating them.
+ */
+function icsEvent(record, stamp) {
+    const w = weatherInfo(record.weather_code);
+    const rating = record.rating ? `${ratingLabel(record.rating)} (${record.rating_score}/100)` : '–';
+    const temps = record.temperature_min_c != null && record.temperature_max_c != null
+        ? formatTempRange(record.temperature_min_c, record.temperature_max_c)
+        : '–';
+    const summary = t('export.icsSummary', {
+        icon:     w.icon,
+        name:     record.resort,
+        snowfall: formatDepth(record.snowfall_cm ?? 0),
+        temps,
+        rating,
+    });
+    const description = [
+        w.desc,
+        record.wind_max_kmh != null ? t('export.icsWind', { value: formatWind(record.wind_max_kmh) }) : null,
+        t('export.icsSource'),
+    ].filter(Boolean).join('\n');
+    const url = new URL(resortDetailUrl(record), window.location.href).href;
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${record.slug}-${record.date}@meteo-des-neiges`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${icsDate(record.date)}`,
+        `DTEND;VALUE=DATE:${icsDate(nextDay(record.date))}`,
+        `SUMMARY:${icsText(summary)}`,
+        `DESCRIPTION:${icsText(description)}`,
+        `LOCATION:${icsText(`${record.resort}, ${countryName(record.country)}`)}`,
+        `GEO:${record.latitude};${record.longitude}`,
+        `URL:${url}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT',
+    ];
+}
+
+function exportIcs(entries, name) {
+    // UTC, basic format: 20261018T142500Z
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsText(t('export.icsCalendarName'))}`,
+    ];
+    entries.forEach(({ resort, data }) => {
+        exportRecords(resort, data).forEach(record => lines.push(...icsEvent(record, stamp)));
+    });
+    lines.push('END:VCALENDAR');
+    downloadFile(exportFilename(name, 'ics'), `${lines.map(foldIcsLine).join('\r\n')}\r\n`, 'text/calendar;charset=utf-8');
+}
+
+/* ===========================
+   Buttons
+   =========================== */
+
+const EXPORTERS = { csv: exportCsv, json: exportJson, ics: exportIcs };
+
+/**
+ * Wire the page's `[data-export]` buttons.
+ * @param {Function} getEntries   Returns the displayed entries ({resort, data}) with data
+ * @param {Function} getFilename  Returns the file name without date or extension
+ */
+function initExports(getEntries, getFilename) {
+    document.querySelectorAll('[data-export]').forEach(button => {
+        const exporter = EXPORTERS[button.dataset.export];
+        if (!exporter) return;
+        button.addEventListener('click', () => {
+            const entries = getEntries().filter(({ data }) => data && data.daily);
+            if (entries.length > 0) exporter(entries, getFilename());
+        });
+    });
+}
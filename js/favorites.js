@@ -0,0 +1,117 @@
+/**
+ * Météo des Neiges – Favourite resorts
+ * The user's resorts ("Mes stations") are kept locally as an ordered list of
+ * slugs, shared by the grid (pinned first, in that order) and the detail page.
+ * Nothing lives in the DOM, so the state survives every re-render.
+ */
+
+'use strict';
+
+const FAVORITES_STORAGE_KEY = 'favorites';
+
+/**
+ * Favourite slugs, in the user's order.
+ * @returns {string[]}
+ */
+function getFavorites() {
+    const stored = readStored(FAVORITES_STORAGE_KEY, []);
+    return Array.isArray(stored) ? stored.filter(slug => typeof slug === 'string') : [];
+}
+
+function isFavorite(slug) {
+    return getFavorites().includes(slug);
+}
+
+/**
+ * Position of a resort in the favourites, -1 when it is not one.
+ */
+function favoriteRank(slug) {
+    return getFavorites().indexOf(slug);
+}
+
+/**
+ * Add a resort at the end of the favourites, or remove it.
+ * @returns {boolean} Whether the resort is now a favourite
+ */
+function toggleFavorite(slug) {
+    const favorites = getFavorites();
+    const index = favorites.indexOf(slug);
+    if (index >= 0) favorites.splice(index, 1);
+    else favorites.push(slug);
+    writeStored(FAVORITES_STORAGE_KEY, favorites);
+    return index < 0;
+}
+
+/**
+ * Move a favourite up (-1) or down (+1) in the order; ignored at either end.
+ */
+function moveFavorite(slug, offset) {
+    const favorites = getFavorites();
+    const from = favorites.indexOf(slug);
+    const to = from + offset;
+    if (from < 0 || to < 0 || to >= favorites.length) return;
+    favorites.splice(to, 0, favorites.splice(from, 1)[0]);
+    writeStored(FAVORITES_STORAGE_KEY, favorites);
+}
+
+/* ===========================
+   Rendering
+   =========================== */
+
+/**
+ * Sync a star button with the stored state of its resort.
+ */
+function updateFavoriteButton(button, resort) {
+    const favorite = isFavorite(resort.slug);
+    const label = t(favorite ? 'favorites.remove' : 'favorites.add', { name: resort.name });
+    button.textContent = favorite ? '★' : '☆';
+    button.setAttribute('aria-pressed', String(favorite));
+    button.setAttribute('aria-label', label);
+    button.setAttribute('title', label);
+}
+
+/**
+ * Star toggle for a resort.
+ * @param {object} resort
+ * @param {Function} [onChange]  Called after the favourites changed
+ * @returns {HTMLElement}
+ */
+function buildFavoriteButton(resort, onChange = () => {}) {
+    const button = el('button', { cls: ['favorite-btn'] });
+    updateFavoriteButton(button, resort);
+    button.addEventListener('click', () => {
+        toggleFavorite(resort.slug);
+        updateFavoriteButton(button, resort);
+        onChange();
+    });
+    return button;
+}
+
+/**
+ * ↑ / ↓ buttons reordering a favourite; empty for other resorts.
+ * @param {object} resort
+ * @param {Function} onChange  Called with the offset after a move
+ * @returns {HTMLElement}
+ */
+function buildFavoriteOrderButtons(resort, onChange) {
+    const group = el('span', { cls: ['favorite-order'] });
+    const rank = favoriteRank(resort.slug);
+    if (rank < 0) return group;
+
+    const count = getFavorites().length;
+    [[-1, '↑', 'favorites.moveUp'], [1, '↓', 'favorites.moveDown']].forEach(([offset, arrow, key]) => {
+        const target = rank + offset;
+        const button = el('button', {
+            cls:   ['favorite-move-btn'],
+            text:  arrow,
+            attrs: { 'aria-label': t(key, { name: resort.name }), title: t(key, { name: resort.name }) },
+        });
+        if (target < 0 || target >= count) button.disabled = true;
+        button.addEventListener('click', () => {
+            moveFavorite(resort.slug, offset);
+            onChange(offset);
+        });
+        group.appendChild(button);
+    });
+    return group;
+}
@@ -0,0 +1,316 @@
+/**
+ * Météo des Neiges – Season history
+ * Daily snow depth and snowfall since the start of the season, from the
+ * Open-Meteo archive, plotted against the previous seasons with season-to-date
+ * totals and the difference from their average. Past seasons never change and
+ * are cached for good once fetched up to their last day; the current one is
+ * re-fetched once a day.
+ */
+
+'use strict';
+
+// Seasons run from 1 November to 30 June
+const SEASON_START_MONTH = 10; // 0-based: November
+const SEASON_END_MMDD    = '06-30';
+
+const HISTORY_PAST_SEASONS = 3;
+const HISTORY_REFRESH_MS   = 24 * 60 * 60 * 1000;
+
+// The reanalysis lags a few days behind; later days come back empty
+const ARCHIVE_DELAY_DAYS = 5;
+
+const HISTORY_PARAMS = {
+    hourly: 'snow_depth',
+    daily:  'snowfall_sum',
+};
+
+/* ===========================
+   Seasons
+   =========================== */
+
+function isoDate(d) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Year in which the season containing `date` started.
+ */
+function seasonStartYear(date) {
+    return date.getMonth() >= SEASON_START_MONTH ? date.getFullYear() : date.getFullYear() - 1;
+}
+
+/**
+ * "2025/26"
+ */
+function seasonLabel(startYear) {
+    return `${startYear}/${String(startYear + 1).slice(2)}`;
+}
+
+/**
+ * Archive date range of a season, cut at the last day the archive has.
+ * @returns {{start: string, end: string}|null} null when the season has not started in the archive
+ */
+function seasonRange(startYear, lastArchiveDay) {
+    const start = `${startYear}-${String(SEASON_START_MONTH + 1).padStart(2, '0')}-01`;
+    const seasonEnd = `${startYear + 1}-${SEASON_END_MMDD}`;
+    const end = seasonEnd < lastArchiveDay ? seasonEnd : lastArchiveDay;
+    return end >= start ? { start, end } : null;
+}
+
+/**
+ * Reduce an archive response to one value per day.
+ * @returns {{dates: string[], depthCm: (number|null)[], snowfallCm: (number|null)[]}}
+ */
+function toSeasonSeries(json) {
+    const daily = json.daily || {};
+    const hourly = json.hourly || {};
+    const dates = daily.time || [];
+    const depthCm = dates.map(date => {
+        if (!hourly.time || !hourly.snow_depth) return null;
+        const values = hourly.time
+            .map((time, i) => (time.startsWith(date) ? hourly.snow_depth[i] : null))
+            .filter(v => v != null);
+        return values.length ? Math.round(Math.max(...values) * 100) : null;
+    });
+    const snowfallCm = dates.map((_, i) => (daily.snowfall_sum ? daily.snowfall_sum[i] : null));
+    return { dates, depthCm, snowfallCm };
+}
+
+/**
+ * One season of a resort, from the local cache when it is still valid.
+ * @returns {Promise<object|null>} Series from toSeasonSeries(), null when out of range
+ */
+async function loadSeason(resort, elevation, startYear, lastArchiveDay, isCurrent) {
+    const range = seasonRange(startYear, lastArchiveDay);
+    if (!range) return null;
+
+    const key = `history:${resort.slug}:${elevation}:${startYear}`;
+    const cached = readStored(key, null);
+    // A past season saved while it was still the current one stops short of
+    // its end: refetch it once the archive covers the whole season
+    const fresh = cached && (isCurrent
+        ? Date.now() - cached.savedAt < HISTORY_REFRESH_MS
+        : cached.end === range.end);
+    if (fresh) return cached.series;
+
+    try {
+        const json = await fetchArchive(resort, elevation, range.start, range.end, HISTORY_PARAMS);
+        const series = toSeasonSeries(json);
+        writeStored(key, { savedAt: Date.now(), end: range.end, series });
+        return series;
+    } catch (err) {
+        if (cached) return cached.series; // stale beats nothing
+        throw err;
+    }
+}
+
+/**
+ * Forget a resort's cached seasons, e.g. after its coordinates changed.
+ */
+function clearSeasonHistory(resort) {
+    removeStoredPrefix(`history:${resort.slug}:`);
+}
+
+/**
+ * Current season plus up to HISTORY_PAST_SEASONS previous ones, fetched one
+ * after the other to stay gentle with the archive endpoint.
+ * @param {object} resort
+ * @returns {Promise<{elevation: number, seasons: {year: number, series: object}[]}>} Current season first
+ */
+async function loadSeasonHistory(resort) {
+    const elevation = bandElevation(resort, 'mid');
+    const lastDay = new Date();
+    lastDay.setDate(lastDay.getDate() - ARCHIVE_DELAY_DAYS);
+    const lastArchiveDay = isoDate(lastDay);
+    const current = seasonStartYear(lastDay);
+
+    const seasons = [];
+    for (let year = current; year >= current - HISTORY_PAST_SEASONS; year--) {
+        const series = await loadSeason(resort, elevation, year, lastArchiveDay, year === current);
+        if (series && series.dates.length > 0) seasons.push({ year, series });
+    }
+    return { elevation, seasons };
+}
+
+/* ===========================
+   Season-to-date statistics
+   =========================== */
+
+/**
+ * Snowfall total and latest snow depth over the first `days` days of a season.
+ * @returns {{snowfallCm: number, depthCm: number|null}}
+ */
+function seasonToDate(series, days) {
+    const snowfallCm = series.snowfallCm.slice(0, days).reduce((sum, v) => sum + (v ?? 0), 0);
+    const depths = series.depthCm.slice(0, days).filter(v => v != null);
+    return { snowfallCm, depthCm: depths.length ? depths[depths.length - 1] : null };
+}
+
+/**
+ * Difference with the average of the previous seasons, e.g. "+35 cm (+20 %)".
+ */
+function formatDiff(value, average) {
+    const diff = value - average;
+    const rounded = Math.round(convertDepth(diff));
+    const sign = rounded > 0 ? '+' : rounded < 0 ? '−' : '±';
+    const pct = average > 0 ? ` (${sign}${formatPercent(diff / average)})` : '';
+    return `${sign}${formatDepth(Math.abs(diff))}${pct}`;
+}
+
+/* ===========================
+   Rendering
+   =========================== */
+
+const HISTORY_CHART = { width: 640, height: 200, padLeft: 40, padBottom: 22, padTop: 10, padRight: 10 };
+
+/**
+ * Line chart of one value per day of season, one line per season.
+ * @param {string}   title
+ * @param {object[]} seasons  [{year, series}], current first
+ * @param {Function} values   series → number[] (one per day)
+ */
+function buildSeasonChart(title, seasons, values) {
+    const c = HISTORY_CHART;
+    const lines = seasons.map(({ year, series }) => ({ year, points: values(series), dates: series.dates }));
+    const longest = lines.reduce((a, b) => (b.points.length > a.points.length ? b : a), lines[0]);
+    const days = Math.max(2, longest.points.length);
+    const max = Math.max(10, ...lines.flatMap(l => l.points.filter(v => v != null)));
+    const x = i => c.padLeft + (i / (days - 1)) * (c.width - c.padLeft - c.padRight);
+    const y = v => c.height - c.padBottom - (v / max) * (c.height - c.padBottom - c.padTop);
+
+    const figure = el('figure', { cls: ['history-chart'] });
+    figure.appendChild(el('figcaption', { cls: ['history-chart-title'], text: title }));
+
+    const svg = svgEl('svg', {
+        viewBox:      `0 0 ${c.width} ${c.height}`,
+        role:         'img',
+        'aria-label': t('chart.tooltipValue', {
+            label: title,
+            value: lines.map(l => `${seasonLabel(l.year)} ${formatDepth(l.points.filter(v => v != null).pop() ?? 0)}`).join(', '),
+        }),
+        class:        'history-svg',
+    });
+
+    // Axes: 0 and max on the left, month starts along the bottom
+    svg.appendChild(svgEl('line', { x1: c.padLeft, y1: y(0), x2: c.width - c.padRight, y2: y(0), class: 'history-axis' }));
+    [0, max].forEach(v => {
+        const label = svgEl('text', { x: c.padLeft - 6, y: y(v) + 4, 'text-anchor': 'end', class: 'history-tick' });
+        label.textContent = formatNumber(convertDepth(v));
+        svg.appendChild(label);
+    });
+    longest.dates.forEach((date, i) => {
+        if (!date.endsWith('-01')) return;
+        svg.appendChild(svgEl('line', { x1: x(i), y1: c.padTop, x2: x(i), y2: y(0), class: 'history-grid' }));
+        const label = svgEl('text', { x: x(i) + 3, y: c.height - 6, class: 'history-tick' });
+        label.textContent = shortMonth(Number(date.slice(5, 7)) - 1);
+        svg.appendChild(label);
+    });
+
+    // Previous seasons first so the current one is drawn on top
+    [...lines].reverse().forEach(line => {
+        const index = lines.indexOf(line);
+        const coords = line.points
+            .map((v, i) => (v != null ? `${x(i).toFixed(1)},${y(v).toFixed(1)}` : null))
+            .filter(Boolean);
+        if (coords.length < 2) return;
+        svg.appendChild(svgEl('polyline', {
+            points: coords.join(' '),
+            class:  `history-line history-season-${index}`,
+        }));
+    });
+
+    figure.appendChild(svg);
+    return figure;
+}
+
+/**
+ * Legend mapping line colours to season labels.
+ */
+function buildSeasonLegend(seasons) {
+    const legend = el('ul', { cls: ['history-legend'] });
+    seasons.forEach(({ year }, index) => {
+        const item = el('li', { cls: ['history-legend-item'] });
+        item.appendChild(el('span', { cls: ['history-swatch', `history-season-${index}`], attrs: { 'aria-hidden': 'true' } }));
+        item.appendChild(document.createTextNode(index === 0 ? t('history.currentSeason', { season: seasonLabel(year) }) : seasonLabel(year)));
+        legend.appendChild(item);
+    });
+    return legend;
+}
+
+/**
+ * Season-to-date totals compared with the average of the previous seasons.
+ */
+function buildSeasonSummary(seasons) {
+    const [current, ...previous] = seasons;
+    const days = current.series.dates.length;
+    const now = seasonToDate(current.series, days);
+
+    const stats = el('div', { cls: ['extended-day-stats', 'history-stats'] });
+    function addStat(label, text, extraCls = []) {
+        const item = el('div', { cls: ['extended-day-stat'] });
+        item.appendChild(el('span', { cls: ['stat-label'], text: label }));
+        item.appendChild(el('span', { cls: ['stat-value', ...extraCls], text }));
+        stats.appendChild(item);
+    }
+
+    addStat(t('history.sinceStart', { days: formatDuration(days, 'day') }), formatDepth(now.snowfallCm), ['snow-value']);
+    addStat(t('stat.snowDepth'), now.depthCm != null ? formatDepth(now.depthCm) : '–', ['snow-value']);
+
+    if (previous.length > 0) {
+        const past = previous.map(s => seasonToDate(s.series, days));
+        const avgSnowfall = past.reduce((sum, p) => sum + p.snowfallCm, 0) / past.length;
+        const pastDepths = past.map(p => p.depthCm).filter(v => v != null);
+        addStat(t('history.snowfallVsAverage', { count: previous.length }), formatDiff(now.snowfallCm, avgSnowfall),
+            [now.snowfallCm >= avgSnowfall ? 'history-above' : 'history-below']);
+        if (now.depthCm != null && pastDepths.length > 0) {
+            const avgDepth = pastDepths.reduce((a, b) => a + b, 0) / pastDepths.length;
+            addStat(t('history.depthVsAverage'), formatDiff(now.depthCm, avgDepth),
+                [now.depthCm >= avgDepth ? 'history-above' : 'history-below']);
+        }
+    }
+    return stats;
+}
+
+/**
+ * Fill the history section once the archive data is available.
+ */
+function fillSeasonHistory(section, { elevation, seasons }) {
+    section.querySelectorAll('.history-status').forEach(n => n.remove());
+    if (seasons.length === 0) {
+        section.appendChild(el('p', { cls: ['history-status'], text: t('history.noData') }));
+        return;
+    }
+
+    section.appendChild(buildSeasonSummary(seasons));
+    section.appendChild(buildSeasonLegend(seasons));
+    section.appendChild(buildSeasonChart(t('history.depthChart', { unit: unitLabel('depth') }), seasons, s => s.depthCm));
+    section.appendChild(buildSeasonChart(t('history.snowfallChart', { unit: unitLabel('depth') }), seasons, s => {
+        let total = 0;
+        return s.snowfallCm.map(v => (total += v ?? 0));
+    }));
+    section.appendChild(el('p', {
+        cls:  ['history-note'],
+        text: t('history.note', { elevation, delay: ARCHIVE_DELAY_DAYS }),
+    }));
+}
+
+/**
+ * History section of the detail page. Returns right away with a loading
+ * message and fills itself when the (usually cached) archive data arrives.
+ * @param {object} resort
+ * @returns {HTMLElement}
+ */
+function renderSeasonHistory(resort) {
+    const section = el('section', { cls: ['history-panel'], attrs: { 'aria-label': t('history.title'), 'aria-busy': 'true' } });
+    section.appendChild(el('h2', { cls: ['detail-section-title'], text: t('history.title') }));
+    section.appendChild(el('p', { cls: ['history-status'], text: t('history.loading') }));
+
+    loadSeasonHistory(resort)
+        .then(history => fillSeasonHistory(section, history))
+        .catch(() => {
+            section.querySelectorAll('.history-status').forEach(n => n.remove());
+            section.appendChild(el('p', { cls: ['history-status'], text: t('history.unavailable') }));
+        })
+        .finally(() => section.setAttribute('aria-busy', 'false'));
+    return section;
+}
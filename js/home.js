@@ -0,0 +1,191 @@
+/**
+ * Météo des Neiges – Home location ("Près de chez moi")
+ * Optional home point, set from a short list of cities, the browser's
+ * geolocation or a click on the map, kept locally. Distances are straight
+ * lines (great-circle), not driving distances.
+ */
+
+'use strict';
+
+const HOME_STORAGE_KEY = 'home';
+const HOME_RADIUS_STORAGE_KEY = 'homeRadius';
+
+// Starting points; names are the "city.<id>" messages
+const HOME_CITIES = {
+    geneva:   { lat: 46.2044, lon: 6.1432 },
+    lausanne: { lat: 46.5197, lon: 6.6323 },
+    annecy:   { lat: 45.8992, lon: 6.1294 },
+    lyon:     { lat: 45.7640, lon: 4.8357 },
+    grenoble: { lat: 45.1885, lon: 5.7245 },
+    zurich:   { lat: 47.3769, lon: 8.5417 },
+    milan:    { lat: 45.4642, lon: 9.1900 },
+    turin:    { lat: 45.0703, lon: 7.6869 },
+    munich:   { lat: 48.1351, lon: 11.5820 },
+};
+
+// Radius filter choices, in km
+const HOME_RADII_KM = [50, 100, 150, 200, 300];
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Current home point, null when none is set.
+ * @returns {{source: 'city'|'geo'|'map', id?: string, lat: number, lon: number}|null}
+ */
+function getHome() {
+    const stored = readStored(HOME_STORAGE_KEY, null);
+    if (!stored) return null;
+    if (stored.source === 'city') {
+        const city = HOME_CITIES[stored.id];
+        return city ? { source: 'city', id: stored.id, ...city } : null;
+    }
+    if ((stored.source === 'geo' || stored.source === 'map')
+        && Number.isFinite(stored.lat) && Number.isFinite(stored.lon)) {
+        return { source: stored.source, lat: stored.lat, lon: stored.lon };
+    }
+    return null;
+}
+
+/**
+ * @param {{source: string, id?: string, lat?: number, lon?: number}|null} home  null clears it
+ */
+function setHome(home) {
+    if (home) writeStored(HOME_STORAGE_KEY, home);
+    else removeStored(HOME_STORAGE_KEY);
+}
+
+/**
+ * Name of the home point, e.g. "Genève" or "ma position".
+ */
+function homeLabel(home) {
+    return home.source === 'city' ? t(`city.${home.id}`) : t(`home.${home.source}Point`);
+}
+
+/**
+ * Radius filter in km, null for no limit.
+ */
+function getHomeRadius() {
+    const radius = readStored(HOME_RADIUS_STORAGE_KEY, null);
+    return HOME_RADII_KM.includes(radius) ? radius : null;
+}
+
+function setHomeRadius(km) {
+    if (HOME_RADII_KM.includes(km)) writeStored(HOME_RADIUS_STORAGE_KEY, km);
+    else removeStored(HOME_RADIUS_STORAGE_KEY);
+}
+
+/**
+ * Great-circle distance between two points (haversine), in km.
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+    const rad = deg => (deg * Math.PI) / 180;
+    const dLat = rad(lat2 - lat1);
+    const dLon = rad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Straight-line distance from home to a resort, null without a home point.
+ */
+function resortDistanceKm(resort) {
+    const home = getHome();
+    return home ? distanceKm(home.lat, home.lon, resort.lat, resort.lon) : null;
+}
+
+/* ===========================
+   Settings UI
+   =========================== */
+
+/**
+ * (Re)fill the home (#homeSelect) and radius (#radiusSelect) <select>s in
+ * the current language and units.
+ */
+function fillHomeControls() {
+    const select = document.getElementById('homeSelect');
+    const radius = document.getElementById('radiusSelect');
+    const home = getHome();
+
+    if (select) {
+        select.textContent = '';
+        select.appendChild(el('option', { text: t('home.none'), attrs: { value: '' } }));
+        const cities = el('optgroup', { attrs: { label: t('home.cities') } });
+        Object.keys(HOME_CITIES).forEach(id => {
+            cities.appendChild(el('option', { text: t(`city.${id}`), attrs: { value: `city:${id}` } }));
+        });
+        select.appendChild(cities);
+        select.appendChild(el('option', { text: t('home.locate'), attrs: { value: 'geo' } }));
+        select.appendChild(el('option', { text: t('home.pickOnMap'), attrs: { value: 'map' } }));
+        if (!home) select.value = '';
+        else select.value = home.source === 'city' ? `city:${home.id}` : home.source;
+    }
+
+    if (radius) {
+        radius.textContent = '';
+        radius.appendChild(el('option', { text: t('home.anyDistance'), attrs: { value: '' } }));
+        HOME_RADII_KM.forEach(km => {
+            radius.appendChild(el('option', { text: `≤ ${formatDistance(km)}`, attrs: { value: String(km) } }));
+        });
+        radius.value = String(getHomeRadius() ?? '');
+        radius.disabled = !home;
+    }
+}
+
+/**
+ * Wire the home and radius <select>s.
+ * @param {object} handlers
+ * @param {Function} handlers.onChange     Home point or radius changed
+ * @param {Function} handlers.onPickOnMap  The user wants to click the map
+ * @param {Function} handlers.onError      Called with a message when geolocation fails
+ */
+function initHomeControls({ onChange, onPickOnMap, onError }) {
+    const select = document.getElementById('homeSelect');
+    const radius = document.getElementById('radiusSelect');
+    fillHomeControls();
+
+    if (select) {
+        select.addEventListener('change', () => {
+            const value = select.value;
+            if (value === 'geo') {
+                locateHome(onChange, onError);
+            } else if (value === 'map') {
+                onPickOnMap();
+            } else {
+                setHome(value ? { source: 'city', id: value.slice('city:'.length) } : null);
+                onChange();
+            }
+        });
+    }
+
+    if (radius) {
+        radius.addEventListener('change', () => {
+            setHomeRadius(Number(radius.value) || null);
+            onChange();
+        });
+    }
+}
+
+/**
+ * Ask the browser for the user's position and keep it as the home point.
+ * The select goes back to the previous choice when it fails.
+ */
+function locateHome(onChange, onError) {
+    if (!navigator.geolocation) {
+        fillHomeControls();
+        onError(t('home.geoUnavailable'));
+        return;
+    }
+    navigator.geolocation.getCurrentPosition(
+        position => {
+            // ~1 km precision is plenty for distances and keeps less about the user
+            const round = deg => Math.round(deg * 100) / 100;
+            setHome({ source: 'geo', lat: round(position.coords.latitude), lon: round(position.coords.longitude) });
+            onChange();
+        },
+        () => {
+            fillHomeControls();
+            onError(t('home.geoFailed'));
+        },
+        { maximumAge: 10 * 60 * 1000, timeout: 15000 }
+    );
+}
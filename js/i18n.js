@@ -0,0 +1,211 @@
+/**
+ * Météo des Neiges – Localisation
+ * Message lookup in the MESSAGES catalogue (js/messages.js), language
+ * detection and switching, and locale-aware number and date formatting
+ * through Intl. French is the reference language and the fallback for any
+ * missing message.
+ */
+
+'use strict';
+
+const LANGUAGE_STORAGE_KEY = 'lang';
+
+// Language code → its own name (shown as is in the switcher) and Intl locale
+const LANGUAGES = {
+    fr: { name: 'Français', locale: 'fr-FR' },
+    en: { name: 'English',  locale: 'en-GB' },
+    de: { name: 'Deutsch',  locale: 'de-DE' },
+    it: { name: 'Italiano', locale: 'it-IT' },
+};
+
+const DEFAULT_LANGUAGE = 'fr';
+
+// Resolved once, then only changed by setLanguage()
+let currentLanguage = null;
+
+// Intl formatters are costly to build; reuse them per locale and options
+const intlCache = new Map();
+
+/**
+ * First of the browser's preferred languages we support, e.g. "de-CH" → "de".
+ * @returns {string}
+ */
+function detectLanguage() {
+    const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+    const match = preferred
+        .map(tag => String(tag || '').slice(0, 2).toLowerCase())
+        .find(code => LANGUAGES[code]);
+    return match || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Current language: the user's choice, else the browser's.
+ * @returns {string}
+ */
+function getLanguage() {
+    if (!currentLanguage) {
+        const stored = readStored(LANGUAGE_STORAGE_KEY, null);
+        currentLanguage = LANGUAGES[stored] ? stored : detectLanguage();
+    }
+    return currentLanguage;
+}
+
+function setLanguage(lang) {
+    if (!LANGUAGES[lang]) return;
+    currentLanguage = lang;
+    writeStored(LANGUAGE_STORAGE_KEY, lang);
+}
+
+function getLocale() {
+    return LANGUAGES[getLanguage()].locale;
+}
+
+/* ===========================
+   Messages
+   =========================== */
+
+/**
+ * Translated message. `{name}` placeholders are replaced from `params`; a
+ * message given as {one, other} is picked with `params.count`.
+ * @param {string} key     e.g. "card.snowDepth"
+ * @param {object} [params]
+ * @returns {string} The key itself when no catalogue has it
+ */
+function t(key, params = {}) {
+    const lang = getLanguage();
+    let message = (MESSAGES[lang] && MESSAGES[lang][key]) ?? MESSAGES[DEFAULT_LANGUAGE][key];
+    if (message == null) return key;
+    if (typeof message === 'object') {
+        message = message[pluralCategory(params.count ?? 0)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+function intlFormatter(type, options) {
+    const locale = getLocale();
+    const cacheKey = `${type}|${locale}|${JSON.stringify(options)}`;
+    if (!intlCache.has(cacheKey)) intlCache.set(cacheKey, new Intl[type](locale, options));
+    return intlCache.get(cacheKey);
+}
+
+function pluralCategory(count) {
+    return intlFormatter('PluralRules', {}).select(count) === 'one' ? 'one' : 'other';
+}
+
+/* ===========================
+   Numbers and dates
+   =========================== */
+
+/**
+ * "1 234,5" / "1,234.5" / "1.234,5" with a fixed number of decimals.
+ * @param {number} value
+ * @param {number} [decimals]
+ */
+function formatNumber(value, decimals = 0) {
+    // Round first so tiny negatives print as "0", not "-0"
+    const rounded = Number(value.toFixed(decimals)) || 0;
+    return intlFormatter('NumberFormat', { minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(rounded);
+}
+
+/**
+ * Percentage of a ratio without a sign, e.g. 0.2 → "20 %" / "20%".
+ */
+function formatPercent(ratio) {
+    return intlFormatter('NumberFormat', { style: 'percent', maximumFractionDigits: 0 }).format(Math.abs(ratio));
+}
+
+/**
+ * Duration with a unit of the Intl unit list, e.g. "3 h", "2 Tg.".
+ * @param {number} value
+ * @param {'minute'|'hour'|'day'} unit
+ */
+function formatDuration(value, unit) {
+    return intlFormatter('NumberFormat', { style: 'unit', unit, unitDisplay: 'short' }).format(value);
+}
+
+// Noon avoids DST edge cases when a YYYY-MM-DD string becomes a Date
+function dateFromDay(dateStr) {
+    return new Date(`${dateStr}T12:00:00`);
+}
+
+/**
+ * Short weekday of a YYYY-MM-DD date: "Lun", "Mon", "Mo", "Lun".
+ */
+function shortDay(dateStr) {
+    const name = intlFormatter('DateTimeFormat', { weekday: 'short' }).format(dateFromDay(dateStr)).replace(/\.$/, '');
+    return name.charAt(0).toLocaleUpperCase(getLocale()) + name.slice(1);
+}
+
+/**
+ * Day and month of a YYYY-MM-DD date: "18/10", "18.10.".
+ */
+function formatDayMonth(dateStr) {
+    return intlFormatter('DateTimeFormat', { day: '2-digit', month: '2-digit' }).format(dateFromDay(dateStr));
+}
+
+/**
+ * Abbreviated month name of a month index (0 = January).
+ */
+function shortMonth(month) {
+    return intlFormatter('DateTimeFormat', { month: 'short' }).format(new Date(2000, month, 15));
+}
+
+/**
+ * Date and time, e.g. "18/10/2026 14:05".
+ * @param {Date|number} date
+ */
+function formatDateTime(date) {
+    return intlFormatter('DateTimeFormat', { dateStyle: 'short', timeStyle: 'short' }).format(date);
+}
+
+/* ===========================
+   Static markup
+   =========================== */
+
+// data-i18n-* attribute → what it translates
+const I18N_ATTRIBUTES = {
+    'data-i18n-aria-label':  'aria-label',
+    'data-i18n-placeholder': 'placeholder',
+    'data-i18n-title':       'title',
+    'data-i18n-content':     'content',
+};
+
+/**
+ * Translate the page's static markup: `data-i18n` replaces the text,
+ * `data-i18n-aria-label` and friends the matching attribute. Also sets
+ * `<html lang>`.
+ */
+function applyStaticTranslations() {
+    document.documentElement.setAttribute('lang', getLanguage());
+    document.querySelectorAll('[data-i18n]').forEach(node => {
+        node.textContent = t(node.dataset.i18n);
+    });
+    Object.entries(I18N_ATTRIBUTES).forEach(([dataAttr, attr]) => {
+        document.querySelectorAll(`[${dataAttr}]`).forEach(node => {
+            node.setAttribute(attr, t(node.getAttribute(dataAttr)));
+        });
+    });
+}
+
+/**
+ * Fill the language <select> (#langSelect), translate the static markup and
+ * call `onChange` after the user picks another language.
+ * @param {Function} onChange  Re-renders the dynamic content
+ */
+function initLanguageSelect(onChange) {
+    applyStaticTranslations();
+    const select = document.getElementById('langSelect');
+    if (!select) return;
+
+    select.textContent = '';
+    Object.entries(LANGUAGES).forEach(([code, lang]) => {
+        select.appendChild(el('option', { text: lang.name, attrs: { value: code, lang: code } }));
+    });
+    select.value = getLanguage();
+
+    select.addEventListener('change', () => {
+        setLanguage(select.value);
+        applyStaticTranslations();
+        onChange();
+    });
+}
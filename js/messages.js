@@ -0,0 +1,1738 @@
+/**
+ * Météo des Neiges – UI messages
+ * One catalogue per language, looked up by t() (js/i18n.js). French is the
+ * reference: a key missing elsewhere falls back to it. `{name}` marks a
+ * placeholder; a {one, other} pair is chosen by the `count` parameter.
+ */
+
+'use strict';
+
+const MESSAGES = {
+    /* ===========================
+       Français
+       =========================== */
+    fr: {
+        // Pages
+        'page.indexTitle':          'Météo des Neiges – Alpes',
+        'page.indexDescription':    'Météo des neiges pour les stations de ski des Alpes : France, Suisse, Autriche et Italie.',
+        'page.indexSubtitle':       'Stations de ski des Alpes',
+        'page.detailTitle':         'Météo des Neiges – Détails',
+        'page.detailDescription':   'Prévisions détaillées et aperçu horaire pour une station de ski des Alpes genevoises.',
+        'page.loading':             'Chargement…',
+        'page.reliabilityTitle':       'Météo des Neiges – Fiabilité des prévisions',
+        'page.reliabilityDescription': 'Fiabilité des prévisions de neige enregistrées par ce navigateur, station par station.',
+        'footer.dataBy':            'Données météo fournies par',
+        'footer.refresh':           'Mise à jour toutes les 30 minutes',
+        'status.updated':           'Mise à jour : {time}',
+
+        // Filters and settings
+        'filters.aria':              'Filtres',
+        'filters.country':           'Pays :',
+        'filters.all':               'Tous',
+        'filters.profile':           'Profil :',
+        'filters.units':             'Unités :',
+        'filters.language':          'Langue',
+        'filters.searchPlaceholder': 'Rechercher une station…',
+        'filters.searchAria':        'Rechercher une station de ski',
+        'units.tempAria':            'Unité de température',
+        'units.depthAria':           'Unité d\'enneigement',
+        'units.windAria':            'Unité de vent',
+        'map.toggle':                '🗺️ Carte',
+        'map.aria':                  'Carte interactive des stations de ski',
+        'map.metricLabel':           'Colorer selon :',
+        'map.metric.rating':         'Note ski',
+        'map.metric.freshSnow':      'Neige fraîche 24 h',
+        'map.metric.snowfall':       'Chutes prévues (3 j)',
+        'map.metric.snowDepth':      'Enneigement',
+        'map.metric.temperature':    'Température',
+        'map.metric.wind':           'Vent',
+        'map.legendAria':            'Légende : {metric}',
+        'map.sizeNote':              'Taille des points : chutes prévues sur 3 jours.',
+        'map.noData':                'Pas de données',
+        'map.details':               'Détails →',
+        'map.searchArea':            '🔍 Rechercher dans cette zone',
+        'map.clearArea':             '✕ Toute la carte',
+        'map.areaEmpty':             'Aucune station ne correspond à ces filtres dans cette zone de la carte.',
+        'grid.aria':                 'Stations de ski',
+
+        // Countries, bands, profiles, ratings
+        'country.France':   'France',
+        'country.Suisse':   'Suisse',
+        'country.Autriche': 'Autriche',
+        'country.Italie':   'Italie',
+        'band.base':        'Station',
+        'band.mid':         'Mi-pentes',
+        'band.summit':      'Sommet',
+        'profile.standard': 'Standard',
+        'profile.debutant': 'Débutant',
+        'profile.freeride': 'Freeride',
+        'profile.famille':  'Famille',
+        'rating.excellent': 'Excellentes',
+        'rating.good':      'Bonnes',
+        'rating.fair':      'Passables',
+        'rating.poor':      'Mauvaises',
+        'rating.why':       'Pourquoi ? ({score}/100)',
+        'rating.noFactor':  'Conditions moyennes, aucun facteur marquant',
+
+        // Rating reasons
+        'reason.storm':         'orage',
+        'reason.rainUpTo':      'pluie jusqu\'à {altitude} m',
+        'reason.rain':          'pluie',
+        'reason.wind':          'vent {value}',
+        'reason.snowpack':      'enneigement {value}',
+        'reason.thinSnowpack':  'enneigement faible {value}',
+        'reason.sunny':         'soleil',
+        'reason.snowingFrom':   'chute de neige dès {altitude} m',
+        'reason.snowing':       'chute de neige',
+        'reason.freshSnow':     'neige fraîche {value}',
+        'reason.cold':          'froid {value}',
+        'reason.warm':          'redoux {value}',
+        'reason.lowVisibility': 'visibilité {value}',
+        'reason.fog':           'brouillard',
+        'reason.whiteout':      'risque de jour blanc',
+        'reason.gusts':         'rafales {value}',
+        'reason.windChill':     'ressenti {value}, jamais excellentes',
+
+        // Weather codes (WMO)
+        'wmo.0':       'Ciel dégagé',
+        'wmo.1':       'Principalement dégagé',
+        'wmo.2':       'Partiellement nuageux',
+        'wmo.3':       'Couvert',
+        'wmo.45':      'Brouillard',
+        'wmo.48':      'Brouillard givrant',
+        'wmo.51':      'Bruine légère',
+        'wmo.53':      'Bruine modérée',
+        'wmo.55':      'Bruine dense',
+        'wmo.61':      'Pluie légère',
+        'wmo.63':      'Pluie modérée',
+        'wmo.65':      'Pluie forte',
+        'wmo.71':      'Neige légère',
+        'wmo.73':      'Neige modérée',
+        'wmo.75':      'Neige forte',
+        'wmo.77':      'Grains de neige',
+        'wmo.80':      'Averses légères',
+        'wmo.81':      'Averses modérées',
+        'wmo.82':      'Averses violentes',
+        'wmo.85':      'Averses de neige légères',
+        'wmo.86':      'Averses de neige fortes',
+        'wmo.95':      'Orage',
+        'wmo.96':      'Orage avec grêle',
+        'wmo.99':      'Orage avec forte grêle',
+        'wmo.unknown': 'Données non disponibles',
+
+        // Stats
+        'stat.snowDepth':     'Enneigement',
+        'stat.wind':          'Vent',
+        'stat.minMax':        'Min / Max',
+        'stat.snowfallToday': 'Chutes prévues',
+        'stat.skiConditions': 'Conditions ski',
+        'stat.temperature':   'Température',
+        'stat.snowfall7d':    'Chutes 7 j',
+        'stat.snowfall':      'Chutes',
+        'stat.windMax':       'Vent max',
+        'stat.visibility':    'Visibilité',
+        'stat.feelsLike':     'Ressenti',
+        'stat.gusts':         'Rafales',
+        'conditions.whiteout':       'Risque de jour blanc',
+        'conditions.whiteoutDetail': 'nuages bas et visibilité réduite : relief et pistes difficiles à lire',
+
+        // Resort cards and comparison
+        'card.aria':         'Station {name}',
+        'card.bandsAria':    'Conditions par altitude à {name}',
+        'card.details':      'Voir les détails →',
+        'card.detailsAria':  'Voir les détails de {name}',
+        'card.forecast3':    'Prévisions 3 jours',
+        'compare.add':       '+ Comparer',
+        'compare.addAria':   'Sélectionner {name} pour comparer',
+        'compare.selected':  '✓ Sélectionné',
+        'compare.count':     { one: '{count} station sélectionnée', other: '{count} stations sélectionnées' },
+        'compare.button':    '⚖️ Comparer',
+        'compare.clear':     '✕ Effacer',
+        'compare.clearAria': 'Effacer la sélection',
+        'compare.title':     '⚖️ Comparaison des stations',
+        'compare.close':     'Fermer la comparaison',
+        'compare.criterion': 'Critère',
+        'compare.weatherNow': 'Météo actuelle',
+        'compare.why':       'Pourquoi',
+        'compare.now':       'Maintenant',
+        'compare.weather':   'Météo',
+        'compare.tempMax':   'Température max',
+        'compare.best':      'meilleure valeur',
+        'compare.exportCsv': '⬇️ Exporter CSV',
+        'compare.csvFilename': 'comparaison-stations',
+
+        // CSV exports (column headers)
+        'csv.resort':   'Station',
+        'csv.country':  'Pays',
+        'csv.altitude': 'Altitude (m)',
+        'csv.date':     'Date',
+        'csv.weather':  'Météo',
+        'csv.tempMin':  'Temp. min ({unit})',
+        'csv.tempMax':  'Temp. max ({unit})',
+        'csv.snowfall': 'Chutes ({unit})',
+        'csv.windMax':  'Vent max ({unit})',
+        'csv.score':    'Note (/100)',
+        'csv.rating':   'Conditions ski',
+
+        // Forecast exports
+        'export.label':           'Exporter :',
+        'export.ics':             '📅 Calendrier',
+        'export.icsSummary':      '{icon} {name} : {snowfall}, {temps}, {rating}',
+        'export.icsWind':         'Vent max : {value}',
+        'export.icsSource':       'Prévision Open-Meteo, exportée depuis Météo des Neiges.',
+        'export.icsCalendarName': 'Météo des Neiges',
+        'export.gridFilename':    'previsions-stations',
+
+        // Errors
+        'error.resortList':     'Impossible de charger la liste des stations. Vérifiez votre connexion ou réessayez plus tard.',
+        'error.forecasts':      {
+            one:   'Impossible de charger les données de {count} station. Vérifiez votre connexion ou réessayez plus tard.',
+            other: 'Impossible de charger les données de {count} stations. Vérifiez votre connexion ou réessayez plus tard.',
+        },
+        'error.offlineGrid':    {
+            one:   'Hors ligne : dernières données connues affichées pour {count} station.',
+            other: 'Hors ligne : dernières données connues affichées pour {count} stations.',
+        },
+        'error.unknownResort':  'Station inconnue. Veuillez retourner à la liste des stations.',
+        'error.resortForecast': 'Impossible de charger les données pour {name}. Vérifiez votre connexion ou réessayez plus tard.',
+        'error.offlineDetail':  'Hors ligne : affichage des dernières données connues.',
+        'offline.age':          'données d\'il y a {age}',
+        'offline.title':        'Hors ligne – dernières données du {date}',
+
+        // Detail page
+        'detail.back':         '← Retour aux stations',
+        'detail.backAria':     'Retour à la liste des stations',
+        'detail.current':      'Conditions actuelles',
+        'detail.pisteKm':      '{km} km de pistes',
+        'detail.officialSite': 'Site officiel ↗',
+        'detail.byBand':       'Conditions par altitude',
+        'detail.forecast7':    'Prévisions 7 jours',
+        'hourly.aria':         'Aperçu horaire sur 24 h',
+        'hourly.title':        'Aperçu horaire – 24 h',
+        'hourly.time':         'Heure',
+        'hourly.weather':      'Météo',
+        'hourly.temp':         'Temp.',
+
+        // Freezing level and snow line
+        'snowline.title':         'Isotherme 0 °C et limite pluie-neige',
+        'snowline.day':           'Jour',
+        'snowline.freezingLevel': 'Isotherme 0 °C',
+        'snowline.snowLine':      'Limite pluie-neige',
+        'snowline.baseToSummit':  'Station {base} m → sommet {summit} m',
+        'snowline.note':          'Limite pluie-neige estimée {offset} m sous l\'isotherme 0 °C, au plus haut de la journée.',
+        'snowline.wet.snow':      'Neige jusqu\'en station',
+        'snowline.wet.mixed':     'Pluie jusqu\'à {altitude} m',
+        'snowline.wet.rain':      'Pluie jusqu\'au sommet',
+        'snowline.where.mixed':   'entre la station et le sommet',
+        'snowline.where.snow':    'sous la station ({base} m)',
+        'snowline.where.rain':    'au-dessus du sommet ({summit} m)',
+        'snowline.chipTitle':     'Limite pluie-neige estimée à {altitude} m, {where}',
+        'snowline.freezingAt':    'Isotherme 0 °C {altitude} m',
+
+        // Avalanche
+        'avalanche.level1':           'Faible',
+        'avalanche.level2':           'Limité',
+        'avalanche.level3':           'Marqué',
+        'avalanche.level4':           'Fort',
+        'avalanche.level5':           'Très fort',
+        'avalanche.factor':           '+{points} : {text}',
+        'avalanche.levelTitle':       'Niveau indicatif {level} sur 5',
+        'avalanche.noFactor':         'Aucun facteur aggravant détecté sur les 72 dernières heures',
+        'avalanche.newSnow':          '{value} de neige fraîche en {hours} h',
+        'avalanche.windFrom':         'vent de {from} jusqu\'à {speed} : accumulations sur les pentes {to}',
+        'avalanche.windLee':          'vent jusqu\'à {speed} : accumulations sous le vent',
+        'avalanche.windLoading':      'Transport par le vent ({hours} h) – {where}',
+        'avalanche.warming':          'Réchauffement rapide : de {from} à {to}',
+        'avalanche.rainOnSnow':       'Pluie sur le manteau neigeux : {value} mm',
+        'avalanche.disclaimer':       'Indicateur local indicatif, calculé à partir des prévisions météo. Il ne remplace pas le bulletin d\'estimation du risque d\'avalanche officiel.',
+        'avalanche.officialBulletin': 'Bulletin officiel :',
+        'avalanche.cardLabel':        'Avalanche (indicatif)',
+        'avalanche.panelAria':        'Risque d\'avalanche indicatif',
+        'avalanche.panelTitle':       'Risque d\'avalanche – indicatif, non officiel',
+        'avalanche.scaleAria':        'Échelle de danger de 1 à 5',
+        'avalanche.summary':          'Sommet ({elevation} m), 72 dernières heures : niveau {level} – {label}',
+        'compass.n':  'nord',
+        'compass.ne': 'nord-est',
+        'compass.e':  'est',
+        'compass.se': 'sud-est',
+        'compass.s':  'sud',
+        'compass.sw': 'sud-ouest',
+        'compass.w':  'ouest',
+        'compass.nw': 'nord-ouest',
+
+        // Charts and season history
+        'chart.aria':                'Graphiques horaires',
+        'chart.title':               { one: 'Graphiques horaires – {count} jour', other: 'Graphiques horaires – {count} jours' },
+        'chart.showTable':           'Afficher le tableau',
+        'chart.hideTable':           'Masquer le tableau',
+        'chart.keyboardHelp':        'Graphiques horaires. Flèches gauche et droite : heure par heure, Page précédente / suivante : jour par jour.',
+        'chart.snowfall':            'Chutes de neige',
+        'chart.tooltipValue':        '{label} : {value}',
+        'history.title':             'Historique de la saison',
+        'history.loading':           'Chargement de l\'historique…',
+        'history.unavailable':       'Historique indisponible pour le moment.',
+        'history.noData':            'Aucune donnée d\'archive pour cette saison.',
+        'history.currentSeason':     '{season} (en cours)',
+        'history.sinceStart':        'Cumul depuis le 1er nov. ({days})',
+        'history.snowfallVsAverage': { one: 'Écart cumul / moyenne {count} saison', other: 'Écart cumul / moyenne {count} saisons' },
+        'history.depthVsAverage':    'Écart enneigement / moyenne',
+        'history.depthChart':        'Enneigement ({unit})',
+        'history.snowfallChart':     'Cumul des chutes ({unit})',
+        'history.note':              'Réanalyse Open-Meteo à {elevation} m (mi-pentes), disponible avec {delay} jours de décalage.',
+
+        // Multi-model forecasts
+        'models.title':              'Selon les modèles',
+        'models.loading':            'Chargement des modèles…',
+        'models.unavailable':        'Prévisions multi-modèles indisponibles pour le moment.',
+        'models.tempMax':            'Température max',
+        'models.confidenceHeader':   'Confiance',
+        'models.confidence.high':    'Confiance forte',
+        'models.confidence.medium':  'Confiance moyenne',
+        'models.confidence.low':     'Confiance faible',
+        'models.singleModel':        'Un seul modèle',
+        'models.badge':              '🎯 {level}',
+        'models.badgeTitle':         'Accord des modèles sur {days} jours : {level} (chutes {range})',
+        'models.note':               'AROME, ICON-D2, ICON-CH2 et ECMWF à l\'altitude du village ; les modèles régionaux ne couvrent que les premiers jours. La confiance baisse quand les chutes diffèrent de {snowMedium} (moyenne) ou {snowLow} (faible), ou la température max de {tempMedium} / {tempLow}.',
+
+        // Forecast reliability
+        'reliability.link':                 '📉 Fiabilité',
+        'reliability.subtitle':             'Fiabilité des prévisions',
+        'reliability.metricLabel':          'Comparer :',
+        'reliability.metric.snowfallCm':    'Chutes de neige',
+        'reliability.metric.depthChangeCm': 'Variation de l\'enneigement',
+        'reliability.metric.tempMinC':      'Température min',
+        'reliability.metric.tempMaxC':      'Température max',
+        'reliability.title':                'Prévu / observé : {metric}',
+        'reliability.intro':                'Chaque chargement de la liste des stations enregistre dans ce navigateur la prévision des trois jours suivants ; une fois le jour passé, elle est comparée aux valeurs horaires relevées ensuite. Un biais positif signifie que la prévision surestime.',
+        'reliability.caption':              'Biais et erreur moyenne par station et par échéance : {metric}',
+        'reliability.lead':                 'J+{days}',
+        'reliability.biasTitle':            'Biais : prévu moins observé, en moyenne',
+        'reliability.mae':                  'erreur moy. {value}',
+        'reliability.days':                 { one: '{count} jour', other: '{count} jours' },
+        'reliability.note':                 'Valeurs à l\'altitude du village. En dessous de {min} jours comparés, les chiffres restent indicatifs.',
+        'reliability.empty':                'Pas encore de jour à comparer : revenez après quelques jours d\'utilisation.',
+
+        // Alerts
+        'alerts.button':           'Alertes',
+        'alerts.title':            '🔔 Alertes neige',
+        'alerts.close':            'Fermer les alertes',
+        'alerts.unread':           { one: 'Alertes : {count} non lue', other: 'Alertes : {count} non lues' },
+        'alerts.day.now':          'maintenant',
+        'alerts.day.d0':           'aujourd\'hui',
+        'alerts.day.d1':           'demain',
+        'alerts.day.d2':           'après-demain',
+        'alerts.day.sat':          'samedi',
+        'alerts.day.sun':          'dimanche',
+        'alerts.freshSnow':        '{value} de neige fraîche',
+        'alerts.rating':           'note {label}',
+        'alerts.ratingOrBetter':   'note {label} ou mieux',
+        'alerts.orBetter':         '{label} ou mieux',
+        'alerts.allResorts':       'toutes les stations',
+        'alerts.atSummit':         'sommet',
+        'alerts.and':              'et',
+        'alerts.historyTitle':     'Alertes déclenchées',
+        'alerts.clearHistory':     '✕ Effacer l\'historique',
+        'alerts.noAlerts':         'Aucune alerte pour le moment.',
+        'alerts.rulesTitle':       'Mes règles',
+        'alerts.noRules':          'Aucune règle. Ajoutez-en une ci-dessous.',
+        'alerts.delete':           'Supprimer',
+        'alerts.deleteAria':       'Supprimer la règle : {rule}',
+        'alerts.formTitle':        'Nouvelle règle',
+        'alerts.allResortsOption': 'Toutes les stations',
+        'alerts.countries':        'Pays',
+        'alerts.regions':          'Régions',
+        'alerts.resorts':          'Stations',
+        'alerts.example':          'ex. {value}',
+        'alerts.where':            'Où',
+        'alerts.when':             'Quand',
+        'alerts.altitude':         'Altitude',
+        'alerts.freshSnowField':   'Neige fraîche ≥ ({unit})',
+        'alerts.windField':        'Vent ≤ ({unit})',
+        'alerts.snowDepthField':   'Enneigement ≥ ({unit})',
+        'alerts.ratingField':      'Note',
+        'alerts.sunnyField':       'Soleil',
+        'alerts.addRule':          'Ajouter la règle',
+        'alerts.errorEmpty':       'Choisissez au moins une condition.',
+        'alerts.errorNumber':      'Les valeurs doivent être des nombres positifs.',
+
+        // Week planner
+        'planner.button':       '📅 Planifier',
+        'planner.title':        '📅 Où et quand skier ?',
+        'planner.close':        'Fermer le planificateur',
+        'planner.weekendOnly':  'Week-end uniquement',
+        'planner.distance':     'Distance du domicile',
+        'planner.distanceFrom': 'Distance de {home}',
+        'planner.noHome':       'Choisissez un domicile pour filtrer par distance.',
+        'planner.country':      'Pays',
+        'planner.topTitle':     'Top {count}',
+        'planner.matrixTitle':  'Note par station et par jour',
+        'planner.resort':       'Station',
+        'planner.loading':      'Les prévisions sont en cours de chargement.',
+        'planner.noResorts':    'Aucune station ne correspond à ces filtres.',
+        'planner.noWeekend':    'Aucun jour de week-end dans les prévisions.',
+        'planner.note':         'Notes du profil {profile}, calculées sur les prévisions journalières au pied des pistes.',
+
+        // Favourites
+        'favorites.filter':   '★ Mes stations',
+        'favorites.add':      'Ajouter {name} à mes stations',
+        'favorites.remove':   'Retirer {name} de mes stations',
+        'favorites.moveUp':   'Monter {name} dans mes stations',
+        'favorites.moveDown': 'Descendre {name} dans mes stations',
+        'favorites.empty':    'Aucune station favorite pour l\'instant : touchez ☆ sur une carte pour l\'épingler ici.',
+        'grid.noMatch':       'Aucune station ne correspond à ces filtres.',
+
+        // Grid sort
+        'sort.label':         'Trier :',
+        'sort.catalogue':     'Ordre par défaut',
+        'sort.snowDepth':     'Enneigement',
+        'sort.snowfallToday': 'Chutes aujourd\'hui',
+        'sort.snowfall3d':    'Chutes sur 3 jours',
+        'sort.temperature':   'Température',
+        'sort.wind':          'Vent',
+        'sort.score':         'Note ski',
+        'sort.altitude':      'Altitude',
+        'sort.name':          'Nom',
+        'sort.distance':      'Distance (la plus proche d\'abord)',
+        'sort.asc':           'Ordre croissant',
+        'sort.desc':          'Ordre décroissant',
+        'sort.announce':      'Stations triées par {criterion}{direction}. En tête : {first}.',
+
+        // Home location
+        'home.label':          'Domicile :',
+        'home.none':           'Aucun',
+        'home.cities':         'Villes',
+        'home.locate':         '📍 Ma position',
+        'home.pickOnMap':      '🗺️ Choisir sur la carte',
+        'home.geoPoint':       'ma position',
+        'home.mapPoint':       'mon point sur la carte',
+        'home.radiusAria':     'Distance maximale du domicile',
+        'home.anyDistance':    'Toutes distances',
+        'home.distanceTitle':  'À vol d\'oiseau depuis {home}',
+        'home.pickHint':       'Cliquez sur la carte pour placer votre domicile.',
+        'home.geoUnavailable': 'La géolocalisation n\'est pas disponible dans ce navigateur.',
+        'home.geoFailed':      'Position introuvable. Autorisez la géolocalisation ou choisissez une ville.',
+        'city.geneva':         'Genève',
+        'city.lausanne':       'Lausanne',
+        'city.annecy':         'Annecy',
+        'city.lyon':           'Lyon',
+        'city.grenoble':       'Grenoble',
+        'city.zurich':         'Zurich',
+        'city.milan':          'Milan',
+        'city.turin':          'Turin',
+        'city.munich':         'Munich',
+
+        // Custom resorts
+        'custom.button':         '➕ Ajouter une station',
+        'custom.title':          '➕ Mes stations perso',
+        'custom.close':          'Fermer mes stations perso',
+        'custom.tag':            'Perso',
+        'custom.listTitle':      'Mes stations perso',
+        'custom.none':           'Aucune station perso pour le moment.',
+        'custom.edit':           'Modifier',
+        'custom.editAria':       'Modifier {name}',
+        'custom.delete':         'Supprimer',
+        'custom.deleteAria':     'Supprimer {name}',
+        'custom.addTitle':       'Ajouter une station',
+        'custom.editTitle':      'Modifier la station',
+        'custom.name':           'Nom',
+        'custom.country':        'Pays',
+        'custom.lat':            'Latitude (°)',
+        'custom.lon':            'Longitude (°)',
+        'custom.altitude':       'Altitude du village (m)',
+        'custom.summitAltitude': 'Altitude du sommet (m)',
+        'custom.optional':       'facultatif',
+        'custom.pickOnMap':      '🗺️ Choisir sur la carte',
+        'custom.pickHint':       'Cliquez sur la carte à l\'emplacement de la station.',
+        'custom.add':            'Ajouter la station',
+        'custom.save':           'Enregistrer',
+        'custom.cancel':         'Annuler',
+        'custom.added':          '{name} a été ajoutée.',
+        'custom.saved':          '{name} a été modifiée.',
+        'custom.deleted':        '{name} a été supprimée.',
+        'custom.error.name':           'Donnez un nom à la station.',
+        'custom.error.nameTaken':      'Une station porte déjà ce nom.',
+        'custom.error.country':        'Choisissez un pays.',
+        'custom.error.lat':            'La latitude doit être un nombre entre -90 et 90.',
+        'custom.error.lon':            'La longitude doit être un nombre entre -180 et 180.',
+        'custom.error.altitude':       'L\'altitude doit être un nombre entre 0 et {max} m.',
+        'custom.error.summitAltitude': 'L\'altitude du sommet doit être comprise entre celle du village et {max} m.',
+    },
+
+    /* ===========================
+       English
+       =========================== */
+    en: {
+        'page.indexTitle':          'Météo des Neiges – Alps',
+        'page.indexDescription':    'Snow forecasts for ski resorts in the Alps: France, Switzerland, Austria and Italy.',
+        'page.indexSubtitle':       'Ski resorts of the Alps',
+        'page.detailTitle':         'Météo des Neiges – Details',
+        'page.detailDescription':   'Detailed forecasts and hourly outlook for a ski resort in the Alps.',
+        'page.loading':             'Loading…',
+        'page.reliabilityTitle':       'Météo des Neiges – Forecast reliability',
+        'page.reliabilityDescription': 'Reliability of the snow forecasts recorded by this browser, resort by resort.',
+        'footer.dataBy':            'Weather data provided by',
+        'footer.refresh':           'Updated every 30 minutes',
+        'status.updated':           'Updated: {time}',
+
+        'filters.aria':              'Filters',
+        'filters.country':           'Country:',
+        'filters.all':               'All',
+        'filters.profile':           'Profile:',
+        'filters.units':             'Units:',
+        'filters.language':          'Language',
+        'filters.searchPlaceholder': 'Search for a resort…',
+        'filters.searchAria':        'Search for a ski resort',
+        'units.tempAria':            'Temperature unit',
+        'units.depthAria':           'Snow depth unit',
+        'units.windAria':            'Wind unit',
+        'map.toggle':                '🗺️ Map',
+        'map.aria':                  'Interactive map of ski resorts',
+        'map.metricLabel':           'Colour by:',
+        'map.metric.rating':         'Ski rating',
+        'map.metric.freshSnow':      'Fresh snow 24 h',
+        'map.metric.snowfall':       'Forecast snowfall (3 d)',
+        'map.metric.snowDepth':      'Snow depth',
+        'map.metric.temperature':    'Temperature',
+        'map.metric.wind':           'Wind',
+        'map.legendAria':            'Legend: {metric}',
+        'map.sizeNote':              'Marker size: forecast snowfall over 3 days.',
+        'map.noData':                'No data',
+        'map.details':               'Details →',
+        'map.searchArea':            '🔍 Search this area',
+        'map.clearArea':             '✕ Whole map',
+        'map.areaEmpty':             'No resort in this area of the map matches these filters.',
+        'grid.aria':                 'Ski resorts',
+
+        'country.France':   'France',
+        'country.Suisse':   'Switzerland',
+        'country.Autriche': 'Austria',
+        'country.Italie':   'Italy',
+        'band.base':        'Base',
+        'band.mid':         'Mid-mountain',
+        'band.summit':      'Summit',
+        'profile.standard': 'Standard',
+        'profile.debutant': 'Beginner',
+        'profile.freeride': 'Freeride',
+        'profile.famille':  'Family',
+        'rating.excellent': 'Excellent',
+        'rating.good':      'Good',
+        'rating.fair':      'Fair',
+        'rating.poor':      'Poor',
+        'rating.why':       'Why? ({score}/100)',
+        'rating.noFactor':  'Average conditions, nothing stands out',
+
+        'reason.storm':         'thunderstorm',
+        'reason.rainUpTo':      'rain up to {altitude} m',
+        'reason.rain':          'rain',
+        'reason.wind':          'wind {value}',
+        'reason.snowpack':      'snow depth {value}',
+        'reason.thinSnowpack':  'thin snowpack {value}',
+        'reason.sunny':         'sunshine',
+        'reason.snowingFrom':   'snowing above {altitude} m',
+        'reason.snowing':       'snowing',
+        'reason.freshSnow':     'fresh snow {value}',
+        'reason.cold':          'cold {value}',
+        'reason.warm':          'mild {value}',
+        'reason.lowVisibility': 'visibility {value}',
+        'reason.fog':           'fog',
+        'reason.whiteout':      'whiteout risk',
+        'reason.gusts':         'gusts {value}',
+        'reason.windChill':     'feels like {value}, never excellent',
+
+        'wmo.0':       'Clear sky',
+        'wmo.1':       'Mainly clear',
+        'wmo.2':       'Partly cloudy',
+        'wmo.3':       'Overcast',
+        'wmo.45':      'Fog',
+        'wmo.48':      'Freezing fog',
+        'wmo.51':      'Light drizzle',
+        'wmo.53':      'Moderate drizzle',
+        'wmo.55':      'Dense drizzle',
+        'wmo.61':      'Light rain',
+        'wmo.63':      'Moderate rain',
+        'wmo.65':      'Heavy rain',
+        'wmo.71':      'Light snow',
+        'wmo.73':      'Moderate snow',
+        'wmo.75':      'Heavy snow',
+        'wmo.77':      'Snow grains',
+        'wmo.80':      'Light showers',
+        'wmo.81':      'Moderate showers',
+        'wmo.82':      'Violent showers',
+        'wmo.85':      'Light snow showers',
+        'wmo.86':      'Heavy snow showers',
+        'wmo.95':      'Thunderstorm',
+        'wmo.96':      'Thunderstorm with hail',
+        'wmo.99':      'Thunderstorm with heavy hail',
+        'wmo.unknown': 'Data unavailable',
+
+        'stat.snowDepth':     'Snow depth',
+        'stat.wind':          'Wind',
+        'stat.minMax':        'Min / Max',
+        'stat.snowfallToday': 'Expected snowfall',
+        'stat.skiConditions': 'Ski conditions',
+        'stat.temperature':   'Temperature',
+        'stat.snowfall7d':    '7-day snowfall',
+        'stat.snowfall':      'Snowfall',
+        'stat.windMax':       'Max wind',
+        'stat.visibility':    'Visibility',
+        'stat.feelsLike':     'Feels like',
+        'stat.gusts':         'Gusts',
+        'conditions.whiteout':       'Whiteout risk',
+        'conditions.whiteoutDetail': 'low cloud and poor visibility: terrain and slopes hard to read',
+
+        'card.aria':         '{name} resort',
+        'card.bandsAria':    'Conditions by altitude at {name}',
+        'card.details':      'View details →',
+        'card.detailsAria':  'View details for {name}',
+        'card.forecast3':    '3-day forecast',
+        'compare.add':       '+ Compare',
+        'compare.addAria':   'Select {name} to compare',
+        'compare.selected':  '✓ Selected',
+        'compare.count':     { one: '{count} resort selected', other: '{count} resorts selected' },
+        'compare.button':    '⚖️ Compare',
+        'compare.clear':     '✕ Clear',
+        'compare.clearAria': 'Clear the selection',
+        'compare.title':     '⚖️ Resort comparison',
+        'compare.close':     'Close the comparison',
+        'compare.criterion': 'Criterion',
+        'compare.weatherNow': 'Current weather',
+        'compare.why':       'Why',
+        'compare.now':       'Now',
+        'compare.weather':   'Weather',
+        'compare.tempMax':   'Max temperature',
+        'compare.best':      'best value',
+        'compare.exportCsv': '⬇️ Export CSV',
+        'compare.csvFilename': 'resort-comparison',
+
+        'csv.resort':   'Resort',
+        'csv.country':  'Country',
+        'csv.altitude': 'Altitude (m)',
+        'csv.date':     'Date',
+        'csv.weather':  'Weather',
+        'csv.tempMin':  'Min temp. ({unit})',
+        'csv.tempMax':  'Max temp. ({unit})',
+        'csv.snowfall': 'Snowfall ({unit})',
+        'csv.windMax':  'Max wind ({unit})',
+        'csv.score':    'Score (/100)',
+        'csv.rating':   'Ski conditions',
+
+        'export.label':           'Export:',
+        'export.ics':             '📅 Calendar',
+        'export.icsSummary':      '{icon} {name}: {snowfall}, {temps}, {rating}',
+        'export.icsWind':         'Max wind: {value}',
+        'export.icsSource':       'Open-Meteo forecast, exported from Météo des Neiges.',
+        'export.icsCalendarName': 'Météo des Neiges',
+        'export.gridFilename':    'resort-forecasts',
+
+        'error.resortList':     'Could not load the list of resorts. Check your connection or try again later.',
+        'error.forecasts':      {
+            one:   'Could not load the data of {count} resort. Check your connection or try again later.',
+            other: 'Could not load the data of {count} resorts. Check your connection or try again later.',
+        },
+        'error.offlineGrid':    {
+            one:   'Offline: showing the last known data for {count} resort.',
+            other: 'Offline: showing the last known data for {count} resorts.',
+        },
+        'error.unknownResort':  'Unknown resort. Please go back to the list of resorts.',
+        'error.resortForecast': 'Could not load the data for {name}. Check your connection or try again later.',
+        'error.offlineDetail':  'Offline: showing the last known data.',
+        'offline.age':          'data from {age} ago',
+        'offline.title':        'Offline – last data from {date}',
+
+        'detail.back':         '← Back to resorts',
+        'detail.backAria':     'Back to the list of resorts',
+        'detail.current':      'Current conditions',
+        'detail.pisteKm':      '{km} km of slopes',
+        'detail.officialSite': 'Official website ↗',
+        'detail.byBand':       'Conditions by altitude',
+        'detail.forecast7':    '7-day forecast',
+        'hourly.aria':         '24-hour hourly outlook',
+        'hourly.title':        'Hourly outlook – 24 h',
+        'hourly.time':         'Time',
+        'hourly.weather':      'Weather',
+        'hourly.temp':         'Temp.',
+
+        'snowline.title':         'Freezing level and rain/snow line',
+        'snowline.day':           'Day',
+        'snowline.freezingLevel': 'Freezing level',
+        'snowline.snowLine':      'Rain/snow line',
+        'snowline.baseToSummit':  'Base {base} m → summit {summit} m',
+        'snowline.note':          'Rain/snow line estimated {offset} m below the freezing level, at its daily high.',
+        'snowline.wet.snow':      'Snow down to the base',
+        'snowline.wet.mixed':     'Rain up to {altitude} m',
+        'snowline.wet.rain':      'Rain up to the summit',
+        'snowline.where.mixed':   'between the base and the summit',
+        'snowline.where.snow':    'below the base ({base} m)',
+        'snowline.where.rain':    'above the summit ({summit} m)',
+        'snowline.chipTitle':     'Rain/snow line estimated at {altitude} m, {where}',
+        'snowline.freezingAt':    'Freezing level {altitude} m',
+
+        'avalanche.level1':           'Low',
+        'avalanche.level2':           'Moderate',
+        'avalanche.level3':           'Considerable',
+        'avalanche.level4':           'High',
+        'avalanche.level5':           'Very high',
+        'avalanche.factor':           '+{points}: {text}',
+        'avalanche.levelTitle':       'Indicative level {level} of 5',
+        'avalanche.noFactor':         'No aggravating factor detected over the last 72 hours',
+        'avalanche.newSnow':          '{value} of new snow in {hours} h',
+        'avalanche.windFrom':         '{from} wind up to {speed}: drifts on {to}-facing slopes',
+        'avalanche.windLee':          'wind up to {speed}: drifts on leeward slopes',
+        'avalanche.windLoading':      'Wind transport ({hours} h) – {where}',
+        'avalanche.warming':          'Rapid warming: from {from} to {to}',
+        'avalanche.rainOnSnow':       'Rain on the snowpack: {value} mm',
+        'avalanche.disclaimer':       'Local indicative estimate computed from the weather forecast. It does not replace the official avalanche bulletin.',
+        'avalanche.officialBulletin': 'Official bulletin:',
+        'avalanche.cardLabel':        'Avalanche (indicative)',
+        'avalanche.panelAria':        'Indicative avalanche danger',
+        'avalanche.panelTitle':       'Avalanche danger – indicative, not official',
+        'avalanche.scaleAria':        'Danger scale from 1 to 5',
+        'avalanche.summary':          'Summit ({elevation} m), last 72 hours: level {level} – {label}',
+        'compass.n':  'north',
+        'compass.ne': 'north-east',
+        'compass.e':  'east',
+        'compass.se': 'south-east',
+        'compass.s':  'south',
+        'compass.sw': 'south-west',
+        'compass.w':  'west',
+        'compass.nw': 'north-west',
+
+        'chart.aria':                'Hourly charts',
+        'chart.title':               { one: 'Hourly charts – {count} day', other: 'Hourly charts – {count} days' },
+        'chart.showTable':           'Show the table',
+        'chart.hideTable':           'Hide the table',
+        'chart.keyboardHelp':        'Hourly charts. Left and right arrows: hour by hour, Page Up / Page Down: day by day.',
+        'chart.snowfall':            'Snowfall',
+        'chart.tooltipValue':        '{label}: {value}',
+        'history.title':             'Season history',
+        'history.loading':           'Loading history…',
+        'history.unavailable':       'History unavailable at the moment.',
+        'history.noData':            'No archive data for this season.',
+        'history.currentSeason':     '{season} (current)',
+        'history.sinceStart':        'Total since 1 Nov ({days})',
+        'history.snowfallVsAverage': { one: 'Total vs {count}-season average', other: 'Total vs {count}-season average' },
+        'history.depthVsAverage':    'Snow depth vs average',
+        'history.depthChart':        'Snow depth ({unit})',
+        'history.snowfallChart':     'Cumulative snowfall ({unit})',
+        'history.note':              'Open-Meteo reanalysis at {elevation} m (mid-mountain), available with a {delay}-day delay.',
+        'models.title':              'According to the models',
+        'models.loading':            'Loading the models…',
+        'models.unavailable':        'Multi-model forecast unavailable for now.',
+        'models.tempMax':            'Max temperature',
+        'models.confidenceHeader':   'Confidence',
+        'models.confidence.high':    'High confidence',
+        'models.confidence.medium':  'Medium confidence',
+        'models.confidence.low':     'Low confidence',
+        'models.singleModel':        'Single model',
+        'models.badge':              '🎯 {level}',
+        'models.badgeTitle':         'Model agreement over {days} days: {level} (snowfall {range})',
+        'models.note':               'AROME, ICON-D2, ICON-CH2 and ECMWF at village altitude; the regional models only cover the first days. Confidence drops when snowfall differs by {snowMedium} (medium) or {snowLow} (low), or the max temperature by {tempMedium} / {tempLow}.',
+        'reliability.link':                 '📉 Reliability',
+        'reliability.subtitle':             'Forecast reliability',
+        'reliability.metricLabel':          'Compare:',
+        'reliability.metric.snowfallCm':    'Snowfall',
+        'reliability.metric.depthChangeCm': 'Snow depth change',
+        'reliability.metric.tempMinC':      'Min temperature',
+        'reliability.metric.tempMaxC':      'Max temperature',
+        'reliability.title':                'Forecast vs observed: {metric}',
+        'reliability.intro':                'Every load of the resort list records the forecast for the next three days in this browser; once a day is over, it is compared with the hourly values reported afterwards. A positive bias means the forecast overstates.',
+        'reliability.caption':              'Bias and mean error by resort and lead time: {metric}',
+        'reliability.lead':                 'D+{days}',
+        'reliability.biasTitle':            'Bias: forecast minus observed, on average',
+        'reliability.mae':                  'mean error {value}',
+        'reliability.days':                 { one: '{count} day', other: '{count} days' },
+        'reliability.note':                 'Values at village altitude. Below {min} compared days, the figures are only indicative.',
+        'reliability.empty':                'Nothing to compare yet: come back after a few days of use.',
+
+        'alerts.button':           'Alerts',
+        'alerts.title':            '🔔 Snow alerts',
+        'alerts.close':            'Close the alerts',
+        'alerts.unread':           { one: 'Alerts: {count} unread', other: 'Alerts: {count} unread' },
+        'alerts.day.now':          'now',
+        'alerts.day.d0':           'today',
+        'alerts.day.d1':           'tomorrow',
+        'alerts.day.d2':           'the day after tomorrow',
+        'alerts.day.sat':          'Saturday',
+        'alerts.day.sun':          'Sunday',
+        'alerts.freshSnow':        '{value} of fresh snow',
+        'alerts.rating':           'rating {label}',
+        'alerts.ratingOrBetter':   'rating {label} or better',
+        'alerts.orBetter':         '{label} or better',
+        'alerts.allResorts':       'all resorts',
+        'alerts.atSummit':         'summit',
+        'alerts.and':              'and',
+        'alerts.historyTitle':     'Triggered alerts',
+        'alerts.clearHistory':     '✕ Clear history',
+        'alerts.noAlerts':         'No alerts yet.',
+        'alerts.rulesTitle':       'My rules',
+        'alerts.noRules':          'No rules. Add one below.',
+        'alerts.delete':           'Delete',
+        'alerts.deleteAria':       'Delete the rule: {rule}',
+        'alerts.formTitle':        'New rule',
+        'alerts.allResortsOption': 'All resorts',
+        'alerts.countries':        'Countries',
+        'alerts.regions':          'Regions',
+        'alerts.resorts':          'Resorts',
+        'alerts.example':          'e.g. {value}',
+        'alerts.where':            'Where',
+        'alerts.when':             'When',
+        'alerts.altitude':         'Altitude',
+        'alerts.freshSnowField':   'Fresh snow ≥ ({unit})',
+        'alerts.windField':        'Wind ≤ ({unit})',
+        'alerts.snowDepthField':   'Snow depth ≥ ({unit})',
+        'alerts.ratingField':      'Rating',
+        'alerts.sunnyField':       'Sunshine',
+        'alerts.addRule':          'Add the rule',
+        'alerts.errorEmpty':       'Choose at least one condition.',
+        'alerts.errorNumber':      'Values must be positive numbers.',
+
+        'planner.button':       '📅 Plan',
+        'planner.title':        '📅 Where and when to ski?',
+        'planner.close':        'Close the planner',
+        'planner.weekendOnly':  'Weekend only',
+        'planner.distance':     'Distance from home',
+        'planner.distanceFrom': 'Distance from {home}',
+        'planner.noHome':       'Set a home point to filter by distance.',
+        'planner.country':      'Country',
+        'planner.topTitle':     'Top {count}',
+        'planner.matrixTitle':  'Score by resort and day',
+        'planner.resort':       'Resort',
+        'planner.loading':      'The forecasts are loading.',
+        'planner.noResorts':    'No resort matches these filters.',
+        'planner.noWeekend':    'No weekend day in the forecast.',
+        'planner.note':         'Scores for the {profile} profile, from the daily forecast at the base of the slopes.',
+
+        'favorites.filter':   '★ My resorts',
+        'favorites.add':      'Add {name} to my resorts',
+        'favorites.remove':   'Remove {name} from my resorts',
+        'favorites.moveUp':   'Move {name} up in my resorts',
+        'favorites.moveDown': 'Move {name} down in my resorts',
+        'favorites.empty':    'No favourite resorts yet: tap ☆ on a card to pin it here.',
+        'grid.noMatch':       'No resort matches these filters.',
+
+        'sort.label':         'Sort:',
+        'sort.catalogue':     'Default order',
+        'sort.snowDepth':     'Snow depth',
+        'sort.snowfallToday': 'Snowfall today',
+        'sort.snowfall3d':    '3-day snowfall',
+        'sort.temperature':   'Temperature',
+        'sort.wind':          'Wind',
+        'sort.score':         'Ski score',
+        'sort.altitude':      'Altitude',
+        'sort.name':          'Name',
+        'sort.distance':      'Distance (closest first)',
+        'sort.asc':           'Ascending order',
+        'sort.desc':          'Descending order',
+        'sort.announce':      'Resorts sorted by {criterion}{direction}. First: {first}.',
+
+        'home.label':          'Home:',
+        'home.none':           'None',
+        'home.cities':         'Cities',
+        'home.locate':         '📍 My location',
+        'home.pickOnMap':      '🗺️ Pick on the map',
+        'home.geoPoint':       'my location',
+        'home.mapPoint':       'my point on the map',
+        'home.radiusAria':     'Maximum distance from home',
+        'home.anyDistance':    'Any distance',
+        'home.distanceTitle':  'As the crow flies from {home}',
+        'home.pickHint':       'Click the map to place your home.',
+        'home.geoUnavailable': 'Geolocation is not available in this browser.',
+        'home.geoFailed':      'Location not found. Allow geolocation or choose a city.',
+        'city.geneva':         'Geneva',
+        'city.lausanne':       'Lausanne',
+        'city.annecy':         'Annecy',
+        'city.lyon':           'Lyon',
+        'city.grenoble':       'Grenoble',
+        'city.zurich':         'Zurich',
+        'city.milan':          'Milan',
+        'city.turin':          'Turin',
+        'city.munich':         'Munich',
+
+        'custom.button':         '➕ Add a resort',
+        'custom.title':          '➕ My own resorts',
+        'custom.close':          'Close my own resorts',
+        'custom.tag':            'Custom',
+        'custom.listTitle':      'My own resorts',
+        'custom.none':           'No custom resort yet.',
+        'custom.edit':           'Edit',
+        'custom.editAria':       'Edit {name}',
+        'custom.delete':         'Delete',
+        'custom.deleteAria':     'Delete {name}',
+        'custom.addTitle':       'Add a resort',
+        'custom.editTitle':      'Edit the resort',
+        'custom.name':           'Name',
+        'custom.country':        'Country',
+        'custom.lat':            'Latitude (°)',
+        'custom.lon':            'Longitude (°)',
+        'custom.altitude':       'Village altitude (m)',
+        'custom.summitAltitude': 'Summit altitude (m)',
+        'custom.optional':       'optional',
+        'custom.pickOnMap':      '🗺️ Pick on the map',
+        'custom.pickHint':       'Click the map where the resort is.',
+        'custom.add':            'Add the resort',
+        'custom.save':           'Save',
+        'custom.cancel':         'Cancel',
+        'custom.added':          '{name} has been added.',
+        'custom.saved':          '{name} has been updated.',
+        'custom.deleted':        '{name} has been deleted.',
+        'custom.error.name':           'Give the resort a name.',
+        'custom.error.nameTaken':      'A resort already has this name.',
+        'custom.error.country':        'Choose a country.',
+        'custom.error.lat':            'The latitude must be a number between -90 and 90.',
+        'custom.error.lon':            'The longitude must be a number between -180 and 180.',
+        'custom.error.altitude':       'The altitude must be a number between 0 and {max} m.',
+        'custom.error.summitAltitude': 'The summit altitude must be between the village altitude and {max} m.',
+    },
+
+    /* ===========================
+       Deutsch
+       =========================== */
+    de: {
+        'page.indexTitle':          'Météo des Neiges – Alpen',
+        'page.indexDescription':    'Schneewetter für die Skigebiete der Alpen: Frankreich, Schweiz, Österreich und Italien.',
+        'page.indexSubtitle':       'Skigebiete der Alpen',
+        'page.detailTitle':         'Météo des Neiges – Details',
+        'page.detailDescription':   'Ausführliche Vorhersage und Stundenübersicht für ein Skigebiet der Alpen.',
+        'page.loading':             'Wird geladen…',
+        'page.reliabilityTitle':       'Météo des Neiges – Verlässlichkeit der Vorhersagen',
+        'page.reliabilityDescription': 'Verlässlichkeit der von diesem Browser gespeicherten Schneevorhersagen, Skigebiet für Skigebiet.',
+        'footer.dataBy':            'Wetterdaten von',
+        'footer.refresh':           'Aktualisierung alle 30 Minuten',
+        'status.updated':           'Aktualisiert: {time}',
+
+        'filters.aria':              'Filter',
+        'filters.country':           'Land:',
+        'filters.all':               'Alle',
+        'filters.profile':           'Profil:',
+        'filters.units':             'Einheiten:',
+        'filters.language':          'Sprache',
+        'filters.searchPlaceholder': 'Skigebiet suchen…',
+        'filters.searchAria':        'Ein Skigebiet suchen',
+        'units.tempAria':            'Temperatureinheit',
+        'units.depthAria':           'Einheit der Schneehöhe',
+        'units.windAria':            'Windeinheit',
+        'map.toggle':                '🗺️ Karte',
+        'map.aria':                  'Interaktive Karte der Skigebiete',
+        'map.metricLabel':           'Färben nach:',
+        'map.metric.rating':         'Ski-Bewertung',
+        'map.metric.freshSnow':      'Neuschnee 24 h',
+        'map.metric.snowfall':       'Erwarteter Schneefall (3 T.)',
+        'map.metric.snowDepth':      'Schneehöhe',
+        'map.metric.temperature':    'Temperatur',
+        'map.metric.wind':           'Wind',
+        'map.legendAria':            'Legende: {metric}',
+        'map.sizeNote':              'Punktgröße: erwarteter Schneefall über 3 Tage.',
+        'map.noData':                'Keine Daten',
+        'map.details':               'Details →',
+        'map.searchArea':            '🔍 In diesem Bereich suchen',
+        'map.clearArea':             '✕ Ganze Karte',
+        'map.areaEmpty':             'Kein Skigebiet in diesem Kartenbereich entspricht diesen Filtern.',
+        'grid.aria':                 'Skigebiete',
+
+        'country.France':   'Frankreich',
+        'country.Suisse':   'Schweiz',
+        'country.Autriche': 'Österreich',
+        'country.Italie':   'Italien',
+        'band.base':        'Tal',
+        'band.mid':         'Mittelstation',
+        'band.summit':      'Gipfel',
+        'profile.standard': 'Standard',
+        'profile.debutant': 'Anfänger',
+        'profile.freeride': 'Freeride',
+        'profile.famille':  'Familie',
+        'rating.excellent': 'Ausgezeichnet',
+        'rating.good':      'Gut',
+        'rating.fair':      'Mäßig',
+        'rating.poor':      'Schlecht',
+        'rating.why':       'Warum? ({score}/100)',
+        'rating.noFactor':  'Durchschnittliche Bedingungen, nichts Auffälliges',
+
+        'reason.storm':         'Gewitter',
+        'reason.rainUpTo':      'Regen bis {altitude} m',
+        'reason.rain':          'Regen',
+        'reason.wind':          'Wind {value}',
+        'reason.snowpack':      'Schneehöhe {value}',
+        'reason.thinSnowpack':  'geringe Schneehöhe {value}',
+        'reason.sunny':         'Sonne',
+        'reason.snowingFrom':   'Schneefall ab {altitude} m',
+        'reason.snowing':       'Schneefall',
+        'reason.freshSnow':     'Neuschnee {value}',
+        'reason.cold':          'Kälte {value}',
+        'reason.warm':          'Tauwetter {value}',
+        'reason.lowVisibility': 'Sicht {value}',
+        'reason.fog':           'Nebel',
+        'reason.whiteout':      'White-out-Gefahr',
+        'reason.gusts':         'Böen {value}',
+        'reason.windChill':     'gefühlt {value}, nie ausgezeichnet',
+
+        'wmo.0':       'Klarer Himmel',
+        'wmo.1':       'Überwiegend klar',
+        'wmo.2':       'Teilweise bewölkt',
+        'wmo.3':       'Bedeckt',
+        'wmo.45':      'Nebel',
+        'wmo.48':      'Gefrierender Nebel',
+        'wmo.51':      'Leichter Nieselregen',
+        'wmo.53':      'Mäßiger Nieselregen',
+        'wmo.55':      'Starker Nieselregen',
+        'wmo.61':      'Leichter Regen',
+        'wmo.63':      'Mäßiger Regen',
+        'wmo.65':      'Starker Regen',
+        'wmo.71':      'Leichter Schneefall',
+        'wmo.73':      'Mäßiger Schneefall',
+        'wmo.75':      'Starker Schneefall',
+        'wmo.77':      'Schneegriesel',
+        'wmo.80':      'Leichte Schauer',
+        'wmo.81':      'Mäßige Schauer',
+        'wmo.82':      'Heftige Schauer',
+        'wmo.85':      'Leichte Schneeschauer',
+        'wmo.86':      'Starke Schneeschauer',
+        'wmo.95':      'Gewitter',
+        'wmo.96':      'Gewitter mit Hagel',
+        'wmo.99':      'Gewitter mit starkem Hagel',
+        'wmo.unknown': 'Keine Daten verfügbar',
+
+        'stat.snowDepth':     'Schneehöhe',
+        'stat.wind':          'Wind',
+        'stat.minMax':        'Min / Max',
+        'stat.snowfallToday': 'Erwarteter Schnee',
+        'stat.skiConditions': 'Skibedingungen',
+        'stat.temperature':   'Temperatur',
+        'stat.snowfall7d':    'Schnee 7 T.',
+        'stat.snowfall':      'Schnee',
+        'stat.windMax':       'Max. Wind',
+        'stat.visibility':    'Sicht',
+        'stat.feelsLike':     'Gefühlt',
+        'stat.gusts':         'Böen',
+        'conditions.whiteout':       'White-out-Gefahr',
+        'conditions.whiteoutDetail': 'tiefe Wolken und schlechte Sicht: Gelände und Pisten schwer zu erkennen',
+
+        'card.aria':         'Skigebiet {name}',
+        'card.bandsAria':    'Bedingungen nach Höhe in {name}',
+        'card.details':      'Details ansehen →',
+        'card.detailsAria':  'Details zu {name} ansehen',
+        'card.forecast3':    '3-Tage-Vorhersage',
+        'compare.add':       '+ Vergleichen',
+        'compare.addAria':   '{name} zum Vergleich auswählen',
+        'compare.selected':  '✓ Ausgewählt',
+        'compare.count':     { one: '{count} Skigebiet ausgewählt', other: '{count} Skigebiete ausgewählt' },
+        'compare.button':    '⚖️ Vergleichen',
+        'compare.clear':     '✕ Leeren',
+        'compare.clearAria': 'Auswahl leeren',
+        'compare.title':     '⚖️ Vergleich der Skigebiete',
+        'compare.close':     'Vergleich schließen',
+        'compare.criterion': 'Kriterium',
+        'compare.weatherNow': 'Aktuelles Wetter',
+        'compare.why':       'Warum',
+        'compare.now':       'Jetzt',
+        'compare.weather':   'Wetter',
+        'compare.tempMax':   'Höchsttemperatur',
+        'compare.best':      'bester Wert',
+        'compare.exportCsv': '⬇️ CSV exportieren',
+        'compare.csvFilename': 'skigebiete-vergleich',
+
+        'csv.resort':   'Skigebiet',
+        'csv.country':  'Land',
+        'csv.altitude': 'Höhe (m)',
+        'csv.date':     'Datum',
+        'csv.weather':  'Wetter',
+        'csv.tempMin':  'Temp. min ({unit})',
+        'csv.tempMax':  'Temp. max ({unit})',
+        'csv.snowfall': 'Neuschnee ({unit})',
+        'csv.windMax':  'Wind max ({unit})',
+        'csv.score':    'Bewertung (/100)',
+        'csv.rating':   'Skibedingungen',
+
+        'export.label':           'Exportieren:',
+        'export.ics':             '📅 Kalender',
+        'export.icsSummary':      '{icon} {name}: {snowfall}, {temps}, {rating}',
+        'export.icsWind':         'Max. Wind: {value}',
+        'export.icsSource':       'Open-Meteo-Vorhersage, exportiert aus Météo des Neiges.',
+        'export.icsCalendarName': 'Météo des Neiges',
+        'export.gridFilename':    'skigebiete-vorhersagen',
+
+        'error.resortList':     'Die Liste der Skigebiete konnte nicht geladen werden. Prüfen Sie Ihre Verbindung oder versuchen Sie es später erneut.',
+        'error.forecasts':      {
+            one:   'Die Daten von {count} Skigebiet konnten nicht geladen werden. Prüfen Sie Ihre Verbindung oder versuchen Sie es später erneut.',
+            other: 'Die Daten von {count} Skigebieten konnten nicht geladen werden. Prüfen Sie Ihre Verbindung oder versuchen Sie es später erneut.',
+        },
+        'error.offlineGrid':    {
+            one:   'Offline: letzte bekannte Daten für {count} Skigebiet angezeigt.',
+            other: 'Offline: letzte bekannte Daten für {count} Skigebiete angezeigt.',
+        },
+        'error.unknownResort':  'Unbekanntes Skigebiet. Bitte kehren Sie zur Liste der Skigebiete zurück.',
+        'error.resortForecast': 'Die Daten für {name} konnten nicht geladen werden. Prüfen Sie Ihre Verbindung oder versuchen Sie es später erneut.',
+        'error.offlineDetail':  'Offline: letzte bekannte Daten werden angezeigt.',
+        'offline.age':          'Daten von vor {age}',
+        'offline.title':        'Offline – letzte Daten vom {date}',
+
+        'detail.back':         '← Zurück zu den Skigebieten',
+        'detail.backAria':     'Zurück zur Liste der Skigebiete',
+        'detail.current':      'Aktuelle Bedingungen',
+        'detail.pisteKm':      '{km} km Pisten',
+        'detail.officialSite': 'Offizielle Website ↗',
+        'detail.byBand':       'Bedingungen nach Höhe',
+        'detail.forecast7':    '7-Tage-Vorhersage',
+        'hourly.aria':         'Stundenübersicht für 24 h',
+        'hourly.title':        'Stundenübersicht – 24 h',
+        'hourly.time':         'Uhrzeit',
+        'hourly.weather':      'Wetter',
+        'hourly.temp':         'Temp.',
+
+        'snowline.title':         'Nullgradgrenze und Schneefallgrenze',
+        'snowline.day':           'Tag',
+        'snowline.freezingLevel': 'Nullgradgrenze',
+        'snowline.snowLine':      'Schneefallgrenze',
+        'snowline.baseToSummit':  'Tal {base} m → Gipfel {summit} m',
+        'snowline.note':          'Schneefallgrenze geschätzt {offset} m unter der Nullgradgrenze, beim Tageshöchstwert.',
+        'snowline.wet.snow':      'Schnee bis ins Tal',
+        'snowline.wet.mixed':     'Regen bis {altitude} m',
+        'snowline.wet.rain':      'Regen bis zum Gipfel',
+        'snowline.where.mixed':   'zwischen Tal und Gipfel',
+        'snowline.where.snow':    'unterhalb des Tals ({base} m)',
+        'snowline.where.rain':    'oberhalb des Gipfels ({summit} m)',
+        'snowline.chipTitle':     'Schneefallgrenze geschätzt auf {altitude} m, {where}',
+        'snowline.freezingAt':    'Nullgradgrenze {altitude} m',
+
+        'avalanche.level1':           'Gering',
+        'avalanche.level2':           'Mäßig',
+        'avalanche.level3':           'Erheblich',
+        'avalanche.level4':           'Groß',
+        'avalanche.level5':           'Sehr groß',
+        'avalanche.factor':           '+{points}: {text}',
+        'avalanche.levelTitle':       'Richtwert Stufe {level} von 5',
+        'avalanche.noFactor':         'Kein verschärfender Faktor in den letzten 72 Stunden erkannt',
+        'avalanche.newSnow':          '{value} Neuschnee in {hours} h',
+        'avalanche.windFrom':         'Wind aus {from} bis {speed}: Triebschnee an {to}hängen',
+        'avalanche.windLee':          'Wind bis {speed}: Triebschnee in Leehängen',
+        'avalanche.windLoading':      'Schneeverfrachtung ({hours} h) – {where}',
+        'avalanche.warming':          'Rasche Erwärmung: von {from} auf {to}',
+        'avalanche.rainOnSnow':       'Regen auf die Schneedecke: {value} mm',
+        'avalanche.disclaimer':       'Lokaler Richtwert, aus der Wettervorhersage berechnet. Er ersetzt nicht den offiziellen Lawinenlagebericht.',
+        'avalanche.officialBulletin': 'Offizieller Lagebericht:',
+        'avalanche.cardLabel':        'Lawinen (Richtwert)',
+        'avalanche.panelAria':        'Lawinengefahr (Richtwert)',
+        'avalanche.panelTitle':       'Lawinengefahr – Richtwert, nicht offiziell',
+        'avalanche.scaleAria':        'Gefahrenskala von 1 bis 5',
+        'avalanche.summary':          'Gipfel ({elevation} m), letzte 72 Stunden: Stufe {level} – {label}',
+        'compass.n':  'Nord',
+        'compass.ne': 'Nordost',
+        'compass.e':  'Ost',
+        'compass.se': 'Südost',
+        'compass.s':  'Süd',
+        'compass.sw': 'Südwest',
+        'compass.w':  'West',
+        'compass.nw': 'Nordwest',
+
+        'chart.aria':                'Stundendiagramme',
+        'chart.title':               { one: 'Stundendiagramme – {count} Tag', other: 'Stundendiagramme – {count} Tage' },
+        'chart.showTable':           'Tabelle anzeigen',
+        'chart.hideTable':           'Tabelle ausblenden',
+        'chart.keyboardHelp':        'Stundendiagramme. Pfeiltasten links und rechts: Stunde für Stunde, Bild auf / Bild ab: Tag für Tag.',
+        'chart.snowfall':            'Schneefall',
+        'chart.tooltipValue':        '{label}: {value}',
+        'history.title':             'Saisonverlauf',
+        'history.loading':           'Verlauf wird geladen…',
+        'history.unavailable':       'Verlauf derzeit nicht verfügbar.',
+        'history.noData':            'Keine Archivdaten für diese Saison.',
+        'history.currentSeason':     '{season} (laufend)',
+        'history.sinceStart':        'Summe seit 1. Nov. ({days})',
+        'history.snowfallVsAverage': { one: 'Summe ggü. Mittel aus {count} Saison', other: 'Summe ggü. Mittel aus {count} Saisons' },
+        'history.depthVsAverage':    'Schneehöhe ggü. Mittel',
+        'history.depthChart':        'Schneehöhe ({unit})',
+        'history.snowfallChart':     'Schneefallsumme ({unit})',
+        'history.note':              'Open-Meteo-Reanalyse auf {elevation} m (Mittelstation), mit {delay} Tagen Verzögerung verfügbar.',
+        'models.title':              'Laut den Modellen',
+        'models.loading':            'Modelle werden geladen…',
+        'models.unavailable':        'Multimodell-Vorhersage derzeit nicht verfügbar.',
+        'models.tempMax':            'Höchsttemperatur',
+        'models.confidenceHeader':   'Verlässlichkeit',
+        'models.confidence.high':    'Hohe Verlässlichkeit',
+        'models.confidence.medium':  'Mittlere Verlässlichkeit',
+        'models.confidence.low':     'Geringe Verlässlichkeit',
+        'models.singleModel':        'Nur ein Modell',
+        'models.badge':              '🎯 {level}',
+        'models.badgeTitle':         'Übereinstimmung der Modelle über {days} Tage: {level} (Schneefall {range})',
+        'models.note':               'AROME, ICON-D2, ICON-CH2 und ECMWF auf Ortshöhe; die regionalen Modelle decken nur die ersten Tage ab. Die Verlässlichkeit sinkt, wenn der Schneefall um {snowMedium} (mittel) oder {snowLow} (gering) abweicht oder die Höchsttemperatur um {tempMedium} / {tempLow}.',
+        'reliability.link':                 '📉 Verlässlichkeit',
+        'reliability.subtitle':             'Verlässlichkeit der Vorhersagen',
+        'reliability.metricLabel':          'Vergleichen:',
+        'reliability.metric.snowfallCm':    'Schneefall',
+        'reliability.metric.depthChangeCm': 'Änderung der Schneehöhe',
+        'reliability.metric.tempMinC':      'Tiefsttemperatur',
+        'reliability.metric.tempMaxC':      'Höchsttemperatur',
+        'reliability.title':                'Vorhergesagt / beobachtet: {metric}',
+        'reliability.intro':                'Jeder Aufruf der Skigebietsliste speichert in diesem Browser die Vorhersage der nächsten drei Tage; ist ein Tag vorbei, wird sie mit den danach gemeldeten Stundenwerten verglichen. Ein positiver Bias bedeutet, dass die Vorhersage überschätzt.',
+        'reliability.caption':              'Bias und mittlerer Fehler je Skigebiet und Vorlaufzeit: {metric}',
+        'reliability.lead':                 'T+{days}',
+        'reliability.biasTitle':            'Bias: vorhergesagt minus beobachtet, im Mittel',
+        'reliability.mae':                  'mittl. Fehler {value}',
+        'reliability.days':                 { one: '{count} Tag', other: '{count} Tage' },
+        'reliability.note':                 'Werte auf Ortshöhe. Unter {min} verglichenen Tagen sind die Zahlen nur Richtwerte.',
+        'reliability.empty':                'Noch nichts zu vergleichen: Schauen Sie nach ein paar Tagen Nutzung wieder vorbei.',
+
+        'alerts.button':           'Alarme',
+        'alerts.title':            '🔔 Schneealarme',
+        'alerts.close':            'Alarme schließen',
+        'alerts.unread':           { one: 'Alarme: {count} ungelesen', other: 'Alarme: {count} ungelesen' },
+        'alerts.day.now':          'jetzt',
+        'alerts.day.d0':           'heute',
+        'alerts.day.d1':           'morgen',
+        'alerts.day.d2':           'übermorgen',
+        'alerts.day.sat':          'Samstag',
+        'alerts.day.sun':          'Sonntag',
+        'alerts.freshSnow':        '{value} Neuschnee',
+        'alerts.rating':           'Bewertung {label}',
+        'alerts.ratingOrBetter':   'Bewertung {label} oder besser',
+        'alerts.orBetter':         '{label} oder besser',
+        'alerts.allResorts':       'alle Skigebiete',
+        'alerts.atSummit':         'Gipfel',
+        'alerts.and':              'und',
+        'alerts.historyTitle':     'Ausgelöste Alarme',
+        'alerts.clearHistory':     '✕ Verlauf löschen',
+        'alerts.noAlerts':         'Noch keine Alarme.',
+        'alerts.rulesTitle':       'Meine Regeln',
+        'alerts.noRules':          'Keine Regeln. Fügen Sie unten eine hinzu.',
+        'alerts.delete':           'Löschen',
+        'alerts.deleteAria':       'Regel löschen: {rule}',
+        'alerts.formTitle':        'Neue Regel',
+        'alerts.allResortsOption': 'Alle Skigebiete',
+        'alerts.countries':        'Länder',
+        'alerts.regions':          'Regionen',
+        'alerts.resorts':          'Skigebiete',
+        'alerts.example':          'z. B. {value}',
+        'alerts.where':            'Wo',
+        'alerts.when':             'Wann',
+        'alerts.altitude':         'Höhe',
+        'alerts.freshSnowField':   'Neuschnee ≥ ({unit})',
+        'alerts.windField':        'Wind ≤ ({unit})',
+        'alerts.snowDepthField':   'Schneehöhe ≥ ({unit})',
+        'alerts.ratingField':      'Bewertung',
+        'alerts.sunnyField':       'Sonne',
+        'alerts.addRule':          'Regel hinzufügen',
+        'alerts.errorEmpty':       'Wählen Sie mindestens eine Bedingung.',
+        'alerts.errorNumber':      'Die Werte müssen positive Zahlen sein.',
+
+        'planner.button':       '📅 Planen',
+        'planner.title':        '📅 Wo und wann Ski fahren?',
+        'planner.close':        'Planer schließen',
+        'planner.weekendOnly':  'Nur Wochenende',
+        'planner.distance':     'Entfernung vom Zuhause',
+        'planner.distanceFrom': 'Entfernung von {home}',
+        'planner.noHome':       'Legen Sie ein Zuhause fest, um nach Entfernung zu filtern.',
+        'planner.country':      'Land',
+        'planner.topTitle':     'Top {count}',
+        'planner.matrixTitle':  'Bewertung nach Skigebiet und Tag',
+        'planner.resort':       'Skigebiet',
+        'planner.loading':      'Die Vorhersagen werden geladen.',
+        'planner.noResorts':    'Kein Skigebiet entspricht diesen Filtern.',
+        'planner.noWeekend':    'Kein Wochenendtag in der Vorhersage.',
+        'planner.note':         'Bewertungen für das Profil {profile}, aus der Tagesvorhersage am Pistenfuß.',
+
+        'favorites.filter':   '★ Meine Skigebiete',
+        'favorites.add':      '{name} zu meinen Skigebieten hinzufügen',
+        'favorites.remove':   '{name} aus meinen Skigebieten entfernen',
+        'favorites.moveUp':   '{name} in meinen Skigebieten nach oben',
+        'favorites.moveDown': '{name} in meinen Skigebieten nach unten',
+        'favorites.empty':    'Noch keine Lieblingsskigebiete: Tippen Sie auf ☆ auf einer Karte, um es hier anzuheften.',
+        'grid.noMatch':       'Kein Skigebiet entspricht diesen Filtern.',
+
+        'sort.label':         'Sortieren:',
+        'sort.catalogue':     'Standardreihenfolge',
+        'sort.snowDepth':     'Schneehöhe',
+        'sort.snowfallToday': 'Schnee heute',
+        'sort.snowfall3d':    'Schnee in 3 Tagen',
+        'sort.temperature':   'Temperatur',
+        'sort.wind':          'Wind',
+        'sort.score':         'Ski-Bewertung',
+        'sort.altitude':      'Höhe',
+        'sort.name':          'Name',
+        'sort.distance':      'Entfernung (nächstes zuerst)',
+        'sort.asc':           'Aufsteigend',
+        'sort.desc':          'Absteigend',
+        'sort.announce':      'Skigebiete sortiert nach {criterion}{direction}. Zuerst: {first}.',
+
+        'home.label':          'Wohnort:',
+        'home.none':           'Keiner',
+        'home.cities':         'Städte',
+        'home.locate':         '📍 Mein Standort',
+        'home.pickOnMap':      '🗺️ Auf der Karte wählen',
+        'home.geoPoint':       'meinem Standort',
+        'home.mapPoint':       'meinem Punkt auf der Karte',
+        'home.radiusAria':     'Maximale Entfernung vom Wohnort',
+        'home.anyDistance':    'Jede Entfernung',
+        'home.distanceTitle':  'Luftlinie ab {home}',
+        'home.pickHint':       'Klicken Sie auf die Karte, um Ihren Wohnort zu setzen.',
+        'home.geoUnavailable': 'Die Standortbestimmung ist in diesem Browser nicht verfügbar.',
+        'home.geoFailed':      'Standort nicht gefunden. Erlauben Sie die Standortbestimmung oder wählen Sie eine Stadt.',
+        'city.geneva':         'Genf',
+        'city.lausanne':       'Lausanne',
+        'city.annecy':         'Annecy',
+        'city.lyon':           'Lyon',
+        'city.grenoble':       'Grenoble',
+        'city.zurich':         'Zürich',
+        'city.milan':          'Mailand',
+        'city.turin':          'Turin',
+        'city.munich':         'München',
+
+        'custom.button':         '➕ Skigebiet hinzufügen',
+        'custom.title':          '➕ Meine eigenen Skigebiete',
+        'custom.close':          'Meine eigenen Skigebiete schließen',
+        'custom.tag':            'Eigenes',
+        'custom.listTitle':      'Meine eigenen Skigebiete',
+        'custom.none':           'Noch kein eigenes Skigebiet.',
+        'custom.edit':           'Bearbeiten',
+        'custom.editAria':       '{name} bearbeiten',
+        'custom.delete':         'Löschen',
+        'custom.deleteAria':     '{name} löschen',
+        'custom.addTitle':       'Skigebiet hinzufügen',
+        'custom.editTitle':      'Skigebiet bearbeiten',
+        'custom.name':           'Name',
+        'custom.country':        'Land',
+        'custom.lat':            'Breitengrad (°)',
+        'custom.lon':            'Längengrad (°)',
+        'custom.altitude':       'Höhe des Orts (m)',
+        'custom.summitAltitude': 'Gipfelhöhe (m)',
+        'custom.optional':       'optional',
+        'custom.pickOnMap':      '🗺️ Auf der Karte wählen',
+        'custom.pickHint':       'Klicken Sie auf der Karte auf die Lage des Skigebiets.',
+        'custom.add':            'Skigebiet hinzufügen',
+        'custom.save':           'Speichern',
+        'custom.cancel':         'Abbrechen',
+        'custom.added':          '{name} wurde hinzugefügt.',
+        'custom.saved':          '{name} wurde geändert.',
+        'custom.deleted':        '{name} wurde gelöscht.',
+        'custom.error.name':           'Geben Sie dem Skigebiet einen Namen.',
+        'custom.error.nameTaken':      'Ein Skigebiet trägt bereits diesen Namen.',
+        'custom.error.country':        'Wählen Sie ein Land.',
+        'custom.error.lat':            'Der Breitengrad muss eine Zahl zwischen -90 und 90 sein.',
+        'custom.error.lon':            'Der Längengrad muss eine Zahl zwischen -180 und 180 sein.',
+        'custom.error.altitude':       'Die Höhe muss eine Zahl zwischen 0 und {max} m sein.',
+        'custom.error.summitAltitude': 'Die Gipfelhöhe muss zwischen der Höhe des Orts und {max} m liegen.',
+    },
+
+    /* ===========================
+       Italiano
+       =========================== */
+    it: {
+        'page.indexTitle':          'Météo des Neiges – Alpi',
+        'page.indexDescription':    'Meteo neve per le stazioni sciistiche delle Alpi: Francia, Svizzera, Austria e Italia.',
+        'page.indexSubtitle':       'Stazioni sciistiche delle Alpi',
+        'page.detailTitle':         'Météo des Neiges – Dettagli',
+        'page.detailDescription':   'Previsioni dettagliate e panoramica oraria per una stazione sciistica delle Alpi.',
+        'page.loading':             'Caricamento…',
+        'page.reliabilityTitle':       'Météo des Neiges – Affidabilità delle previsioni',
+        'page.reliabilityDescription': 'Affidabilità delle previsioni di neve registrate da questo browser, stazione per stazione.',
+        'footer.dataBy':            'Dati meteo forniti da',
+        'footer.refresh':           'Aggiornamento ogni 30 minuti',
+        'status.updated':           'Aggiornato: {time}',
+
+        'filters.aria':              'Filtri',
+        'filters.country':           'Paese:',
+        'filters.all':               'Tutti',
+        'filters.profile':           'Profilo:',
+        'filters.units':             'Unità:',
+        'filters.language':          'Lingua',
+        'filters.searchPlaceholder': 'Cerca una stazione…',
+        'filters.searchAria':        'Cerca una stazione sciistica',
+        'units.tempAria':            'Unità di temperatura',
+        'units.depthAria':           'Unità di innevamento',
+        'units.windAria':            'Unità del vento',
+        'map.toggle':                '🗺️ Mappa',
+        'map.aria':                  'Mappa interattiva delle stazioni sciistiche',
+        'map.metricLabel':           'Colora per:',
+        'map.metric.rating':         'Voto sci',
+        'map.metric.freshSnow':      'Neve fresca 24 h',
+        'map.metric.snowfall':       'Nevicate previste (3 g)',
+        'map.metric.snowDepth':      'Innevamento',
+        'map.metric.temperature':    'Temperatura',
+        'map.metric.wind':           'Vento',
+        'map.legendAria':            'Legenda: {metric}',
+        'map.sizeNote':              'Dimensione dei punti: nevicate previste su 3 giorni.',
+        'map.noData':                'Nessun dato',
+        'map.details':               'Dettagli →',
+        'map.searchArea':            '🔍 Cerca in questa zona',
+        'map.clearArea':             '✕ Tutta la mappa',
+        'map.areaEmpty':             'Nessuna stazione in questa zona della mappa corrisponde a questi filtri.',
+        'grid.aria':                 'Stazioni sciistiche',
+
+        'country.France':   'Francia',
+        'country.Suisse':   'Svizzera',
+        'country.Autriche': 'Austria',
+        'country.Italie':   'Italia',
+        'band.base':        'Paese',
+        'band.mid':         'Metà pista',
+        'band.summit':      'Vetta',
+        'profile.standard': 'Standard',
+        'profile.debutant': 'Principiante',
+        'profile.freeride': 'Freeride',
+        'profile.famille':  'Famiglia',
+        'rating.excellent': 'Eccellenti',
+        'rating.good':      'Buone',
+        'rating.fair':      'Discrete',
+        'rating.poor':      'Scarse',
+        'rating.why':       'Perché? ({score}/100)',
+        'rating.noFactor':  'Condizioni nella media, nessun fattore di rilievo',
+
+        'reason.storm':         'temporale',
+        'reason.rainUpTo':      'pioggia fino a {altitude} m',
+        'reason.rain':          'pioggia',
+        'reason.wind':          'vento {value}',
+        'reason.snowpack':      'innevamento {value}',
+        'reason.thinSnowpack':  'innevamento scarso {value}',
+        'reason.sunny':         'sole',
+        'reason.snowingFrom':   'nevicata da {altitude} m',
+        'reason.snowing':       'nevicata',
+        'reason.freshSnow':     'neve fresca {value}',
+        'reason.cold':          'freddo {value}',
+        'reason.warm':          'mite {value}',
+        'reason.lowVisibility': 'visibilità {value}',
+        'reason.fog':           'nebbia',
+        'reason.whiteout':      'rischio whiteout',
+        'reason.gusts':         'raffiche {value}',
+        'reason.windChill':     'percepita {value}, mai eccellenti',
+
+        'wmo.0':       'Cielo sereno',
+        'wmo.1':       'Prevalentemente sereno',
+        'wmo.2':       'Parzialmente nuvoloso',
+        'wmo.3':       'Coperto',
+        'wmo.45':      'Nebbia',
+        'wmo.48':      'Nebbia gelata',
+        'wmo.51':      'Pioviggine leggera',
+        'wmo.53':      'Pioviggine moderata',
+        'wmo.55':      'Pioviggine intensa',
+        'wmo.61':      'Pioggia leggera',
+        'wmo.63':      'Pioggia moderata',
+        'wmo.65':      'Pioggia forte',
+        'wmo.71':      'Neve leggera',
+        'wmo.73':      'Neve moderata',
+        'wmo.75':      'Neve forte',
+        'wmo.77':      'Granelli di neve',
+        'wmo.80':      'Rovesci leggeri',
+        'wmo.81':      'Rovesci moderati',
+        'wmo.82':      'Rovesci violenti',
+        'wmo.85':      'Rovesci di neve leggeri',
+        'wmo.86':      'Rovesci di neve forti',
+        'wmo.95':      'Temporale',
+        'wmo.96':      'Temporale con grandine',
+        'wmo.99':      'Temporale con forte grandine',
+        'wmo.unknown': 'Dati non disponibili',
+
+        'stat.snowDepth':     'Innevamento',
+        'stat.wind':          'Vento',
+        'stat.minMax':        'Min / Max',
+        'stat.snowfallToday': 'Neve prevista',
+        'stat.skiConditions': 'Condizioni sci',
+        'stat.temperature':   'Temperatura',
+        'stat.snowfall7d':    'Neve 7 gg',
+        'stat.snowfall':      'Neve',
+        'stat.windMax':       'Vento max',
+        'stat.visibility':    'Visibilità',
+        'stat.feelsLike':     'Percepita',
+        'stat.gusts':         'Raffiche',
+        'conditions.whiteout':       'Rischio whiteout',
+        'conditions.whiteoutDetail': 'nuvole basse e scarsa visibilità: terreno e piste difficili da leggere',
+
+        'card.aria':         'Stazione {name}',
+        'card.bandsAria':    'Condizioni per quota a {name}',
+        'card.details':      'Vedi i dettagli →',
+        'card.detailsAria':  'Vedi i dettagli di {name}',
+        'card.forecast3':    'Previsioni 3 giorni',
+        'compare.add':       '+ Confronta',
+        'compare.addAria':   'Seleziona {name} per il confronto',
+        'compare.selected':  '✓ Selezionata',
+        'compare.count':     { one: '{count} stazione selezionata', other: '{count} stazioni selezionate' },
+        'compare.button':    '⚖️ Confronta',
+        'compare.clear':     '✕ Cancella',
+        'compare.clearAria': 'Cancella la selezione',
+        'compare.title':     '⚖️ Confronto delle stazioni',
+        'compare.close':     'Chiudi il confronto',
+        'compare.criterion': 'Criterio',
+        'compare.weatherNow': 'Meteo attuale',
+        'compare.why':       'Perché',
+        'compare.now':       'Adesso',
+        'compare.weather':   'Meteo',
+        'compare.tempMax':   'Temperatura max',
+        'compare.best':      'valore migliore',
+        'compare.exportCsv': '⬇️ Esporta CSV',
+        'compare.csvFilename': 'confronto-stazioni',
+
+        'csv.resort':   'Stazione',
+        'csv.country':  'Paese',
+        'csv.altitude': 'Altitudine (m)',
+        'csv.date':     'Data',
+        'csv.weather':  'Meteo',
+        'csv.tempMin':  'Temp. min ({unit})',
+        'csv.tempMax':  'Temp. max ({unit})',
+        'csv.snowfall': 'Neve fresca ({unit})',
+        'csv.windMax':  'Vento max ({unit})',
+        'csv.score':    'Punteggio (/100)',
+        'csv.rating':   'Condizioni sci',
+
+        'export.label':           'Esporta:',
+        'export.ics':             '📅 Calendario',
+        'export.icsSummary':      '{icon} {name}: {snowfall}, {temps}, {rating}',
+        'export.icsWind':         'Vento max: {value}',
+        'export.icsSource':       'Previsione Open-Meteo, esportata da Météo des Neiges.',
+        'export.icsCalendarName': 'Météo des Neiges',
+        'export.gridFilename':    'previsioni-stazioni',
+
+        'error.resortList':     'Impossibile caricare l\'elenco delle stazioni. Controlla la connessione o riprova più tardi.',
+        'error.forecasts':      {
+            one:   'Impossibile caricare i dati di {count} stazione. Controlla la connessione o riprova più tardi.',
+            other: 'Impossibile caricare i dati di {count} stazioni. Controlla la connessione o riprova più tardi.',
+        },
+        'error.offlineGrid':    {
+            one:   'Offline: ultimi dati noti mostrati per {count} stazione.',
+            other: 'Offline: ultimi dati noti mostrati per {count} stazioni.',
+        },
+        'error.unknownResort':  'Stazione sconosciuta. Torna all\'elenco delle stazioni.',
+        'error.resortForecast': 'Impossibile caricare i dati per {name}. Controlla la connessione o riprova più tardi.',
+        'error.offlineDetail':  'Offline: vengono mostrati gli ultimi dati noti.',
+        'offline.age':          'dati di {age} fa',
+        'offline.title':        'Offline – ultimi dati del {date}',
+
+        'detail.back':         '← Torna alle stazioni',
+        'detail.backAria':     'Torna all\'elenco delle stazioni',
+        'detail.current':      'Condizioni attuali',
+        'detail.pisteKm':      '{km} km di piste',
+        'detail.officialSite': 'Sito ufficiale ↗',
+        'detail.byBand':       'Condizioni per quota',
+        'detail.forecast7':    'Previsioni 7 giorni',
+        'hourly.aria':         'Panoramica oraria su 24 h',
+        'hourly.title':        'Panoramica oraria – 24 h',
+        'hourly.time':         'Ora',
+        'hourly.weather':      'Meteo',
+        'hourly.temp':         'Temp.',
+
+        'snowline.title':         'Zero termico e quota neve',
+        'snowline.day':           'Giorno',
+        'snowline.freezingLevel': 'Zero termico',
+        'snowline.snowLine':      'Quota neve',
+        'snowline.baseToSummit':  'Paese {base} m → vetta {summit} m',
+        'snowline.note':          'Quota neve stimata {offset} m sotto lo zero termico, al massimo della giornata.',
+        'snowline.wet.snow':      'Neve fino in paese',
+        'snowline.wet.mixed':     'Pioggia fino a {altitude} m',
+        'snowline.wet.rain':      'Pioggia fino in vetta',
+        'snowline.where.mixed':   'tra il paese e la vetta',
+        'snowline.where.snow':    'sotto il paese ({base} m)',
+        'snowline.where.rain':    'sopra la vetta ({summit} m)',
+        'snowline.chipTitle':     'Quota neve stimata a {altitude} m, {where}',
+        'snowline.freezingAt':    'Zero termico {altitude} m',
+
+        'avalanche.level1':           'Debole',
+        'avalanche.level2':           'Moderato',
+        'avalanche.level3':           'Marcato',
+        'avalanche.level4':           'Forte',
+        'avalanche.level5':           'Molto forte',
+        'avalanche.factor':           '+{points}: {text}',
+        'avalanche.levelTitle':       'Grado indicativo {level} su 5',
+        'avalanche.noFactor':         'Nessun fattore aggravante rilevato nelle ultime 72 ore',
+        'avalanche.newSnow':          '{value} di neve fresca in {hours} h',
+        'avalanche.windFrom':         'vento da {from} fino a {speed}: accumuli sui pendii esposti a {to}',
+        'avalanche.windLee':          'vento fino a {speed}: accumuli sottovento',
+        'avalanche.windLoading':      'Trasporto eolico ({hours} h) – {where}',
+        'avalanche.warming':          'Rapido riscaldamento: da {from} a {to}',
+        'avalanche.rainOnSnow':       'Pioggia sul manto nevoso: {value} mm',
+        'avalanche.disclaimer':       'Indicatore locale indicativo, calcolato dalle previsioni meteo. Non sostituisce il bollettino valanghe ufficiale.',
+        'avalanche.officialBulletin': 'Bollettino ufficiale:',
+        'avalanche.cardLabel':        'Valanghe (indicativo)',
+        'avalanche.panelAria':        'Pericolo valanghe indicativo',
+        'avalanche.panelTitle':       'Pericolo valanghe – indicativo, non ufficiale',
+        'avalanche.scaleAria':        'Scala del pericolo da 1 a 5',
+        'avalanche.summary':          'Vetta ({elevation} m), ultime 72 ore: grado {level} – {label}',
+        'compass.n':  'nord',
+        'compass.ne': 'nord-est',
+        'compass.e':  'est',
+        'compass.se': 'sud-est',
+        'compass.s':  'sud',
+        'compass.sw': 'sud-ovest',
+        'compass.w':  'ovest',
+        'compass.nw': 'nord-ovest',
+
+        'chart.aria':                'Grafici orari',
+        'chart.title':               { one: 'Grafici orari – {count} giorno', other: 'Grafici orari – {count} giorni' },
+        'chart.showTable':           'Mostra la tabella',
+        'chart.hideTable':           'Nascondi la tabella',
+        'chart.keyboardHelp':        'Grafici orari. Frecce sinistra e destra: ora per ora, Pagina su / giù: giorno per giorno.',
+        'chart.snowfall':            'Nevicate',
+        'chart.tooltipValue':        '{label}: {value}',
+        'history.title':             'Storico della stagione',
+        'history.loading':           'Caricamento dello storico…',
+        'history.unavailable':       'Storico non disponibile al momento.',
+        'history.noData':            'Nessun dato d\'archivio per questa stagione.',
+        'history.currentSeason':     '{season} (in corso)',
+        'history.sinceStart':        'Cumulo dal 1° nov. ({days})',
+        'history.snowfallVsAverage': { one: 'Scarto cumulo / media {count} stagione', other: 'Scarto cumulo / media {count} stagioni' },
+        'history.depthVsAverage':    'Scarto innevamento / media',
+        'history.depthChart':        'Innevamento ({unit})',
+        'history.snowfallChart':     'Cumulo nevicate ({unit})',
+        'history.note':              'Rianalisi Open-Meteo a {elevation} m (metà pista), disponibile con {delay} giorni di ritardo.',
+        'models.title':              'Secondo i modelli',
+        'models.loading':            'Caricamento dei modelli…',
+        'models.unavailable':        'Previsioni multimodello non disponibili al momento.',
+        'models.tempMax':            'Temperatura max',
+        'models.confidenceHeader':   'Affidabilità',
+        'models.confidence.high':    'Affidabilità alta',
+        'models.confidence.medium':  'Affidabilità media',
+        'models.confidence.low':     'Affidabilità bassa',
+        'models.singleModel':        'Un solo modello',
+        'models.badge':              '🎯 {level}',
+        'models.badgeTitle':         'Accordo dei modelli su {days} giorni: {level} (nevicate {range})',
+        'models.note':               'AROME, ICON-D2, ICON-CH2 ed ECMWF all\'altitudine del paese; i modelli regionali coprono solo i primi giorni. L\'affidabilità scende quando le nevicate differiscono di {snowMedium} (media) o {snowLow} (bassa), o la temperatura max di {tempMedium} / {tempLow}.',
+        'reliability.link':                 '📉 Affidabilità',
+        'reliability.subtitle':             'Affidabilità delle previsioni',
+        'reliability.metricLabel':          'Confronta:',
+        'reliability.metric.snowfallCm':    'Nevicate',
+        'reliability.metric.depthChangeCm': 'Variazione dell\'innevamento',
+        'reliability.metric.tempMinC':      'Temperatura min',
+        'reliability.metric.tempMaxC':      'Temperatura max',
+        'reliability.title':                'Previsto / osservato: {metric}',
+        'reliability.intro':                'Ogni caricamento dell\'elenco delle stazioni registra in questo browser la previsione dei tre giorni successivi; passato il giorno, viene confrontata con i valori orari rilevati in seguito. Un bias positivo significa che la previsione sovrastima.',
+        'reliability.caption':              'Bias ed errore medio per stazione e anticipo: {metric}',
+        'reliability.lead':                 'G+{days}',
+        'reliability.biasTitle':            'Bias: previsto meno osservato, in media',
+        'reliability.mae':                  'errore medio {value}',
+        'reliability.days':                 { one: '{count} giorno', other: '{count} giorni' },
+        'reliability.note':                 'Valori all\'altitudine del paese. Sotto i {min} giorni confrontati, i dati sono solo indicativi.',
+        'reliability.empty':                'Ancora niente da confrontare: torna dopo qualche giorno di utilizzo.',
+
+        'alerts.button':           'Avvisi',
+        'alerts.title':            '🔔 Avvisi neve',
+        'alerts.close':            'Chiudi gli avvisi',
+        'alerts.unread':           { one: 'Avvisi: {count} non letto', other: 'Avvisi: {count} non letti' },
+        'alerts.day.now':          'adesso',
+        'alerts.day.d0':           'oggi',
+        'alerts.day.d1':           'domani',
+        'alerts.day.d2':           'dopodomani',
+        'alerts.day.sat':          'sabato',
+        'alerts.day.sun':          'domenica',
+        'alerts.freshSnow':        '{value} di neve fresca',
+        'alerts.rating':           'voto {label}',
+        'alerts.ratingOrBetter':   'voto {label} o migliore',
+        'alerts.orBetter':         '{label} o migliore',
+        'alerts.allResorts':       'tutte le stazioni',
+        'alerts.atSummit':         'vetta',
+        'alerts.and':              'e',
+        'alerts.historyTitle':     'Avvisi scattati',
+        'alerts.clearHistory':     '✕ Cancella lo storico',
+        'alerts.noAlerts':         'Nessun avviso per ora.',
+        'alerts.rulesTitle':       'Le mie regole',
+        'alerts.noRules':          'Nessuna regola. Aggiungine una qui sotto.',
+        'alerts.delete':           'Elimina',
+        'alerts.deleteAria':       'Elimina la regola: {rule}',
+        'alerts.formTitle':        'Nuova regola',
+        'alerts.allResortsOption': 'Tutte le stazioni',
+        'alerts.countries':        'Paesi',
+        'alerts.regions':          'Regioni',
+        'alerts.resorts':          'Stazioni',
+        'alerts.example':          'es. {value}',
+        'alerts.where':            'Dove',
+        'alerts.when':             'Quando',
+        'alerts.altitude':         'Quota',
+        'alerts.freshSnowField':   'Neve fresca ≥ ({unit})',
+        'alerts.windField':        'Vento ≤ ({unit})',
+        'alerts.snowDepthField':   'Innevamento ≥ ({unit})',
+        'alerts.ratingField':      'Voto',
+        'alerts.sunnyField':       'Sole',
+        'alerts.addRule':          'Aggiungi la regola',
+        'alerts.errorEmpty':       'Scegli almeno una condizione.',
+        'alerts.errorNumber':      'I valori devono essere numeri positivi.',
+
+        'planner.button':       '📅 Pianifica',
+        'planner.title':        '📅 Dove e quando sciare?',
+        'planner.close':        'Chiudi il pianificatore',
+        'planner.weekendOnly':  'Solo fine settimana',
+        'planner.distance':     'Distanza da casa',
+        'planner.distanceFrom': 'Distanza da {home}',
+        'planner.noHome':       'Imposta una posizione di casa per filtrare per distanza.',
+        'planner.country':      'Paese',
+        'planner.topTitle':     'Top {count}',
+        'planner.matrixTitle':  'Punteggio per stazione e giorno',
+        'planner.resort':       'Stazione',
+        'planner.loading':      'Le previsioni sono in caricamento.',
+        'planner.noResorts':    'Nessuna stazione corrisponde a questi filtri.',
+        'planner.noWeekend':    'Nessun giorno del fine settimana nelle previsioni.',
+        'planner.note':         'Punteggi del profilo {profile}, dalle previsioni giornaliere alla base delle piste.',
+
+        'favorites.filter':   '★ Le mie stazioni',
+        'favorites.add':      'Aggiungi {name} alle mie stazioni',
+        'favorites.remove':   'Rimuovi {name} dalle mie stazioni',
+        'favorites.moveUp':   'Sposta {name} in alto nelle mie stazioni',
+        'favorites.moveDown': 'Sposta {name} in basso nelle mie stazioni',
+        'favorites.empty':    'Ancora nessuna stazione preferita: tocca ☆ su una scheda per fissarla qui.',
+        'grid.noMatch':       'Nessuna stazione corrisponde a questi filtri.',
+
+        'sort.label':         'Ordina:',
+        'sort.catalogue':     'Ordine predefinito',
+        'sort.snowDepth':     'Innevamento',
+        'sort.snowfallToday': 'Neve oggi',
+        'sort.snowfall3d':    'Neve in 3 giorni',
+        'sort.temperature':   'Temperatura',
+        'sort.wind':          'Vento',
+        'sort.score':         'Voto sci',
+        'sort.altitude':      'Quota',
+        'sort.name':          'Nome',
+        'sort.distance':      'Distanza (la più vicina prima)',
+        'sort.asc':           'Ordine crescente',
+        'sort.desc':          'Ordine decrescente',
+        'sort.announce':      'Stazioni ordinate per {criterion}{direction}. In testa: {first}.',
+
+        'home.label':          'Casa:',
+        'home.none':           'Nessuna',
+        'home.cities':         'Città',
+        'home.locate':         '📍 La mia posizione',
+        'home.pickOnMap':      '🗺️ Scegli sulla mappa',
+        'home.geoPoint':       'la mia posizione',
+        'home.mapPoint':       'il mio punto sulla mappa',
+        'home.radiusAria':     'Distanza massima da casa',
+        'home.anyDistance':    'Qualsiasi distanza',
+        'home.distanceTitle':  'In linea d\'aria da {home}',
+        'home.pickHint':       'Clicca sulla mappa per posizionare casa tua.',
+        'home.geoUnavailable': 'La geolocalizzazione non è disponibile in questo browser.',
+        'home.geoFailed':      'Posizione non trovata. Consenti la geolocalizzazione o scegli una città.',
+        'city.geneva':         'Ginevra',
+        'city.lausanne':       'Losanna',
+        'city.annecy':         'Annecy',
+        'city.lyon':           'Lione',
+        'city.grenoble':       'Grenoble',
+        'city.zurich':         'Zurigo',
+        'city.milan':          'Milano',
+        'city.turin':          'Torino',
+        'city.munich':         'Monaco di Baviera',
+
+        'custom.button':         '➕ Aggiungi una stazione',
+        'custom.title':          '➕ Le mie stazioni',
+        'custom.close':          'Chiudi le mie stazioni',
+        'custom.tag':            'Personale',
+        'custom.listTitle':      'Le mie stazioni',
+        'custom.none':           'Nessuna stazione personale per ora.',
+        'custom.edit':           'Modifica',
+        'custom.editAria':       'Modifica {name}',
+        'custom.delete':         'Elimina',
+        'custom.deleteAria':     'Elimina {name}',
+        'custom.addTitle':       'Aggiungi una stazione',
+        'custom.editTitle':      'Modifica la stazione',
+        'custom.name':           'Nome',
+        'custom.country':        'Paese',
+        'custom.lat':            'Latitudine (°)',
+        'custom.lon':            'Longitudine (°)',
+        'custom.altitude':       'Altitudine del paese (m)',
+        'custom.summitAltitude': 'Altitudine della cima (m)',
+        'custom.optional':       'facoltativo',
+        'custom.pickOnMap':      '🗺️ Scegli sulla mappa',
+        'custom.pickHint':       'Fai clic sulla mappa nel punto della stazione.',
+        'custom.add':            'Aggiungi la stazione',
+        'custom.save':           'Salva',
+        'custom.cancel':         'Annulla',
+        'custom.added':          '{name} è stata aggiunta.',
+        'custom.saved':          '{name} è stata modificata.',
+        'custom.deleted':        '{name} è stata eliminata.',
+        'custom.error.name':           'Dai un nome alla stazione.',
+        'custom.error.nameTaken':      'Esiste già una stazione con questo nome.',
+        'custom.error.country':        'Scegli un paese.',
+        'custom.error.lat':            'La latitudine deve essere un numero tra -90 e 90.',
+        'custom.error.lon':            'La longitudine deve essere un numero tra -180 e 180.',
+        'custom.error.altitude':       'L\'altitudine deve essere un numero tra 0 e {max} m.',
+        'custom.error.summitAltitude': 'L\'altitudine della cima deve essere tra quella del paese e {max} m.',
+    },
+};
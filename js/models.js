@@ -0,0 +1,316 @@
+/**
+ * Météo des Neiges – Multi-model forecasts
+ * Daily snowfall and maximum temperature from several weather models at
+ * once (Open-Meteo's `models` parameter), shown as a range with each model
+ * marked, and a confidence level (forte / moyenne / faible) derived from how
+ * far apart they are. The grid gets a compact badge for the next 3 days.
+ */
+
+'use strict';
+
+// Order = marker colour (.model-marker-<index>); AROME and ICON-D2 only reach
+// about two days ahead, ICON-CH2 five, ECMWF the whole week
+const FORECAST_MODELS = [
+    { id: 'meteofrance_arome_france', name: 'AROME' },
+    { id: 'icon_d2',                  name: 'ICON-D2' },
+    { id: 'meteoswiss_icon_ch2',      name: 'ICON-CH2' },
+    { id: 'ecmwf_ifs025',             name: 'ECMWF' },
+];
+
+// Query parameters; with several models the API suffixes every series with
+// the model id, e.g. "snowfall_sum_icon_d2"
+const MODEL_PARAMS = {
+    daily:         'snowfall_sum,temperature_2m_max',
+    models:        FORECAST_MODELS.map(m => m.id).join(','),
+    forecast_days: '7',
+};
+
+// Spread between the models from which confidence drops to "medium" / "low"
+const MODEL_SPREAD_LIMITS = {
+    snowfallCm: { medium: 3, low: 8 },
+    tempC:      { medium: 2, low: 5 },
+};
+
+// Labels are the "models.confidence.<key>" messages
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+const MODEL_CARD_DAYS = 3;
+
+// Model forecasts change with each run, a few times a day
+const MODEL_CACHE_MS = 30 * 60 * 1000;
+
+// slug → {promise, at}: re-rendering (language, units) must not refetch
+const modelForecastCache = new Map();
+
+/* ===========================
+   Fetching
+   =========================== */
+
+/**
+ * Multi-model daily forecast of several resorts (base altitude).
+ * @param {object[]} resorts
+ * @returns {Promise<(object|null)[]>} API responses aligned with `resorts`; null when a resort failed
+ */
+async function fetchModelForecasts(resorts) {
+    const results = await fetchForecasts(resorts, ['base'], MODEL_PARAMS);
+    return results.map(result => (result.status === 'fulfilled' ? result.value.base : null));
+}
+
+/**
+ * Multi-model forecast of one resort, shared between renders for a while.
+ * @returns {Promise<object>}
+ */
+function loadModelForecast(resort) {
+    const cached = modelForecastCache.get(resort.slug);
+    if (cached && Date.now() - cached.at < MODEL_CACHE_MS) return cached.promise;
+
+    const promise = fetchModelForecasts([resort]).then(([data]) => {
+        if (!data) throw new Error('Prévisions multi-modèles indisponibles');
+        return data;
+    });
+    promise.catch(() => modelForecastCache.delete(resort.slug));
+    modelForecastCache.set(resort.slug, { promise, at: Date.now() });
+    return promise;
+}
+
+/* ===========================
+   Spread and confidence
+   =========================== */
+
+/**
+ * One model's value of a daily series, or null beyond its horizon.
+ */
+function modelValue(data, variable, modelId, i) {
+    const series = data.daily[`${variable}_${modelId}`];
+    return series ? series[i] ?? null : null;
+}
+
+/**
+ * Lowest and highest of the models that have a value.
+ * @param {{model: object, value: number|null}[]} values
+ * @returns {{min: number, max: number, count: number}|null} null without any value
+ */
+function modelRange(values) {
+    const known = values.map(v => v.value).filter(v => v != null);
+    if (known.length === 0) return null;
+    return { min: Math.min(...known), max: Math.max(...known), count: known.length };
+}
+
+function spreadLevel(spread, limits) {
+    if (spread >= limits.low) return 2;
+    if (spread >= limits.medium) return 1;
+    return 0;
+}
+
+/**
+ * Confidence key from the snowfall and temperature ranges; the worse of the
+ * two wins. Needs at least two models on one of them.
+ * @returns {string|null} A CONFIDENCE_LEVELS key
+ */
+function modelConfidence(snowfall, temp) {
+    const levels = [];
+    if (snowfall && snowfall.count >= 2) levels.push(spreadLevel(snowfall.max - snowfall.min, MODEL_SPREAD_LIMITS.snowfallCm));
+    if (temp && temp.count >= 2) levels.push(spreadLevel(temp.max - temp.min, MODEL_SPREAD_LIMITS.tempC));
+    return levels.length ? CONFIDENCE_LEVELS[Math.max(...levels)] : null;
+}
+
+/**
+ * Every forecast day with each model's snowfall and maximum temperature.
+ * @param {object} data  Multi-model API response
+ * @returns {{date: string, snowfall: object[], temp: object[], snowfallRange: object|null,
+ *            tempRange: object|null, confidence: string|null}[]}
+ */
+function modelDays(data) {
+    if (!data || !data.daily || !data.daily.time) return [];
+    return data.daily.time.map((date, i) => {
+        const snowfall = FORECAST_MODELS.map(model => ({ model, value: modelValue(data, 'snowfall_sum', model.id, i) }));
+        const temp = FORECAST_MODELS.map(model => ({ model, value: modelValue(data, 'temperature_2m_max', model.id, i) }));
+        const snowfallRange = modelRange(snowfall);
+        const tempRange = modelRange(temp);
+        return { date, snowfall, temp, snowfallRange, tempRange, confidence: modelConfidence(snowfallRange, tempRange) };
+    });
+}
+
+/**
+ * Confidence over the next days for a grid card: total snowfall of the
+ * models that cover the whole period, and the widest daily temperature spread.
+ * @returns {{confidence: string, snowfallRange: object|null}|null}
+ */
+function modelOutlook(data, dayCount = MODEL_CARD_DAYS) {
+    const days = modelDays(data).slice(0, dayCount);
+    if (days.length === 0) return null;
+
+    const totals = FORECAST_MODELS.map((model, m) => {
+        const values = days.map(day => day.snowfall[m].value);
+        return { model, value: values.includes(null) ? null : values.reduce((a, b) => a + b, 0) };
+    });
+    const snowfallRange = modelRange(totals);
+    const widestTemp = days
+        .map(day => day.tempRange)
+        .filter(range => range && range.count >= 2)
+        .sort((a, b) => (b.max - b.min) - (a.max - a.min))[0] || null;
+
+    const confidence = modelConfidence(snowfallRange, widestTemp);
+    return confidence ? { confidence, snowfallRange } : null;
+}
+
+function confidenceLabel(key) {
+    return t(`models.confidence.${key}`);
+}
+
+/* ===========================
+   Grid badge
+   =========================== */
+
+/**
+ * Compact confidence badge of a grid card.
+ * @param {object|null} outlook  modelOutlook()
+ * @returns {HTMLElement|null}
+ */
+function buildConfidenceBadge(outlook) {
+    if (!outlook) return null;
+    const { confidence, snowfallRange } = outlook;
+    const range = snowfallRange ? formatModelRange(snowfallRange, formatDepth) : '–';
+    const detail = t('models.badgeTitle', { days: MODEL_CARD_DAYS, level: confidenceLabel(confidence), range });
+    const badge = el('span', {
+        cls:   ['confidence-badge', `confidence-${confidence}`],
+        text:  t('models.badge', { level: confidenceLabel(confidence) }),
+        attrs: { title: detail },
+    });
+    badge.appendChild(el('span', { cls: ['sr-only'], text: ` – ${detail}` }));
+    return badge;
+}
+
+/* ===========================
+   Detail page
+   =========================== */
+
+/**
+ * "5 cm – 12 cm", or "8 cm" when the models agree.
+ */
+function formatModelRange(range, format) {
+    if (range.min === range.max) return format(range.min);
+    return `${format(range.min)} – ${format(range.max)}`;
+}
+
+/**
+ * Horizontal track with a marker per model, scaled to [scaleMin, scaleMax].
+ */
+function buildModelStrip(values, scaleMin, scaleMax, format) {
+    const strip = el('div', { cls: ['model-strip'] });
+    const track = el('div', { cls: ['model-track'], attrs: { 'aria-hidden': 'true' } });
+    const span = scaleMax - scaleMin || 1;
+    const known = values.filter(v => v.value != null);
+    const range = modelRange(values);
+    if (range) {
+        const bar = el('span', { cls: ['model-range-bar'] });
+        bar.style.left = `${((range.min - scaleMin) / span) * 100}%`;
+        bar.style.width = `${((range.max - range.min) / span) * 100}%`;
+        track.appendChild(bar);
+    }
+    known.forEach(({ model, value }) => {
+        const marker = el('span', {
+            cls:   ['model-marker', `model-marker-${FORECAST_MODELS.indexOf(model)}`],
+            attrs: { title: `${model.name} ${format(value)}` },
+        });
+        marker.style.left = `${((value - scaleMin) / span) * 100}%`;
+        track.appendChild(marker);
+    });
+    strip.appendChild(track);
+    strip.appendChild(el('span', { cls: ['model-range-text'], text: range ? formatModelRange(range, format) : '–' }));
+    strip.appendChild(el('span', {
+        cls:  ['sr-only'],
+        text: known.map(({ model, value }) => `${model.name} ${format(value)}`).join(', '),
+    }));
+    return strip;
+}
+
+function buildModelLegend() {
+    const list = el('ul', { cls: ['model-legend'] });
+    FORECAST_MODELS.forEach((model, i) => {
+        const item = el('li');
+        item.appendChild(el('span', { cls: ['model-marker', `model-marker-${i}`], attrs: { 'aria-hidden': 'true' } }));
+        item.appendChild(el('span', { text: model.name }));
+        list.appendChild(item);
+    });
+    return list;
+}
+
+function fillModelComparison(section, data) {
+    section.querySelectorAll('.history-status').forEach(n => n.remove());
+    const days = modelDays(data).filter(day => day.snowfallRange || day.tempRange);
+    if (days.length === 0) {
+        section.appendChild(el('p', { cls: ['history-status'], text: t('models.unavailable') }));
+        return;
+    }
+
+    const snowValues = days.flatMap(day => day.snowfall.map(v => v.value)).filter(v => v != null);
+    const tempValues = days.flatMap(day => day.temp.map(v => v.value)).filter(v => v != null);
+    const snowMax = Math.max(1, ...snowValues);
+    const tempMin = Math.min(...tempValues);
+    const tempMax = Math.max(...tempValues);
+
+    section.appendChild(buildModelLegend());
+
+    const table = el('table', { cls: ['hourly-table', 'models-table'] });
+    const headerRow = el('tr');
+    [t('snowline.day'), t('stat.snowfall'), t('models.tempMax'), t('models.confidenceHeader')].forEach(h => {
+        headerRow.appendChild(el('th', { text: h, attrs: { scope: 'col' } }));
+    });
+    const thead = el('thead');
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = el('tbody');
+    days.forEach(day => {
+        const row = el('tr');
+        row.appendChild(el('td', { text: `${shortDay(day.date)} ${formatDayMonth(day.date)}` }));
+        const snowCell = el('td');
+        snowCell.appendChild(buildModelStrip(day.snowfall, 0, snowMax, cm => formatDepth(cm)));
+        row.appendChild(snowCell);
+        const tempCell = el('td');
+        tempCell.appendChild(buildModelStrip(day.temp, tempMin, tempMax, c => formatTemp(c)));
+        row.appendChild(tempCell);
+        const confidenceCell = el('td');
+        if (day.confidence) {
+            confidenceCell.appendChild(el('span', {
+                cls:  ['confidence-badge', `confidence-${day.confidence}`],
+                text: confidenceLabel(day.confidence),
+            }));
+        } else {
+            confidenceCell.textContent = t('models.singleModel');
+        }
+        row.appendChild(confidenceCell);
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    section.appendChild(table);
+    section.appendChild(el('p', {
+        cls:  ['snowline-note'],
+        text: t('models.note', {
+            snowMedium: formatDepth(MODEL_SPREAD_LIMITS.snowfallCm.medium),
+            snowLow:    formatDepth(MODEL_SPREAD_LIMITS.snowfallCm.low),
+            tempMedium: formatTempDifference(MODEL_SPREAD_LIMITS.tempC.medium),
+            tempLow:    formatTempDifference(MODEL_SPREAD_LIMITS.tempC.low),
+        }),
+    }));
+}
+
+/**
+ * "Selon les modèles" section of the detail page; filled once the
+ * multi-model forecast arrives.
+ */
+function renderModelComparison(resort) {
+    const section = el('section', { cls: ['models-panel'], attrs: { 'aria-label': t('models.title'), 'aria-busy': 'true' } });
+    section.appendChild(el('h2', { cls: ['detail-section-title'], text: t('models.title') }));
+    section.appendChild(el('p', { cls: ['history-status'], text: t('models.loading') }));
+
+    loadModelForecast(resort)
+        .then(data => fillModelComparison(section, data))
+        .catch(() => {
+            section.querySelectorAll('.history-status').forEach(n => n.remove());
+            section.appendChild(el('p', { cls: ['history-status'], text: t('models.unavailable') }));
+        })
+        .finally(() => section.setAttribute('aria-busy', 'false'));
+    return section;
+}
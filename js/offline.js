@@ -0,0 +1,107 @@
+/**
+ * Météo des Neiges – Offline support
+ * Stores the last successful forecast of each resort locally, substitutes it
+ * when the network is down and labels it with its age. Also registers the
+ * service worker (sw.js) that keeps the static pages available offline.
+ */
+
+'use strict';
+
+// Cached forecasts older than this are dropped rather than shown
+const OFFLINE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Storage key of one resort's forecast. `scope` separates the grid and the
+ * detail page, which request different variables and ranges.
+ */
+function forecastCacheKey(scope, resort) {
+    return `forecast:${scope}:${resort.slug}`;
+}
+
+/**
+ * Save a freshly fetched forecast.
+ * @param {string} scope   'grid' or 'detail'
+ * @param {object} resort
+ * @param {object} value   Map of band id → API response
+ */
+function saveForecast(scope, resort, value) {
+    writeStored(forecastCacheKey(scope, resort), { savedAt: Date.now(), value });
+}
+
+/**
+ * Last saved forecast of a resort.
+ * @returns {{savedAt: number, value: object}|null}
+ */
+function loadCachedForecast(scope, resort) {
+    const entry = readStored(forecastCacheKey(scope, resort), null);
+    if (!entry || !entry.value || typeof entry.savedAt !== 'number') return null;
+    if (Date.now() - entry.savedAt > OFFLINE_MAX_AGE_MS) return null;
+    return entry;
+}
+
+/**
+ * Forget a resort's saved forecasts, e.g. after its coordinates changed.
+ */
+function clearCachedForecasts(resort) {
+    ['grid', 'detail'].forEach(scope => removeStored(forecastCacheKey(scope, resort)));
+}
+
+/**
+ * Cache successful results and replace failed ones with the last known
+ * forecast when there is one.
+ * @param {string}   scope
+ * @param {object[]} resorts
+ * @param {object[]} results  Settled results from fetchForecasts(), aligned with resorts
+ * @returns {object[]} Same shape; fulfilled entries get `savedAt` (null when fresh)
+ */
+function applyOfflineCache(scope, resorts, results) {
+    return results.map((result, i) => {
+        const resort = resorts[i];
+        if (result.status === 'fulfilled') {
+            saveForecast(scope, resort, result.value);
+            return { ...result, savedAt: null };
+        }
+        const cached = loadCachedForecast(scope, resort);
+        if (!cached) return result;
+        return { status: 'fulfilled', value: cached.value, savedAt: cached.savedAt };
+    });
+}
+
+/* ===========================
+   Staleness badge
+   =========================== */
+
+/**
+ * Human-readable age in the current language, e.g. "3 h", "25 min", "2 j".
+ * @param {number} ms
+ */
+function formatAge(ms) {
+    const minutes = Math.max(1, Math.round(ms / 60000));
+    if (minutes < 60) return formatDuration(minutes, 'minute');
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return formatDuration(hours, 'hour');
+    return formatDuration(Math.round(hours / 24), 'day');
+}
+
+/**
+ * Badge shown on data served from the local cache.
+ * @param {number} savedAt  Epoch ms of the cached fetch
+ * @returns {HTMLElement}
+ */
+function buildStaleBadge(savedAt) {
+    const saved = new Date(savedAt);
+    return el('span', {
+        cls:   ['stale-badge'],
+        text:  `🕒 ${t('offline.age', { age: formatAge(Date.now() - savedAt) })}`,
+        attrs: { title: t('offline.title', { date: formatDateTime(saved) }) },
+    });
+}
+
+/* ===========================
+   Service worker
+   =========================== */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    // Without a worker the app still works online; there is nothing to report
+    navigator.serviceWorker.register('sw.js').catch(() => {});
+}
@@ -0,0 +1,304 @@
+/**
+ * Météo des Neiges – Week planner ("Où et quand skier ?")
+ * Rates every resort for every forecast day with the rating rules on the
+ * daily data, then shows a resort × day heat map and the five best
+ * combinations. Filters (weekend only, distance from home, country) are
+ * kept locally.
+ */
+
+'use strict';
+
+const PLANNER_STORAGE_KEY = 'planner';
+
+const PLANNER_TOP_COUNT = 5;
+
+const WEEKEND_DAYS = [6, 0]; // Saturday, Sunday (Date#getDay)
+
+let plannerEntriesProvider = () => [];
+
+/**
+ * Saved filters, with defaults for anything missing or no longer valid.
+ * @returns {{weekendOnly: boolean, radiusKm: number|null, country: string}}
+ */
+function getPlannerFilters() {
+    const stored = readStored(PLANNER_STORAGE_KEY, {}) || {};
+    return {
+        weekendOnly: stored.weekendOnly === true,
+        radiusKm:    HOME_RADII_KM.includes(stored.radiusKm) ? stored.radiusKm : null,
+        country:     RESORT_COUNTRIES.includes(stored.country) ? stored.country : '',
+    };
+}
+
+function setPlannerFilters(filters) {
+    writeStored(PLANNER_STORAGE_KEY, filters);
+}
+
+function isWeekendDay(date) {
+    return WEEKEND_DAYS.includes(new Date(`${date}T12:00:00`).getDay());
+}
+
+/* ===========================
+   Scoring
+   =========================== */
+
+/**
+ * Every resort × day combination that passes the filters, rated on the base
+ * band's daily data.
+ * @param {object[]} entries  Grid entries ({resort, data})
+ * @param {object} filters    getPlannerFilters()
+ * @returns {{days: string[], rows: {resort: object, cells: object[], best: number}[]}}
+ *          Rows best first; a cell is null when the resort has no data that day
+ */
+function planTrips(entries, filters) {
+    const home = getHome();
+    const kept = entries.filter(({ resort, data }) => {
+        if (!data || !data.daily) return false;
+        if (filters.country && resort.country !== filters.country) return false;
+        if (home && filters.radiusKm != null && resortDistanceKm(resort) > filters.radiusKm) return false;
+        return true;
+    });
+
+    const allDays = [...new Set(kept.flatMap(({ data }) => data.daily.time))].sort();
+    const days = filters.weekendOnly ? allDays.filter(isWeekendDay) : allDays;
+
+    const rows = kept.map(({ resort, data }) => {
+        const cells = days.map(date => {
+            const i = data.daily.time.indexOf(date);
+            if (i < 0) return null;
+            const pick = key => (data.daily[key] ? data.daily[key][i] ?? null : null);
+            return {
+                resort,
+                date,
+                rating:     dailyRating(data, date),
+                code:       pick('weathercode'),
+                snowfallCm: pick('snowfall_sum'),
+                windKmh:    pick('windspeed_10m_max'),
+                minC:       pick('temperature_2m_min'),
+                maxC:       pick('temperature_2m_max'),
+            };
+        });
+        const best = Math.max(-1, ...cells.filter(Boolean).map(cell => cell.rating.score));
+        return { resort, cells, best };
+    });
+
+    // Ties go to the resort with more snow over the period
+    const snowfall = row => row.cells.reduce((sum, cell) => sum + (cell ? cell.snowfallCm ?? 0 : 0), 0);
+    rows.sort((a, b) => b.best - a.best || snowfall(b) - snowfall(a));
+    return { days, rows };
+}
+
+/**
+ * Best combinations over the whole matrix: higher score first, then more
+ * snowfall, then earlier.
+ */
+function topPlans(rows, count = PLANNER_TOP_COUNT) {
+    return rows
+        .flatMap(row => row.cells.filter(Boolean))
+        .sort((a, b) => b.rating.score - a.rating.score
+            || (b.snowfallCm ?? 0) - (a.snowfallCm ?? 0)
+            || a.date.localeCompare(b.date))
+        .slice(0, count);
+}
+
+/* ===========================
+   Rendering
+   =========================== */
+
+function plannerDayLabel(date) {
+    return `${shortDay(date)} ${formatDayMonth(date)}`;
+}
+
+/**
+ * "❄ 12 cm · 💨 25 km/h · -8° / -2°C"
+ */
+function planSummary(cell) {
+    const parts = [];
+    if (cell.snowfallCm) parts.push(`❄ ${formatDepth(cell.snowfallCm)}`);
+    if (cell.windKmh != null) parts.push(`💨 ${formatWind(cell.windKmh)}`);
+    if (cell.minC != null && cell.maxC != null) parts.push(formatTempRange(cell.minC, cell.maxC));
+    return parts.join(' · ');
+}
+
+function buildPlannerFilters(filters) {
+    const home = getHome();
+    const form = el('div', { cls: ['planner-filters'] });
+
+    const weekend = el('input', { attrs: { id: 'plannerWeekend', type: 'checkbox' } });
+    weekend.checked = filters.weekendOnly;
+    const weekendField = el('div', { cls: ['alerts-field', 'alerts-field-check'] });
+    weekendField.appendChild(weekend);
+    weekendField.appendChild(el('label', { text: t('planner.weekendOnly'), attrs: { for: 'plannerWeekend' } }));
+
+    const radius = el('select', { cls: ['profile-select'], attrs: { id: 'plannerRadius' } });
+    radius.appendChild(el('option', { text: t('home.anyDistance'), attrs: { value: '' } }));
+    HOME_RADII_KM.forEach(km => {
+        radius.appendChild(el('option', { text: `≤ ${formatDistance(km)}`, attrs: { value: String(km) } }));
+    });
+    radius.value = String(filters.radiusKm ?? '');
+    radius.disabled = !home;
+    const radiusField = el('div', { cls: ['alerts-field'] });
+    radiusField.appendChild(el('label', {
+        text:  home ? t('planner.distanceFrom', { home: homeLabel(home) }) : t('planner.distance'),
+        attrs: { for: 'plannerRadius' },
+    }));
+    radiusField.appendChild(radius);
+    if (!home) radiusField.appendChild(el('span', { cls: ['planner-hint'], text: t('planner.noHome') }));
+
+    const country = el('select', { cls: ['profile-select'], attrs: { id: 'plannerCountry' } });
+    country.appendChild(el('option', { text: t('filters.all'), attrs: { value: '' } }));
+    RESORT_COUNTRIES.forEach(c => country.appendChild(el('option', { text: countryName(c), attrs: { value: c } })));
+    country.value = filters.country;
+    const countryField = el('div', { cls: ['alerts-field'] });
+    countryField.appendChild(el('label', { text: t('planner.country'), attrs: { for: 'plannerCountry' } }));
+    countryField.appendChild(country);
+
+    const update = () => {
+        setPlannerFilters({
+            weekendOnly: weekend.checked,
+            radiusKm:    Number(radius.value) || null,
+            country:     country.value,
+        });
+        renderPlanner();
+    };
+    [weekend, radius, country].forEach(control => control.addEventListener('change', update));
+
+    form.appendChild(weekendField);
+    form.appendChild(radiusField);
+    form.appendChild(countryField);
+    return form;
+}
+
+function buildPlannerTop(rows) {
+    const section = el('section', { cls: ['alerts-section'], attrs: { 'aria-labelledby': 'plannerTopTitle' } });
+    section.appendChild(el('h3', { text: t('planner.topTitle', { count: PLANNER_TOP_COUNT }), attrs: { id: 'plannerTopTitle' } }));
+
+    const list = el('ol', { cls: ['planner-top'] });
+    topPlans(rows).forEach(cell => {
+        const item = el('li', { cls: ['planner-top-item', cell.rating.class] });
+        const link = el('a', {
+            cls:   ['planner-top-link'],
+            text:  `${cell.resort.name} – ${plannerDayLabel(cell.date)}`,
+            attrs: { href: resortDetailUrl(cell.resort) },
+        });
+        item.appendChild(link);
+        item.appendChild(el('span', { cls: ['ski-rating-badge', cell.rating.class], text: `${cell.rating.label} (${cell.rating.score}/100)` }));
+        const w = cell.code != null ? weatherInfo(cell.code) : null;
+        const summary = [w ? `${w.icon} ${w.desc}` : '', planSummary(cell)].filter(Boolean).join(' · ');
+        item.appendChild(el('span', { cls: ['planner-top-summary'], text: summary }));
+        list.appendChild(item);
+    });
+    section.appendChild(list);
+    return section;
+}
+
+function buildPlannerMatrix(days, rows) {
+    const section = el('section', { cls: ['alerts-section'], attrs: { 'aria-labelledby': 'plannerMatrixTitle' } });
+    section.appendChild(el('h3', { text: t('planner.matrixTitle'), attrs: { id: 'plannerMatrixTitle' } }));
+
+    const wrapper = el('div', { cls: ['compare-table-wrapper'] });
+    const table = el('table', { cls: ['planner-matrix'] });
+    const headerRow = el('tr');
+    headerRow.appendChild(el('th', { cls: ['planner-resort'], text: t('planner.resort'), attrs: { scope: 'col' } }));
+    days.forEach(date => {
+        const weekendCls = isWeekendDay(date) ? ['planner-weekend'] : [];
+        headerRow.appendChild(el('th', { cls: ['planner-day', ...weekendCls], text: plannerDayLabel(date), attrs: { scope: 'col' } }));
+    });
+    const thead = el('thead');
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = el('tbody');
+    rows.forEach(({ resort, cells }) => {
+        const row = el('tr');
+        const th = el('th', { cls: ['planner-resort'], attrs: { scope: 'row' } });
+        th.appendChild(el('a', { text: resort.name, attrs: { href: resortDetailUrl(resort) } }));
+        row.appendChild(th);
+        cells.forEach(cell => {
+            if (!cell) {
+                row.appendChild(el('td', { cls: ['planner-cell', 'planner-cell-empty'], text: '–' }));
+                return;
+            }
+            const detail = `${cell.rating.label} – ${planSummary(cell)}`;
+            const td = el('td', { cls: ['planner-cell', cell.rating.class], text: String(cell.rating.score), attrs: { title: detail } });
+            td.appendChild(el('span', { cls: ['sr-only'], text: ` ${detail}` }));
+            row.appendChild(td);
+        });
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    wrapper.appendChild(table);
+    section.appendChild(wrapper);
+    return section;
+}
+
+/**
+ * (Re)build the planner dialog from the current grid data and filters.
+ */
+function renderPlanner() {
+    const container = document.getElementById('plannerContainer');
+    if (!container) return;
+
+    const filters = getPlannerFilters();
+    const entries = plannerEntriesProvider();
+    const { days, rows } = planTrips(entries, filters);
+
+    container.textContent = '';
+    container.appendChild(buildPlannerFilters(filters));
+
+    let empty = null;
+    if (!entries.some(({ data }) => data)) empty = t('planner.loading');
+    else if (rows.length === 0) empty = t('planner.noResorts');
+    else if (days.length === 0) empty = t('planner.noWeekend');
+    if (empty) {
+        container.appendChild(el('p', { cls: ['alerts-empty'], text: empty, attrs: { role: 'status' } }));
+        return;
+    }
+
+    container.appendChild(buildPlannerTop(rows));
+    container.appendChild(buildPlannerMatrix(days, rows));
+    container.appendChild(el('p', { cls: ['planner-note'], text: t('planner.note', { profile: t(`profile.${getRatingProfileId()}`) }) }));
+}
+
+function isPlannerOpen() {
+    const modal = document.getElementById('plannerModal');
+    return !!modal && !modal.classList.contains('hidden');
+}
+
+function openPlanner() {
+    const modal = document.getElementById('plannerModal');
+    if (!modal) return;
+    renderPlanner();
+    modal.classList.remove('hidden');
+    const closeBtn = document.getElementById('plannerModalClose');
+    if (closeBtn) closeBtn.focus();
+}
+
+function closePlanner() {
+    const modal = document.getElementById('plannerModal');
+    if (modal) modal.classList.add('hidden');
+}
+
+/**
+ * Wire the header button and the planner dialog.
+ * @param {Function} getEntries  Returns the current grid entries ({resort, data})
+ */
+function initPlanner(getEntries) {
+    plannerEntriesProvider = getEntries;
+
+    const btn = document.getElementById('plannerBtn');
+    if (btn) btn.addEventListener('click', openPlanner);
+
+    const closeBtn = document.getElementById('plannerModalClose');
+    if (closeBtn) closeBtn.addEventListener('click', closePlanner);
+
+    const overlay = document.getElementById('plannerModal');
+    if (overlay) {
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) closePlanner();
+        });
+    }
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closePlanner();
+    });
+}
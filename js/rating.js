@@ -0,0 +1,468 @@
+/**
+ * Météo des Neiges – Ski-rating engine
+ * Declarative rules turn weather conditions into a 0–100 score, one of the
+ * four rating badges and the reasons behind it ("−30: vent 65 km/h").
+ * Weights and thresholds come from the user's profile.
+ */
+
+'use strict';
+
+/* ===========================
+   Ski Conditions Rating
+   =========================== */
+// Badge names are the "rating.<key>" messages
+const RATINGS = {
+    excellent: { icon: '⭐',  class: 'rating-excellent' },
+    good:      { icon: '✅',  class: 'rating-good' },
+    fair:      { icon: '⚠️', class: 'rating-fair' },
+    poor:      { icon: '❌',  class: 'rating-poor' },
+};
+
+/**
+ * Badge text of a rating level, e.g. "⭐ Excellentes".
+ */
+function ratingLabel(key) {
+    return `${RATINGS[key].icon} ${t(`rating.${key}`)}`;
+}
+
+// Minimum score for each badge, best first
+const RATING_LEVELS = [
+    { key: 'excellent', min: 80 },
+    { key: 'good',      min: 60 },
+    { key: 'fair',      min: 40 },
+    { key: 'poor',      min: 0 },
+];
+
+// Score before any rule applies
+const BASE_SCORE = 50;
+
+const SNOW_CODES  = [71, 73, 75, 77, 85, 86];
+const SUN_CODES   = [0, 1, 2];
+const STORM_CODES = [95, 96, 99];
+const RAIN_CODES  = [51, 53, 55, 61, 63, 65, 80, 81, 82];
+const FOG_CODES   = [45, 48];
+
+// Low cloud cover (%) from which flat light can hide the relief
+const WHITEOUT_CLOUD_LOW_PCT = 80;
+
+// Visibility (m) below which low cloud means a whiteout even without snow or fog
+const WHITEOUT_VISIBILITY_M = 2000;
+
+/**
+ * Whether precipitation falls as rain or snow at the rated elevation. The
+ * weather code alone is not enough: below the snow line a "snow" code still
+ * means rain, above it a "rain" code means snow.
+ * @returns {'rain'|'snow'|null} null when it is not precipitating
+ */
+function precipitationPhase(c) {
+    const rainCode = RAIN_CODES.includes(c.code);
+    if (!rainCode && !SNOW_CODES.includes(c.code)) return null;
+    if (c.snowLineM == null || c.elevationM == null) return rainCode ? 'rain' : 'snow';
+    return c.elevationM < c.snowLineM ? 'rain' : 'snow';
+}
+
+/**
+ * Whiteout risk: low overcast with fog, falling snow or poor visibility,
+ * when snow, sky and relief blend together.
+ * @param {object} c  Conditions with cloudLowPct, visibilityM and code
+ */
+function isWhiteoutRisk(c) {
+    if (c.cloudLowPct == null || c.cloudLowPct < WHITEOUT_CLOUD_LOW_PCT) return false;
+    return FOG_CODES.includes(c.code)
+        || precipitationPhase(c) === 'snow'
+        || (c.visibilityM != null && c.visibilityM < WHITEOUT_VISIBILITY_M);
+}
+
+/* ===========================
+   Profiles
+   All thresholds are metric (cm, km/h, °C, m) whatever the display units.
+   =========================== */
+const STANDARD_THRESHOLDS = {
+    goodSnowpackCm: 50,
+    okSnowpackCm:   20,
+    highWindKmh:    60,
+    freshSnowCm:    10,
+    coldC:         -15,
+    warmC:           5,
+    lowVisibilityM: 1000,
+    highGustKmh:    80,
+    windChillC:    -20,
+};
+
+const STANDARD_WEIGHTS = {
+    storm:         -50,
+    rain:          -40,
+    highWind:      -30,
+    goodSnowpack:   25,
+    thinSnowpack:  -30,
+    sunny:          10,
+    snowing:        10,
+    freshSnow:      10,
+    cold:          -10,
+    warm:          -10,
+    lowVisibility: -15,
+    fog:           -15,
+    whiteout:      -20,
+    gusts:         -15,
+    windChill:     -15,
+};
+
+// Profile names are the "profile.<id>" messages
+const RATING_PROFILES = {
+    standard: {
+        thresholds: STANDARD_THRESHOLDS,
+        weights:    STANDARD_WEIGHTS,
+    },
+    debutant: {
+        thresholds: { ...STANDARD_THRESHOLDS, highWindKmh: 40, coldC: -10, highGustKmh: 60, windChillC: -15 },
+        weights:    { ...STANDARD_WEIGHTS, sunny: 15, snowing: 0, freshSnow: 0, lowVisibility: -25, fog: -25, whiteout: -30 },
+    },
+    freeride: {
+        thresholds: { ...STANDARD_THRESHOLDS, freshSnowCm: 15, coldC: -20 },
+        weights:    { ...STANDARD_WEIGHTS, snowing: 15, freshSnow: 25, sunny: 5, cold: -5, warm: -20, lowVisibility: -20 },
+    },
+    famille: {
+        thresholds: { ...STANDARD_THRESHOLDS, highWindKmh: 40, coldC: -10, warmC: 8, highGustKmh: 60, windChillC: -15 },
+        weights:    { ...STANDARD_WEIGHTS, sunny: 15, freshSnow: 5, cold: -20, highWind: -35, whiteout: -25, windChill: -25 },
+    },
+};
+
+const DEFAULT_PROFILE_ID = 'standard';
+const PROFILE_STORAGE_KEY = 'ratingProfile';
+
+/**
+ * Currently selected profile id (persisted locally).
+ * @returns {string}
+ */
+function getRatingProfileId() {
+    const id = readStored(PROFILE_STORAGE_KEY, DEFAULT_PROFILE_ID);
+    return RATING_PROFILES[id] ? id : DEFAULT_PROFILE_ID;
+}
+
+function setRatingProfileId(id) {
+    if (RATING_PROFILES[id]) writeStored(PROFILE_STORAGE_KEY, id);
+}
+
+/* ===========================
+   Rules
+   Each rule names the inputs it needs (skipped when one is missing), the
+   weight it reads from the profile and a short translated reason. A rule
+   with `maxLevel` also keeps the badge at that level or below.
+   =========================== */
+const RATING_RULES = [
+    {
+        id:     'storm',
+        inputs: ['code'],
+        test:   c => STORM_CODES.includes(c.code),
+        reason: () => t('reason.storm'),
+    },
+    {
+        id:     'rain',
+        inputs: ['code'],
+        test:   c => precipitationPhase(c) === 'rain',
+        reason: c => (c.snowLineM != null ? t('reason.rainUpTo', { altitude: c.snowLineM }) : t('reason.rain')),
+    },
+    {
+        id:     'highWind',
+        inputs: ['windKmh'],
+        test:   (c, th) => c.windKmh > th.highWindKmh,
+        reason: c => t('reason.wind', { value: formatWind(c.windKmh) }),
+    },
+    {
+        id:     'goodSnowpack',
+        inputs: ['snowDepthCm'],
+        test:   (c, th) => c.snowDepthCm >= th.goodSnowpackCm,
+        reason: c => t('reason.snowpack', { value: formatDepth(c.snowDepthCm) }),
+    },
+    {
+        id:     'thinSnowpack',
+        inputs: ['snowDepthCm'],
+        test:   (c, th) => c.snowDepthCm < th.okSnowpackCm,
+        reason: c => t('reason.thinSnowpack', { value: formatDepth(c.snowDepthCm) }),
+    },
+    {
+        id:     'sunny',
+        inputs: ['code'],
+        test:   c => SUN_CODES.includes(c.code),
+        reason: () => t('reason.sunny'),
+    },
+    {
+        id:     'snowing',
+        inputs: ['code'],
+        test:   c => precipitationPhase(c) === 'snow',
+        reason: c => (c.snowLineM != null ? t('reason.snowingFrom', { altitude: c.snowLineM }) : t('reason.snowing')),
+    },
+    {
+        id:     'freshSnow',
+        inputs: ['freshSnowCm'],
+        test:   (c, th) => c.freshSnowCm >= th.freshSnowCm,
+        reason: c => t('reason.freshSnow', { value: formatDepth(c.freshSnowCm) }),
+    },
+    {
+        id:     'cold',
+        inputs: ['tempC'],
+        test:   (c, th) => c.tempC < th.coldC,
+        reason: c => t('reason.cold', { value: formatTemp(c.tempC) }),
+    },
+    {
+        id:     'warm',
+        inputs: ['tempC'],
+        test:   (c, th) => c.tempC > th.warmC,
+        reason: c => t('reason.warm', { value: formatTemp(c.tempC) }),
+    },
+    {
+        id:     'lowVisibility',
+        inputs: ['visibilityM'],
+        test:   (c, th) => c.visibilityM < th.lowVisibilityM,
+        reason: c => t('reason.lowVisibility', { value: formatVisibility(c.visibilityM) }),
+    },
+    {
+        // Fog without a visibility value; with one, lowVisibility already counts it
+        id:     'fog',
+        inputs: ['code'],
+        test:   (c, th) => FOG_CODES.includes(c.code) && !(c.visibilityM != null && c.visibilityM < th.lowVisibilityM),
+        reason: () => t('reason.fog'),
+    },
+    {
+        id:     'whiteout',
+        inputs: ['cloudLowPct'],
+        test:   c => isWhiteoutRisk(c),
+        reason: () => t('reason.whiteout'),
+    },
+    {
+        id:     'gusts',
+        inputs: ['gustKmh'],
+        test:   (c, th) => c.gustKmh > th.highGustKmh,
+        reason: c => t('reason.gusts', { value: formatWind(c.gustKmh) }),
+    },
+    {
+        // Sun and powder do not make a −35 °C feels-like an excellent day
+        id:       'windChill',
+        inputs:   ['feelsLikeC'],
+        test:     (c, th) => c.feelsLikeC < th.windChillC,
+        reason:   c => t('reason.windChill', { value: formatTemp(c.feelsLikeC) }),
+        maxLevel: 'good',
+    },
+];
+
+/**
+ * Rate ski conditions.
+ * @param {object} conditions  { code, windKmh, gustKmh, snowDepthCm, freshSnowCm, tempC,
+ *                             feelsLikeC, visibilityM, cloudLowPct, elevationM, snowLineM };
+ *                             missing values (null/undefined) disable the rules that need them
+ * @param {string} [profileId] Key of RATING_PROFILES, defaults to the user's choice
+ * @returns {{label: string, class: string, key: string, score: number,
+ *            reasons: {points: number, text: string}[]}}
+ */
+function rateConditions(conditions, profileId = getRatingProfileId()) {
+    const profile = RATING_PROFILES[profileId] || RATING_PROFILES[DEFAULT_PROFILE_ID];
+    const reasons = [];
+    let maxScore = 100;
+
+    RATING_RULES.forEach(rule => {
+        const points = profile.weights[rule.id];
+        if (!points) return;
+        if (rule.inputs.some(k => conditions[k] == null)) return;
+        if (!rule.test(conditions, profile.thresholds)) return;
+        reasons.push({ points, text: rule.reason(conditions) });
+        if (rule.maxLevel) {
+            // Just below the minimum of the level above
+            const above = RATING_LEVELS[RATING_LEVELS.findIndex(l => l.key === rule.maxLevel) - 1];
+            if (above) maxScore = Math.min(maxScore, above.min - 1);
+        }
+    });
+
+    const total = reasons.reduce((sum, r) => sum + r.points, BASE_SCORE);
+    const score = Math.max(0, Math.min(maxScore, total));
+    const level = RATING_LEVELS.find(l => score >= l.min);
+
+    // Biggest effects first so the explanation reads in order of importance
+    reasons.sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+    return { label: ratingLabel(level.key), class: RATINGS[level.key].class, key: level.key, score, reasons };
+}
+
+/**
+ * Whether a wind speed (km/h, unrounded) is above the active profile's
+ * high-wind threshold – used to highlight wind values in any display unit.
+ */
+function isHighWind(windKmh) {
+    return windKmh > RATING_PROFILES[getRatingProfileId()].thresholds.highWindKmh;
+}
+
+/**
+ * Visibility, feels-like temperature and gusts of a set of conditions for
+ * the stat grids, flagged when the active profile counts them against the
+ * rating. Values the response lacks (older cached copies) are left out.
+ * @param {object} c  Result of conditionsFromForecast()
+ * @returns {{key: string, label: string, text: string, cls: string[]}[]} key is the conditions field
+ */
+function comfortStats(c) {
+    const thresholds = RATING_PROFILES[getRatingProfileId()].thresholds;
+    const stats = [];
+    if (c.visibilityM != null) {
+        stats.push({
+            key:   'visibilityM',
+            label: t('stat.visibility'),
+            text:  formatVisibility(c.visibilityM),
+            cls:   c.visibilityM < thresholds.lowVisibilityM ? ['condition-poor'] : [],
+        });
+    }
+    if (c.feelsLikeC != null) {
+        stats.push({
+            key:   'feelsLikeC',
+            label: t('stat.feelsLike'),
+            text:  formatTemp(c.feelsLikeC),
+            cls:   c.feelsLikeC < thresholds.windChillC ? ['condition-poor'] : [],
+        });
+    }
+    if (c.gustKmh != null) {
+        stats.push({
+            key:   'gustKmh',
+            label: t('stat.gusts'),
+            text:  formatWind(c.gustKmh),
+            cls:   c.gustKmh > thresholds.highGustKmh ? ['wind-high'] : [],
+        });
+    }
+    return stats;
+}
+
+/**
+ * "Risque de jour blanc" warning, or null when there is no such risk.
+ * @param {object} c  Result of conditionsFromForecast()
+ * @returns {HTMLElement|null}
+ */
+function buildWhiteoutWarning(c) {
+    if (!isWhiteoutRisk(c)) return null;
+    const warning = el('p', { cls: ['whiteout-warning'] });
+    warning.appendChild(el('span', { text: '⚠️', attrs: { 'aria-hidden': 'true' } }));
+    warning.appendChild(el('strong', { text: t('conditions.whiteout') }));
+    warning.appendChild(document.createTextNode(' '));
+    warning.appendChild(el('span', { cls: ['whiteout-detail'], text: t('conditions.whiteoutDetail') }));
+    return warning;
+}
+
+/**
+ * Format one reason as "+25: enneigement 80 cm" / "−30: vent 65 km/h".
+ */
+function formatReason(reason) {
+    const sign = reason.points > 0 ? '+' : '−';
+    return `${sign}${Math.abs(reason.points)}: ${reason.text}`;
+}
+
+/* ===========================
+   Conditions from Open-Meteo data
+   =========================== */
+
+/**
+ * Current conditions of one API response (one elevation band).
+ */
+function conditionsFromForecast(data) {
+    const cw = data.current_weather || {};
+    return {
+        code:        cw.weathercode,
+        windKmh:     cw.windspeed,
+        gustKmh:     currentHourlyValue(data.hourly, 'windgusts_10m'),
+        tempC:       cw.temperature,
+        feelsLikeC:  currentHourlyValue(data.hourly, 'apparent_temperature'),
+        snowDepthCm: currentSnowDepthCm(data.hourly),
+        freshSnowCm: snowfallLastHours(data.hourly, 24),
+        visibilityM: currentHourlyValue(data.hourly, 'visibility'),
+        cloudLowPct: currentHourlyValue(data.hourly, 'cloudcover_low'),
+        elevationM:  data.elevation,
+        snowLineM:   snowLineFromFreezingLevel(currentFreezingLevelM(data.hourly)),
+    };
+}
+
+/**
+ * Conditions of one forecast day, using the daily aggregates. The snow line
+ * comes from the day's highest freezing level in the hourly series;
+ * visibility and low cloud are their means over the lift hours.
+ * @param {object} data         API response (one elevation band)
+ * @param {number} i            Day index
+ * @param {number|null} snowDepthCm  Snow depth to assume (daily data has none)
+ */
+function conditionsFromDaily(data, i, snowDepthCm) {
+    const daily = data.daily;
+    const pick = key => (daily[key] ? daily[key][i] : null);
+    const min = pick('temperature_2m_min');
+    const max = pick('temperature_2m_max');
+    const freezing = dayFreezingLevelM(data.hourly, daily.time[i]);
+    return {
+        code:        pick('weathercode'),
+        windKmh:     pick('windspeed_10m_max'),
+        gustKmh:     pick('windgusts_10m_max'),
+        tempC:       min != null && max != null ? (min + max) / 2 : null,
+        feelsLikeC:  pick('apparent_temperature_min'),
+        snowDepthCm,
+        freshSnowCm: pick('snowfall_sum'),
+        visibilityM: liftHoursMean(data.hourly, 'visibility', daily.time[i]),
+        cloudLowPct: liftHoursMean(data.hourly, 'cloudcover_low', daily.time[i]),
+        elevationM:  data.elevation,
+        snowLineM:   freezing ? snowLineFromFreezingLevel(freezing.max) : null,
+    };
+}
+
+/**
+ * Rating of the forecast day `date` (YYYY-MM-DD), assuming the current snow
+ * depth; null when the response does not cover that day.
+ */
+function dailyRating(data, date) {
+    if (!data || !data.daily) return null;
+    const i = data.daily.time.indexOf(date);
+    return i >= 0 ? rateConditions(conditionsFromDaily(data, i, currentSnowDepthCm(data.hourly))) : null;
+}
+
+/* ===========================
+   Rendering
+   =========================== */
+
+/**
+ * "Pourquoi ?" disclosure listing the reasons behind a rating.
+ * @param {object} rating  Result of rateConditions()
+ * @returns {HTMLElement}
+ */
+function buildRatingWhy(rating) {
+    const details = el('details', { cls: ['rating-why'] });
+    details.appendChild(el('summary', { text: t('rating.why', { score: rating.score }) }));
+    const list = el('ul', { cls: ['rating-why-list'] });
+    if (rating.reasons.length === 0) {
+        list.appendChild(el('li', { text: t('rating.noFactor') }));
+    }
+    rating.reasons.forEach(reason => {
+        list.appendChild(el('li', {
+            cls:  [reason.points > 0 ? 'reason-plus' : 'reason-minus'],
+            text: formatReason(reason),
+        }));
+    });
+    details.appendChild(list);
+    return details;
+}
+
+/**
+ * (Re)fill the profile <select> with the translated profile names.
+ */
+function fillProfileSelect() {
+    const select = document.getElementById('profileSelect');
+    if (!select) return;
+
+    select.textContent = '';
+    Object.keys(RATING_PROFILES).forEach(id => {
+        select.appendChild(el('option', { text: t(`profile.${id}`), attrs: { value: id } }));
+    });
+    select.value = getRatingProfileId();
+}
+
+/**
+ * Fill the profile <select> and call `onChange` after the user picks one.
+ * @param {Function} onChange
+ */
+function initProfileSelect(onChange) {
+    const select = document.getElementById('profileSelect');
+    if (!select) return;
+
+    fillProfileSelect();
+    select.addEventListener('change', () => {
+        setRatingProfileId(select.value);
+        onChange();
+    });
+}
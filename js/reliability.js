@@ -0,0 +1,163 @@
+/**
+ * Météo des Neiges – Forecast reliability page
+ * For each resort and lead time (D+1 … D+3), how far the forecasts kept by
+ * accuracy.js were from what was then observed: bias (does it overstate or
+ * understate?) and mean error, for one metric at a time.
+ */
+
+'use strict';
+
+const RELIABILITY_METRIC_STORAGE_KEY = 'reliabilityMetric';
+
+// Below this many compared days a cell is shown but flagged as indicative
+const RELIABILITY_MIN_DAYS = 5;
+
+function getReliabilityMetric() {
+    const stored = readStored(RELIABILITY_METRIC_STORAGE_KEY, null);
+    return ACCURACY_METRICS.includes(stored) ? stored : 'snowfallCm';
+}
+
+/**
+ * A metric value in the display units; temperatures are differences here.
+ */
+function formatAccuracyValue(metric, value) {
+    return metric === 'tempMinC' || metric === 'tempMaxC'
+        ? formatTempDifference(value, true)
+        : formatDepth(value, true);
+}
+
+/**
+ * "+2,1 cm" / "−0,4 °C" / "±0 cm"
+ */
+function formatBias(metric, value) {
+    const text = formatAccuracyValue(metric, Math.abs(value));
+    if (Math.abs(value) < 0.05) return `±${text}`;
+    return `${value > 0 ? '+' : '−'}${text}`;
+}
+
+/* ===========================
+   Rendering
+   =========================== */
+
+function fillMetricSelect() {
+    const select = document.getElementById('reliabilityMetric');
+    if (!select) return;
+    select.textContent = '';
+    ACCURACY_METRICS.forEach(metric => {
+        select.appendChild(el('option', { text: t(`reliability.metric.${metric}`), attrs: { value: metric } }));
+    });
+    select.value = getReliabilityMetric();
+}
+
+function buildReliabilityCell(metric, stats) {
+    const td = el('td', { cls: ['reliability-cell'] });
+    if (!stats) {
+        td.textContent = '–';
+        return td;
+    }
+    const biasCls = stats.bias > 0.05 ? 'bias-over' : stats.bias < -0.05 ? 'bias-under' : '';
+    td.appendChild(el('span', {
+        cls:   ['reliability-bias', biasCls],
+        text:  formatBias(metric, stats.bias),
+        attrs: { title: t('reliability.biasTitle') },
+    }));
+    td.appendChild(el('span', {
+        cls:  ['reliability-mae'],
+        text: t('reliability.mae', { value: formatAccuracyValue(metric, stats.mae) }),
+    }));
+    td.appendChild(el('span', {
+        cls:  ['reliability-count', stats.count < RELIABILITY_MIN_DAYS ? 'reliability-few' : ''],
+        text: t('reliability.days', { count: stats.count }),
+    }));
+    return td;
+}
+
+/**
+ * Resort × lead time table of one metric; resorts without any compared day
+ * are left out.
+ */
+function buildReliabilityTable(resorts, metric) {
+    const rows = resorts
+        .map(resort => ({ resort, stats: accuracyStats(resort) }))
+        .filter(({ stats }) => ACCURACY_LEAD_DAYS.some(lead => stats[lead][metric]));
+    if (rows.length === 0) return null;
+
+    const table = el('table', { cls: ['hourly-table', 'reliability-table'] });
+    table.appendChild(el('caption', { cls: ['sr-only'], text: t('reliability.caption', { metric: t(`reliability.metric.${metric}`) }) }));
+    const headerRow = el('tr');
+    headerRow.appendChild(el('th', { text: t('planner.resort'), attrs: { scope: 'col' } }));
+    ACCURACY_LEAD_DAYS.forEach(lead => {
+        headerRow.appendChild(el('th', { text: t('reliability.lead', { days: lead }), attrs: { scope: 'col' } }));
+    });
+    const thead = el('thead');
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = el('tbody');
+    rows.forEach(({ resort, stats }) => {
+        const row = el('tr');
+        const th = el('th', { attrs: { scope: 'row' } });
+        th.appendChild(el('a', { text: resort.name, attrs: { href: resortDetailUrl(resort) } }));
+        row.appendChild(th);
+        ACCURACY_LEAD_DAYS.forEach(lead => row.appendChild(buildReliabilityCell(metric, stats[lead][metric])));
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    return table;
+}
+
+function renderReliability(resorts) {
+    const container = document.getElementById('reliabilityContainer');
+    if (!container) return;
+    container.textContent = '';
+
+    const metric = getReliabilityMetric();
+    const section = el('section', { cls: ['history-panel'], attrs: { 'aria-labelledby': 'reliabilityTitle' } });
+    section.appendChild(el('h2', {
+        cls:   ['detail-section-title'],
+        text:  t('reliability.title', { metric: t(`reliability.metric.${metric}`) }),
+        attrs: { id: 'reliabilityTitle' },
+    }));
+    section.appendChild(el('p', { cls: ['history-note'], text: t('reliability.intro') }));
+
+    const table = buildReliabilityTable(resorts, metric);
+    if (table) {
+        section.appendChild(table);
+        section.appendChild(el('p', { cls: ['snowline-note'], text: t('reliability.note', { min: RELIABILITY_MIN_DAYS }) }));
+    } else {
+        section.appendChild(el('p', { cls: ['history-status'], text: t('reliability.empty') }));
+    }
+    container.appendChild(section);
+}
+
+/* ===========================
+   Init
+   =========================== */
+
+document.addEventListener('DOMContentLoaded', async () => {
+    let resorts = [];
+    const rerender = () => renderReliability(resorts);
+
+    initLanguageSelect(() => {
+        fillMetricSelect();
+        rerender();
+    });
+    initUnitSelects(rerender);
+    fillMetricSelect();
+    const select = document.getElementById('reliabilityMetric');
+    if (select) {
+        select.addEventListener('change', () => {
+            writeStored(RELIABILITY_METRIC_STORAGE_KEY, select.value);
+            rerender();
+        });
+    }
+    registerServiceWorker();
+
+    try {
+        resorts = await loadResorts();
+    } catch (_err) {
+        showError(t('error.resortList'));
+        return;
+    }
+    rerender();
+});
@@ -1,88 +1,16 @@
 /**
  * Météo des Neiges – Resort Detail Page
- * Displays extended 7-day forecast and a 24 h hourly overview for a single resort.
+ * Everything about a single resort: current conditions, each elevation band,
+ * freezing level and snow line, indicative avalanche danger, the 7-day
+ * forecast, model agreement, hourly charts with their table fallback and the
+ * season history. Works offline from the last saved forecast.
  */
 
 'use strict';
 
-/* ===========================
-   Resort definitions (shared with app.js)
-   =========================== */
-const RESORTS = [
-    { name: 'Chamonix',      country: 'France',  lat: 45.9237, lon:  6.8694, altitude: 1035 },
-    { name: 'Verbier',       country: 'Suisse',  lat: 46.0960, lon:  7.2270, altitude: 1500 },
-    { name: 'Zermatt',       country: 'Suisse',  lat: 46.0207, lon:  7.7491, altitude: 1620 },
-    { name: 'Megève',        country: 'France',  lat: 45.8567, lon:  6.6167, altitude: 1113 },
-    { name: 'Les Gets',      country: 'France',  lat: 46.1575, lon:  6.6683, altitude: 1172 },
-    { name: 'Crans-Montana', country: 'Suisse',  lat: 46.3110, lon:  7.4820, altitude: 1500 },
-    { name: 'Flaine',        country: 'France',  lat: 46.0000, lon:  6.6833, altitude: 1600 },
-    { name: 'Saas-Fee',      country: 'Suisse',  lat: 46.1132, lon:  7.9261, altitude: 1800 },
-];
-
-/* ===========================
-   WMO Weather Code → {icon, description}
-   =========================== */
-const WMO_CODES = {
-    0:  { icon: '☀️',  desc: 'Ciel dégagé' },
-    1:  { icon: '🌤️', desc: 'Principalement dégagé' },
-    2:  { icon: '⛅',  desc: 'Partiellement nuageux' },
-    3:  { icon: '☁️',  desc: 'Couvert' },
-    45: { icon: '🌫️', desc: 'Brouillard' },
-    48: { icon: '🌫️', desc: 'Brouillard givrant' },
-    51: { icon: '🌦️', desc: 'Bruine légère' },
-    53: { icon: '🌦️', desc: 'Bruine modérée' },
-    55: { icon: '🌦️', desc: 'Bruine dense' },
-    61: { icon: '🌧️', desc: 'Pluie légère' },
-    63: { icon: '🌧️', desc: 'Pluie modérée' },
-    65: { icon: '🌧️', desc: 'Pluie forte' },
-    71: { icon: '❄️',  desc: 'Neige légère' },
-    73: { icon: '❄️',  desc: 'Neige modérée' },
-    75: { icon: '❄️',  desc: 'Neige forte' },
-    77: { icon: '🌨️', desc: 'Grains de neige' },
-    80: { icon: '🌦️', desc: 'Averses légères' },
-    81: { icon: '🌧️', desc: 'Averses modérées' },
-    82: { icon: '🌧️', desc: 'Averses violentes' },
-    85: { icon: '🌨️', desc: 'Averses de neige légères' },
-    86: { icon: '🌨️', desc: 'Averses de neige fortes' },
-    95: { icon: '⛈️',  desc: 'Orage' },
-    96: { icon: '⛈️',  desc: 'Orage avec grêle' },
-    99: { icon: '⛈️',  desc: 'Orage avec forte grêle' },
-};
-
-const DEFAULT_WEATHER = { icon: '🌡️', desc: 'Données non disponibles' };
-
-/* ===========================
-   Ski Conditions Rating
-   =========================== */
-const RATINGS = {
-    excellent: { label: '⭐ Excellentes', class: 'rating-excellent' },
-    good:      { label: '✅ Bonnes',       class: 'rating-good' },
-    fair:      { label: '⚠️ Passables',   class: 'rating-fair' },
-    poor:      { label: '❌ Mauvaises',    class: 'rating-poor' },
-};
-
-function computeRating(code, wind, snowCm) {
-    const isSnowing    = [71, 73, 75, 77, 85, 86].includes(code);
-    const isSunny      = [0, 1, 2].includes(code);
-    const isStorm      = [95, 96, 99].includes(code);
-    const isRain       = [51, 53, 55, 61, 63, 65, 80, 81, 82].includes(code);
-    const highWind     = wind > 60;
-    const goodSnowpack = snowCm >= 50;
-    const okSnowpack   = snowCm >= 20;
-
-    if (isStorm || isRain)         return RATINGS.poor;
-    if (highWind)                  return RATINGS.fair;
-    if (isSnowing && goodSnowpack) return RATINGS.excellent;
-    if (isSunny   && goodSnowpack) return RATINGS.excellent;
-    if (goodSnowpack)              return RATINGS.good;
-    if (okSnowpack)                return RATINGS.fair;
-    return RATINGS.poor;
-}
-
 /* ===========================
    Open-Meteo API
    =========================== */
-const API_BASE = 'https://api.open-meteo.com/v1/forecast';
 
 // Minimum snow depth (metres) used as denominator floor when scaling the hourly bar chart
 const MIN_SNOW_DEPTH_FOR_SCALING = 0.5;
@@ -90,100 +18,82 @@ const MIN_SNOW_DEPTH_FOR_SCALING = 0.5;
 // Auto-refresh interval in milliseconds (30 minutes, matching the footer text)
 const REFRESH_INTERVAL_MS = 30 * 60 * 1000;
 
-function buildDetailApiUrl(resort) {
-    const params = new URLSearchParams({
-        latitude:        resort.lat,
-        longitude:       resort.lon,
-        current_weather: 'true',
-        hourly:          'temperature_2m,snow_depth,snowfall,windspeed_10m,weathercode',
-        daily:           'weathercode,temperature_2m_max,temperature_2m_min,snowfall_sum,windspeed_10m_max',
-        timezone:        'Europe/Paris',
-        forecast_days:   '7',
-    });
-    return `${API_BASE}?${params.toString()}`;
-}
+// Query parameters for the detail page; fetchForecasts() in api.js adds the locations
+const DETAIL_FORECAST_PARAMS = {
+    current_weather: 'true',
+    hourly:          'temperature_2m,apparent_temperature,snow_depth,snowfall,windspeed_10m,windgusts_10m,winddirection_10m,rain,weathercode,freezing_level_height,visibility,cloudcover_low',
+    daily:           'weathercode,temperature_2m_max,temperature_2m_min,apparent_temperature_min,snowfall_sum,windspeed_10m_max,windgusts_10m_max',
+    forecast_days:   '7',
+    past_hours:      '72',  // hourly only: fresh snow for the rating, 72 h for the avalanche indicator
+    forecast_hours:  '168',
+};
 
+/**
+ * Fetch the forecast of every elevation band of a resort, falling back to the
+ * last cached copy when offline.
+ * @returns {Promise<{value: object, savedAt: number|null}>} value maps band id → API response
+ */
 async function fetchDetailWeather(resort) {
-    const url = buildDetailApiUrl(resort);
-    const response = await fetch(url);
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    return response.json();
-}
-
-/* ===========================
-   DOM helper (safe, no innerHTML for dynamic data)
-   =========================== */
-function el(tag, { cls = [], text = '', attrs = {} } = {}) {
-    const node = document.createElement(tag);
-    if (Array.isArray(cls)) cls.forEach(c => c && node.classList.add(c));
-    if (text) node.textContent = text;
-    Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, v));
-    return node;
-}
-
-/* ===========================
-   Shared helpers
-   =========================== */
-function shortDayFr(dateStr) {
-    const DAYS = ['Dim', 'Lun', 'Mar', 'Mer', 'Jeu', 'Ven', 'Sam'];
-    const d = new Date(`${dateStr}T12:00:00`);
-    return DAYS[d.getDay()];
-}
-
-function currentSnowDepthCm(hourly) {
-    if (!hourly || !hourly.time || !hourly.snow_depth) return null;
-    const now = new Date();
-    let bestIdx = 0, bestDiff = Infinity;
-    hourly.time.forEach((t, i) => {
-        const diff = Math.abs(new Date(t) - now);
-        if (diff < bestDiff) { bestDiff = diff; bestIdx = i; }
-    });
-    const depthM = hourly.snow_depth[bestIdx];
-    return depthM != null ? Math.round(depthM * 100) : null;
+    const fetched = await fetchForecasts([resort], ELEVATION_BANDS, DETAIL_FORECAST_PARAMS);
+    const [result] = applyOfflineCache('detail', [resort], fetched);
+    if (result.status === 'rejected') throw result.reason;
+    return result;
 }
 
 /* ===========================
    URL – resort lookup
    =========================== */
-function getResortFromUrl() {
+function getResortFromUrl(resorts) {
     const params = new URLSearchParams(window.location.search);
-    const name = params.get('resort');
-    return RESORTS.find(r => r.name === name) || null;
+    return findResort(resorts, params.get('resort'));
 }
 
 /* ===========================
    Rendering – current conditions
    =========================== */
-function renderCurrentConditions(resort, data) {
-    const cw      = data.current_weather;
-    const daily   = data.daily;
-    const hourly  = data.hourly;
-    const code    = cw.weathercode;
-    const weather = WMO_CODES[code] || DEFAULT_WEATHER;
-    const tempC   = Math.round(cw.temperature);
-    const windKmh = Math.round(cw.windspeed);
-    const snowCm  = currentSnowDepthCm(hourly);
-    const rating  = computeRating(code, windKmh, snowCm ?? 0);
+function renderCurrentConditions(resort, data, savedAt) {
+    const cw         = data.current_weather;
+    const daily      = data.daily;
+    const hourly     = data.hourly;
+    const code       = cw.weathercode;
+    const weather    = weatherInfo(code);
+    const tempC      = cw.temperature;
+    const windKmh    = cw.windspeed;
+    const snowCm     = currentSnowDepthCm(hourly);
+    const conditions = conditionsFromForecast(data);
+    const rating     = rateConditions(conditions);
 
     const section = el('section', {
         cls:   ['detail-current', rating.class],
-        attrs: { 'aria-label': 'Conditions actuelles' },
+        attrs: { 'aria-label': t('detail.current') },
     });
 
     // Resort header
     const hdr = el('div', { cls: ['detail-resort-header'] });
     hdr.appendChild(el('div', { cls: ['resort-name'], text: resort.name }));
     const meta = el('div', { cls: ['resort-meta'] });
-    meta.appendChild(el('span', { cls: ['resort-country'], text: resort.country }));
-    meta.appendChild(el('span', { cls: ['resort-altitude'], text: `${resort.altitude} m` }));
+    meta.appendChild(el('span', { cls: ['resort-country'], text: countryName(resort.country) }));
+    // Custom resorts have no region, piste length or website
+    if (resort.region) meta.appendChild(el('span', { cls: ['resort-country'], text: resort.region }));
+    if (resort.custom) meta.appendChild(el('span', { cls: ['resort-custom-tag'], text: t('custom.tag') }));
+    meta.appendChild(el('span', { cls: ['resort-altitude'], text: `${resort.altitude}–${resort.summitAltitude} m` }));
+    if (resort.pisteKm) meta.appendChild(el('span', { cls: ['resort-altitude'], text: t('detail.pisteKm', { km: resort.pisteKm }) }));
+    if (savedAt) meta.appendChild(buildStaleBadge(savedAt));
     hdr.appendChild(meta);
+    if (resort.url) {
+        hdr.appendChild(el('a', {
+            cls:   ['resort-site-link'],
+            text:  t('detail.officialSite'),
+            attrs: { href: resort.url, target: '_blank', rel: 'noopener noreferrer' },
+        }));
+    }
     section.appendChild(hdr);
 
     // Weather main
     const wMain = el('div', { cls: ['weather-main'] });
     wMain.appendChild(el('div', { cls: ['weather-icon'], text: weather.icon, attrs: { 'aria-hidden': 'true' } }));
     const wInfo = el('div');
-    wInfo.appendChild(el('div', { cls: ['weather-temp'], text: `${tempC}°C` }));
+    wInfo.appendChild(el('div', { cls: ['weather-temp'], text: formatTemp(tempC) }));
     wInfo.appendChild(el('div', { cls: ['weather-desc'], text: weather.desc }));
     wMain.appendChild(wInfo);
     section.appendChild(wMain);
@@ -192,38 +102,202 @@ function renderCurrentConditions(resort, data) {
     const statsGrid = el('div', { cls: ['card-stats'] });
 
     const snowStat = el('div', { cls: ['stat-item'] });
-    snowStat.appendChild(el('span', { cls: ['stat-label'], text: 'Enneigement' }));
-    snowStat.appendChild(el('span', { cls: ['stat-value', 'snow-value'], text: snowCm != null ? `${snowCm} cm` : '–' }));
+    snowStat.appendChild(el('span', { cls: ['stat-label'], text: t('stat.snowDepth') }));
+    snowStat.appendChild(el('span', { cls: ['stat-value', 'snow-value'], text: snowCm != null ? formatDepth(snowCm) : '–' }));
     statsGrid.appendChild(snowStat);
 
     const windStat = el('div', { cls: ['stat-item'] });
-    windStat.appendChild(el('span', { cls: ['stat-label'], text: 'Vent' }));
-    windStat.appendChild(el('span', { cls: ['stat-value', windKmh > 60 ? 'wind-high' : ''], text: `${windKmh} km/h` }));
+    windStat.appendChild(el('span', { cls: ['stat-label'], text: t('stat.wind') }));
+    windStat.appendChild(el('span', { cls: ['stat-value', isHighWind(windKmh) ? 'wind-high' : ''], text: formatWind(windKmh) }));
     statsGrid.appendChild(windStat);
 
     if (daily && daily.temperature_2m_min && daily.temperature_2m_max) {
-        const minTemp = Math.round(daily.temperature_2m_min[0]);
-        const maxTemp = Math.round(daily.temperature_2m_max[0]);
         const minMaxStat = el('div', { cls: ['stat-item'] });
-        minMaxStat.appendChild(el('span', { cls: ['stat-label'], text: 'Min / Max' }));
-        minMaxStat.appendChild(el('span', { cls: ['stat-value'], text: `${minTemp}° / ${maxTemp}°C` }));
+        minMaxStat.appendChild(el('span', { cls: ['stat-label'], text: t('stat.minMax') }));
+        minMaxStat.appendChild(el('span', {
+            cls:  ['stat-value'],
+            text: formatTempRange(daily.temperature_2m_min[0], daily.temperature_2m_max[0]),
+        }));
         statsGrid.appendChild(minMaxStat);
 
-        const snowfallCm = daily.snowfall_sum ? Math.round(daily.snowfall_sum[0]) : 0;
+        const snowfallCm = daily.snowfall_sum ? daily.snowfall_sum[0] ?? 0 : 0;
         const sfStat = el('div', { cls: ['stat-item'] });
-        sfStat.appendChild(el('span', { cls: ['stat-label'], text: 'Chutes prévues' }));
-        sfStat.appendChild(el('span', { cls: ['stat-value', 'snow-value'], text: `${snowfallCm} cm` }));
+        sfStat.appendChild(el('span', { cls: ['stat-label'], text: t('stat.snowfallToday') }));
+        sfStat.appendChild(el('span', { cls: ['stat-value', 'snow-value'], text: formatDepth(snowfallCm) }));
         statsGrid.appendChild(sfStat);
     }
 
+    comfortStats(conditions).forEach(({ label, text, cls }) => {
+        const stat = el('div', { cls: ['stat-item'] });
+        stat.appendChild(el('span', { cls: ['stat-label'], text: label }));
+        stat.appendChild(el('span', { cls: ['stat-value', ...cls], text }));
+        statsGrid.appendChild(stat);
+    });
+
     section.appendChild(statsGrid);
 
+    const whiteout = buildWhiteoutWarning(conditions);
+    if (whiteout) section.appendChild(whiteout);
+
     // Ski rating
     const ratingRow = el('div', { cls: ['ski-rating'] });
-    ratingRow.appendChild(el('span', { cls: ['ski-rating-label'], text: 'Conditions ski' }));
+    ratingRow.appendChild(el('span', { cls: ['ski-rating-label'], text: t('stat.skiConditions') }));
     ratingRow.appendChild(el('span', { cls: ['ski-rating-badge', rating.class], text: rating.label }));
     section.appendChild(ratingRow);
+    section.appendChild(buildRatingWhy(rating));
+
+    return section;
+}
+
+/* ===========================
+   Rendering – conditions per elevation band
+   =========================== */
+function renderElevationBands(resort, bands) {
+    const section = el('section', { attrs: { 'aria-label': t('detail.byBand') } });
+    section.appendChild(el('h2', { cls: ['detail-section-title'], text: t('detail.byBand') }));
+
+    const grid = el('div', { cls: ['band-columns'] });
+
+    resortBands(resort).forEach(band => {
+        const data = bands[band.id];
+        if (!data || !data.current_weather) return;
+        const cw         = data.current_weather;
+        const daily      = data.daily;
+        const weather    = weatherInfo(cw.weathercode);
+        const windKmh    = cw.windspeed;
+        const snowCm     = currentSnowDepthCm(data.hourly);
+        const conditions = conditionsFromForecast(data);
+        const rating     = rateConditions(conditions);
+
+        const col = el('div', { cls: ['band-column', rating.class] });
+        const hdr = el('div', { cls: ['band-column-header'] });
+        hdr.appendChild(el('span', { cls: ['band-column-name'], text: band.label }));
+        hdr.appendChild(el('span', { cls: ['resort-altitude'], text: `${band.elevation} m` }));
+        col.appendChild(hdr);
+
+        const wMain = el('div', { cls: ['band-column-weather'] });
+        wMain.appendChild(el('span', { cls: ['forecast-day-icon'], text: weather.icon, attrs: { 'aria-hidden': 'true' } }));
+        wMain.appendChild(el('span', { cls: ['band-column-temp'], text: formatTemp(cw.temperature) }));
+        col.appendChild(wMain);
+        col.appendChild(el('div', { cls: ['weather-desc'], text: weather.desc }));
+
+        const stats = el('div', { cls: ['extended-day-stats'] });
+        function addStat(label, text, extraCls = []) {
+            const item = el('div', { cls: ['extended-day-stat'] });
+            item.appendChild(el('span', { cls: ['stat-label'], text: label }));
+            item.appendChild(el('span', { cls: ['stat-value', ...extraCls], text }));
+            stats.appendChild(item);
+        }
+
+        addStat(t('stat.snowDepth'), snowCm != null ? formatDepth(snowCm) : '–', ['snow-value']);
+        addStat(t('stat.wind'), formatWind(windKmh), isHighWind(windKmh) ? ['wind-high'] : []);
+        if (daily && daily.temperature_2m_min && daily.temperature_2m_max) {
+            addStat(t('stat.minMax'), formatTempRange(daily.temperature_2m_min[0], daily.temperature_2m_max[0]));
+        }
+        if (daily && daily.snowfall_sum) {
+            const weekSnow = daily.snowfall_sum.reduce((sum, v) => sum + (v ?? 0), 0);
+            addStat(t('stat.snowfall7d'), formatDepth(weekSnow), ['snow-value']);
+        }
+        comfortStats(conditions).forEach(({ label, text, cls }) => addStat(label, text, cls));
+        col.appendChild(stats);
+
+        const whiteout = buildWhiteoutWarning(conditions);
+        if (whiteout) col.appendChild(whiteout);
+
+        col.appendChild(el('span', { cls: ['ski-rating-badge', 'band-rating', rating.class], text: rating.label }));
+        col.appendChild(buildRatingWhy(rating));
+        grid.appendChild(col);
+    });
+
+    section.appendChild(grid);
+    return section;
+}
+
+/* ===========================
+   Rendering – freezing level and snow line
+   =========================== */
+function renderSnowLine(resort, data) {
+    const daily = data.daily;
+    if (!daily || !daily.time || !data.hourly || !data.hourly.freezing_level_height) return null;
+
+    const section = el('section', { attrs: { 'aria-label': t('snowline.title') } });
+    section.appendChild(el('h2', { cls: ['detail-section-title'], text: t('snowline.title') }));
+
+    const now = buildSnowLineRow(resort, data);
+    if (now) section.appendChild(now);
+
+    const table = el('table', { cls: ['hourly-table', 'snowline-table'] });
+    const thead = el('thead');
+    const headerRow = el('tr');
+    [
+        t('snowline.day'),
+        t('snowline.freezingLevel'),
+        t('snowline.snowLine'),
+        t('snowline.baseToSummit', { base: resort.altitude, summit: resort.summitAltitude }),
+    ].forEach(h => {
+        headerRow.appendChild(el('th', { text: h, attrs: { scope: 'col' } }));
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = el('tbody');
+    daily.time.forEach((date, i) => {
+        const freezing = dayFreezingLevelM(data.hourly, date);
+        if (!freezing) return;
+        const snowLineM  = snowLineFromFreezingLevel(freezing.max);
+        const assessment = assessSnowLine(resort, snowLineM, isPrecipitationCode(daily.weathercode[i]));
 
+        const row = el('tr');
+        row.appendChild(el('td', { text: `${shortDay(date)} ${formatDayMonth(date)}` }));
+        row.appendChild(el('td', { text: `${freezing.min}–${freezing.max} m` }));
+        row.appendChild(el('td', { text: `≈ ${snowLineM} m` }));
+        const statusCell = el('td');
+        statusCell.appendChild(buildSnowLineChip(assessment));
+        row.appendChild(statusCell);
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    section.appendChild(table);
+    section.appendChild(el('p', {
+        cls:  ['snowline-note'],
+        text: t('snowline.note', { offset: SNOW_LINE_OFFSET_M }),
+    }));
+    return section;
+}
+
+/* ===========================
+   Rendering – indicative avalanche danger
+   =========================== */
+function renderAvalanche(resort, bands) {
+    // Computed at the summit band: fresh snow and wind loading matter most off-piste
+    const data = bands.summit || bands.base;
+    const assessment = assessAvalanche(data.hourly);
+    if (!assessment) return null;
+
+    const section = el('section', { cls: ['avalanche-panel'], attrs: { 'aria-label': t('avalanche.panelAria') } });
+    section.appendChild(el('h2', { cls: ['detail-section-title'], text: t('avalanche.panelTitle') }));
+
+    const scale = el('ol', { cls: ['avalanche-scale'], attrs: { 'aria-label': t('avalanche.scaleAria') } });
+    Object.entries(AVALANCHE_LEVELS).forEach(([level, info]) => {
+        const isCurrent = Number(level) === assessment.level;
+        const step = el('li', {
+            cls:  ['avalanche-step', info.class, isCurrent ? 'current' : ''],
+            text: `${level} ${t(`avalanche.level${level}`)}`,
+        });
+        if (isCurrent) step.setAttribute('aria-current', 'true');
+        scale.appendChild(step);
+    });
+    section.appendChild(scale);
+
+    section.appendChild(el('p', {
+        cls:  ['avalanche-summary'],
+        text: t('avalanche.summary', {
+            elevation: bandElevation(resort, 'summit'),
+            level:     assessment.level,
+            label:     assessment.label,
+        }),
+    }));
+    section.appendChild(buildAvalancheExplanation(assessment, resort));
     return section;
 }
 
@@ -234,29 +308,26 @@ function renderExtendedForecast(data, baseSnowCm) {
     const daily = data.daily;
     if (!daily || !daily.time) return null;
 
-    const section = el('section', { attrs: { 'aria-label': 'Prévisions 7 jours' } });
-    section.appendChild(el('h2', { cls: ['detail-section-title'], text: 'Prévisions 7 jours' }));
+    const section = el('section', { attrs: { 'aria-label': t('detail.forecast7') } });
+    section.appendChild(el('h2', { cls: ['detail-section-title'], text: t('detail.forecast7') }));
 
     const grid = el('div', { cls: ['extended-forecast'] });
     const days = Math.min(daily.time.length, 7);
 
     for (let i = 0; i < days; i++) {
         const code    = daily.weathercode[i];
-        const dayW    = WMO_CODES[code] || DEFAULT_WEATHER;
-        const dayMin  = daily.temperature_2m_min  ? Math.round(daily.temperature_2m_min[i])  : '–';
-        const dayMax  = daily.temperature_2m_max  ? Math.round(daily.temperature_2m_max[i])  : '–';
-        const daySnow = daily.snowfall_sum         ? Math.round(daily.snowfall_sum[i])         : 0;
-        const dayWind = daily.windspeed_10m_max    ? Math.round(daily.windspeed_10m_max[i])    : 0;
-        const dayRating = computeRating(code, dayWind, baseSnowCm ?? 0);
+        const dayW    = weatherInfo(code);
+        const hasTemp = daily.temperature_2m_min && daily.temperature_2m_max;
+        const daySnow = daily.snowfall_sum      ? daily.snowfall_sum[i] ?? 0      : 0;
+        const dayWind = daily.windspeed_10m_max ? daily.windspeed_10m_max[i] ?? 0 : 0;
+        const dayRating = rateConditions(conditionsFromDaily(data, i, baseSnowCm));
 
         const dayCard = el('div', { cls: ['extended-day', dayRating.class] });
 
         // Day name + short date
         const dayLabel = el('div', { cls: ['extended-day-name'] });
-        dayLabel.appendChild(el('span', { cls: ['extended-day-weekday'], text: shortDayFr(daily.time[i]) }));
-        const d = new Date(`${daily.time[i]}T12:00:00`);
-        const dateStr = `${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}`;
-        dayLabel.appendChild(el('span', { cls: ['extended-day-date'], text: dateStr }));
+        dayLabel.appendChild(el('span', { cls: ['extended-day-weekday'], text: shortDay(daily.time[i]) }));
+        dayLabel.appendChild(el('span', { cls: ['extended-day-date'], text: formatDayMonth(daily.time[i]) }));
         dayCard.appendChild(dayLabel);
 
         dayCard.appendChild(el('span', {
@@ -264,22 +335,26 @@ function renderExtendedForecast(data, baseSnowCm) {
             text:  dayW.icon,
             attrs: { 'aria-label': dayW.desc },
         }));
-        dayCard.appendChild(el('div', { cls: ['forecast-day-temp'], text: `${dayMin}° / ${dayMax}°` }));
+        dayCard.appendChild(el('div', {
+            cls:  ['forecast-day-temp'],
+            text: hasTemp ? formatTempRange(daily.temperature_2m_min[i], daily.temperature_2m_max[i]) : '–',
+        }));
 
         // Snow + wind stats
         const dayStats = el('div', { cls: ['extended-day-stats'] });
 
         const snowItem = el('div', { cls: ['extended-day-stat'] });
-        snowItem.appendChild(el('span', { cls: ['stat-label'], text: 'Chutes' }));
-        snowItem.appendChild(el('span', { cls: ['stat-value', 'snow-value'], text: `${daySnow} cm` }));
+        snowItem.appendChild(el('span', { cls: ['stat-label'], text: t('stat.snowfall') }));
+        snowItem.appendChild(el('span', { cls: ['stat-value', 'snow-value'], text: formatDepth(daySnow) }));
         dayStats.appendChild(snowItem);
 
         const windItem = el('div', { cls: ['extended-day-stat'] });
-        windItem.appendChild(el('span', { cls: ['stat-label'], text: 'Vent max' }));
-        windItem.appendChild(el('span', { cls: ['stat-value', dayWind > 60 ? 'wind-high' : ''], text: `${dayWind} km/h` }));
+        windItem.appendChild(el('span', { cls: ['stat-label'], text: t('stat.windMax') }));
+        windItem.appendChild(el('span', { cls: ['stat-value', isHighWind(dayWind) ? 'wind-high' : ''], text: formatWind(dayWind) }));
         dayStats.appendChild(windItem);
 
         dayCard.appendChild(dayStats);
+        dayCard.appendChild(buildRatingWhy(dayRating));
         grid.appendChild(dayCard);
     }
 
@@ -289,18 +364,17 @@ function renderExtendedForecast(data, baseSnowCm) {
 
 /* ===========================
    Rendering – 24 h hourly overview
+   Visually hidden by default: it is the text fallback of the charts, which
+   can reveal it
    =========================== */
+const HOURLY_TABLE_ID = 'hourlyTable';
+
 function renderHourlyOverview(data) {
     const hourly = data.hourly;
     if (!hourly || !hourly.time) return null;
 
-    // Find index closest to now
-    const now = new Date();
-    let startIdx = 0, bestDiff = Infinity;
-    hourly.time.forEach((t, i) => {
-        const diff = Math.abs(new Date(t) - now);
-        if (diff < bestDiff) { bestDiff = diff; startIdx = i; }
-    });
+    // Start at the hour closest to now (the series also holds the past 24 h)
+    const startIdx = closestHourIndex(hourly);
 
     const count = Math.min(24, hourly.time.length - startIdx);
     if (count <= 0) return null;
@@ -311,15 +385,15 @@ function renderHourlyOverview(data) {
         MIN_SNOW_DEPTH_FOR_SCALING // prevent division by zero
     );
 
-    const section = el('section', { attrs: { 'aria-label': 'Aperçu horaire sur 24 h' } });
-    section.appendChild(el('h2', { cls: ['detail-section-title'], text: 'Aperçu horaire – 24 h' }));
+    const section = el('section', { cls: ['sr-only'], attrs: { id: HOURLY_TABLE_ID, 'aria-label': t('hourly.aria') } });
+    section.appendChild(el('h2', { cls: ['detail-section-title'], text: t('hourly.title') }));
 
     const table = el('table', { cls: ['hourly-table'] });
 
     // thead
     const thead = el('thead');
     const headerRow = el('tr');
-    ['Heure', 'Météo', 'Temp.', 'Enneigement', 'Chutes'].forEach(h => {
+    [t('hourly.time'), t('hourly.weather'), t('hourly.temp'), t('stat.snowDepth'), t('stat.snowfall')].forEach(h => {
         headerRow.appendChild(el('th', { text: h, attrs: { scope: 'col' } }));
     });
     thead.appendChild(headerRow);
@@ -331,11 +405,11 @@ function renderHourlyOverview(data) {
         const idx         = startIdx + i;
         const timeStr     = hourly.time[idx].slice(11, 16); // HH:MM
         const code        = hourly.weathercode ? hourly.weathercode[idx] : undefined;
-        const w           = (code != null && WMO_CODES[code]) ? WMO_CODES[code] : DEFAULT_WEATHER;
-        const temp        = hourly.temperature_2m ? Math.round(hourly.temperature_2m[idx]) : null;
+        const w           = weatherInfo(code);
+        const temp        = hourly.temperature_2m ? hourly.temperature_2m[idx] : null;
         const snowDepthM  = hourly.snow_depth ? (hourly.snow_depth[idx] ?? 0) : 0;
         const snowDepthCm = Math.round(snowDepthM * 100);
-        const snowfallCm  = hourly.snowfall ? Math.round(hourly.snowfall[idx] ?? 0) : 0;
+        const snowfallCm  = hourly.snowfall ? hourly.snowfall[idx] ?? 0 : 0;
 
         const row = el('tr');
 
@@ -345,7 +419,7 @@ function renderHourlyOverview(data) {
         iconTd.appendChild(el('span', { cls: ['hourly-icon'], text: w.icon, attrs: { 'aria-label': w.desc } }));
         row.appendChild(iconTd);
 
-        row.appendChild(el('td', { cls: ['hourly-temp'], text: temp != null ? `${temp}°C` : '–' }));
+        row.appendChild(el('td', { cls: ['hourly-temp'], text: temp != null ? formatTemp(temp) : '–' }));
 
         // Snow depth with proportional CSS bar
         const snowDepthTd = el('td', { cls: ['hourly-snow-cell'] });
@@ -355,10 +429,10 @@ function renderHourlyOverview(data) {
         bar.setAttribute('style', `width:${pct}%`);
         barWrap.appendChild(bar);
         snowDepthTd.appendChild(barWrap);
-        snowDepthTd.appendChild(el('span', { cls: ['snow-bar-label'], text: `${snowDepthCm} cm` }));
+        snowDepthTd.appendChild(el('span', { cls: ['snow-bar-label'], text: formatDepth(snowDepthCm) }));
         row.appendChild(snowDepthTd);
 
-        row.appendChild(el('td', { cls: ['snow-value'], text: snowfallCm > 0 ? `❄ ${snowfallCm} cm` : '–' }));
+        row.appendChild(el('td', { cls: ['snow-value'], text: snowfallCm >= 0.05 ? `❄ ${formatDepth(snowfallCm, true)}` : '–' }));
 
         tbody.appendChild(row);
     }
@@ -370,19 +444,33 @@ function renderHourlyOverview(data) {
 /* ===========================
    Compose full detail page
    =========================== */
-function renderDetailPage(resort, data) {
+function renderDetailPage(resort, bands, savedAt = null) {
     const container = document.getElementById('resortDetail');
     if (!container) return;
     container.textContent = '';
 
-    const snowCm   = currentSnowDepthCm(data.hourly);
-    const current  = renderCurrentConditions(resort, data);
-    const forecast = renderExtendedForecast(data, snowCm ?? 0);
-    const hourly   = renderHourlyOverview(data);
-
-    if (current)  container.appendChild(current);
-    if (forecast) container.appendChild(forecast);
-    if (hourly)   container.appendChild(hourly);
+    // The headline sections describe the resort village; the band section adds the rest
+    const data      = bands.base;
+    const snowCm    = currentSnowDepthCm(data.hourly);
+    const current   = renderCurrentConditions(resort, data, savedAt);
+    const byBand    = renderElevationBands(resort, bands);
+    const snowLine  = renderSnowLine(resort, data);
+    const avalanche = renderAvalanche(resort, bands);
+    const forecast  = renderExtendedForecast(data, snowCm ?? 0);
+    const models    = renderModelComparison(resort);
+    const charts    = renderHourlyCharts(data, HOURLY_TABLE_ID);
+    const hourly    = renderHourlyOverview(data);
+    const season    = renderSeasonHistory(resort);
+
+    if (current)   container.appendChild(current);
+    if (byBand)    container.appendChild(byBand);
+    if (snowLine)  container.appendChild(snowLine);
+    if (avalanche) container.appendChild(avalanche);
+    if (forecast)  container.appendChild(forecast);
+    container.appendChild(models);
+    if (charts)    container.appendChild(charts);
+    if (hourly)    container.appendChild(hourly);
+    container.appendChild(season);
 }
 
 /* ===========================
@@ -400,46 +488,97 @@ function renderSkeleton() {
 }
 
 /* ===========================
-   Error banner / timestamp
+   Timestamp
    =========================== */
-function showError(message) {
-    const banner = document.getElementById('errorBanner');
-    if (!banner) return;
-    banner.textContent = message;
-    banner.classList.remove('hidden');
-}
+let lastUpdatedAt = null;
 
 function updateTimestamp() {
     const ts = document.getElementById('lastUpdated');
-    if (!ts) return;
-    const now = new Date();
-    ts.textContent = `Mise à jour : ${now.toLocaleDateString('fr-FR')} ${now.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' })}`;
+    if (!ts || !lastUpdatedAt) return;
+    ts.textContent = t('status.updated', { time: formatDateTime(lastUpdatedAt) });
 }
 
 /* ===========================
    Init
    =========================== */
+
+// Last successful load, kept so settings changes can re-render without refetching
+let currentResort  = null;
+let currentBands   = null;
+let currentSavedAt = null;
+
 async function init() {
-    const resort = getResortFromUrl();
+    let resorts;
+    try {
+        resorts = await loadResorts();
+    } catch (_err) {
+        showError(t('error.resortList'));
+        return;
+    }
+
+    const resort = getResortFromUrl(resorts);
     if (!resort) {
-        showError('Station inconnue. Veuillez retourner à la liste des stations.');
+        showError(t('error.unknownResort'));
         return;
     }
 
-    const subtitle = document.getElementById('resortSubtitle');
-    if (subtitle) subtitle.textContent = `${resort.name} – ${resort.country}`;
-    document.title = `${resort.name} – Météo des Neiges`;
+    currentResort = resort;
+    renderResortTitle();
 
     renderSkeleton();
 
     try {
-        const data = await fetchDetailWeather(resort);
-        renderDetailPage(resort, data);
-        updateTimestamp();
+        const { value: bands, savedAt } = await fetchDetailWeather(resort);
+        currentBands   = bands;
+        currentSavedAt = savedAt;
+        renderDetailPage(resort, bands, savedAt);
+        showDetailStatus();
+        if (!savedAt) {
+            lastUpdatedAt = new Date();
+            updateTimestamp();
+        }
         setTimeout(() => init(), REFRESH_INTERVAL_MS);
     } catch (_err) {
-        showError(`Impossible de charger les données pour ${resort.name}. Vérifiez votre connexion ou réessayez plus tard.`);
+        showError(t('error.resortForecast', { name: resort.name }));
+    }
+}
+
+/**
+ * Header subtitle and document title of the loaded resort.
+ */
+function renderResortTitle() {
+    const subtitle = document.getElementById('resortSubtitle');
+    if (subtitle) subtitle.textContent = `${currentResort.name} – ${countryName(currentResort.country)}`;
+    const favoriteSlot = document.getElementById('favoriteSlot');
+    if (favoriteSlot) {
+        favoriteSlot.textContent = '';
+        favoriteSlot.appendChild(buildFavoriteButton(currentResort));
     }
+    document.title = `${currentResort.name} – Météo des Neiges`;
+}
+
+function showDetailStatus() {
+    if (currentSavedAt) showError(t('error.offlineDetail'));
+    else hideError();
 }
 
-document.addEventListener('DOMContentLoaded', init);
+document.addEventListener('DOMContentLoaded', () => {
+    const rerender = () => {
+        if (currentBands) renderDetailPage(currentResort, currentBands, currentSavedAt);
+    };
+    initLanguageSelect(() => {
+        fillProfileSelect();
+        if (currentResort) renderResortTitle();
+        if (currentBands) showDetailStatus();
+        updateTimestamp();
+        rerender();
+    });
+    initProfileSelect(rerender);
+    initUnitSelects(rerender);
+    initExports(
+        () => (currentBands ? [{ resort: currentResort, data: currentBands.base }] : []),
+        () => currentResort.slug
+    );
+    registerServiceWorker();
+    init();
+});
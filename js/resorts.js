@@ -0,0 +1,310 @@
+/**
+ * Météo des Neiges – Resort catalogue
+ * Loads the shared resort list from data/resorts.json (used by both index.html
+ * and resort.html), validates every entry and resolves resorts by slug. The
+ * user's own resorts, kept locally, are appended to it.
+ */
+
+'use strict';
+
+/* ===========================
+   Catalogue definition
+   =========================== */
+const RESORTS_URL = 'data/resorts.json';
+
+// Catalogue values (French); the displayed names are the "country.<value>" messages
+const RESORT_COUNTRIES = ['France', 'Suisse', 'Autriche', 'Italie'];
+
+// Lower-case words separated by single dashes, e.g. 'val-disere'
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Highest lift-served point in the Alps is ~3,900 m; anything above is a typo
+const MAX_ALTITUDE_M = 4000;
+
+/**
+ * Display name of a catalogue country in the current language.
+ * @param {string} country  One of RESORT_COUNTRIES
+ */
+function countryName(country) {
+    return t(`country.${country}`);
+}
+
+/**
+ * Check that an IANA timezone name is known to the browser.
+ * @param {string} tz
+ * @returns {boolean}
+ */
+function isValidTimezone(tz) {
+    try {
+        new Intl.DateTimeFormat('en', { timeZone: tz });
+        return true;
+    } catch (_err) {
+        return false;
+    }
+}
+
+/**
+ * Validate one raw catalogue entry.
+ * @param {object} raw  Entry as parsed from resorts.json
+ * @returns {string[]} List of problems (empty when the entry is valid)
+ */
+function validateResort(raw) {
+    if (!raw || typeof raw !== 'object') return ['entrée invalide'];
+
+    const problems = [];
+    const isNum = v => typeof v === 'number' && Number.isFinite(v);
+
+    if (typeof raw.slug !== 'string' || !SLUG_PATTERN.test(raw.slug)) problems.push('slug');
+    if (typeof raw.name !== 'string' || !raw.name.trim())            problems.push('name');
+    if (!RESORT_COUNTRIES.includes(raw.country))                      problems.push('country');
+    if (typeof raw.region !== 'string' || !raw.region.trim())        problems.push('region');
+    if (!isNum(raw.lat) || raw.lat < -90 || raw.lat > 90)             problems.push('lat');
+    if (!isNum(raw.lon) || raw.lon < -180 || raw.lon > 180)           problems.push('lon');
+    if (!isNum(raw.altitude) || raw.altitude < 0 || raw.altitude > MAX_ALTITUDE_M) problems.push('altitude');
+    if (!isNum(raw.summitAltitude) || raw.summitAltitude < raw.altitude || raw.summitAltitude > MAX_ALTITUDE_M) {
+        problems.push('summitAltitude');
+    }
+    if (typeof raw.timezone !== 'string' || !isValidTimezone(raw.timezone)) problems.push('timezone');
+    if (!isNum(raw.pisteKm) || raw.pisteKm <= 0)                      problems.push('pisteKm');
+    if (typeof raw.url !== 'string' || !raw.url.startsWith('https://')) problems.push('url');
+
+    return problems;
+}
+
+/**
+ * Validate the whole catalogue. Invalid or duplicate entries are dropped with a
+ * console warning so one bad line does not take the whole app down.
+ * @param {*} list  Parsed resorts.json content
+ * @returns {object[]} Frozen, validated resort entries
+ */
+function validateCatalogue(list) {
+    if (!Array.isArray(list)) throw new Error('resorts.json doit contenir un tableau');
+
+    const seen = new Set();
+    const resorts = [];
+    list.forEach((raw, i) => {
+        const problems = validateResort(raw);
+        if (problems.length === 0 && seen.has(raw.slug)) problems.push('slug en double');
+        if (problems.length > 0) {
+            console.warn(`resorts.json[${i}] ignorée (${problems.join(', ')})`);
+            return;
+        }
+        seen.add(raw.slug);
+        resorts.push(Object.freeze({ ...raw }));
+    });
+
+    if (resorts.length === 0) throw new Error('Aucune station valide dans resorts.json');
+    return resorts;
+}
+
+/* ===========================
+   Custom resorts
+   Added by the user in the grid and stored locally with only the fields the
+   form asks for; the rest is derived. Slugs are fixed at creation so
+   favourites, alerts and links survive a rename.
+   =========================== */
+const CUSTOM_RESORTS_STORAGE_KEY = 'customResorts';
+
+const CUSTOM_SLUG_PREFIX = 'custom-';
+
+const CUSTOM_NAME_MAX_LENGTH = 60;
+
+// Forecast days are cut at local midnight; custom resorts use their country's zone
+const COUNTRY_TIMEZONES = {
+    France:   'Europe/Paris',
+    Suisse:   'Europe/Zurich',
+    Autriche: 'Europe/Vienna',
+    Italie:   'Europe/Rome',
+};
+
+/**
+ * Problems of a custom resort as typed in the form (or read back from storage).
+ * @param {object}   raw     {name, country, lat, lon, altitude, summitAltitude?}
+ * @param {object[]} [others]  Other resorts, whose names are taken
+ * @returns {string[]} Invalid field names (empty when valid)
+ */
+function validateCustomResort(raw, others = []) {
+    if (!raw || typeof raw !== 'object') return ['name'];
+
+    const problems = [];
+    const isNum = v => typeof v === 'number' && Number.isFinite(v);
+    const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+    const lowerName = name.toLocaleLowerCase();
+
+    if (!name || name.length > CUSTOM_NAME_MAX_LENGTH) problems.push('name');
+    else if (others.some(r => r.slug !== raw.slug && r.name.toLocaleLowerCase() === lowerName)) problems.push('nameTaken');
+    if (!RESORT_COUNTRIES.includes(raw.country))                  problems.push('country');
+    if (!isNum(raw.lat) || raw.lat < -90 || raw.lat > 90)         problems.push('lat');
+    if (!isNum(raw.lon) || raw.lon < -180 || raw.lon > 180)       problems.push('lon');
+    if (!isNum(raw.altitude) || raw.altitude < 0 || raw.altitude > MAX_ALTITUDE_M) problems.push('altitude');
+    if (raw.summitAltitude != null
+        && (!isNum(raw.summitAltitude) || raw.summitAltitude < raw.altitude || raw.summitAltitude > MAX_ALTITUDE_M)) {
+        problems.push('summitAltitude');
+    }
+    return problems;
+}
+
+/**
+ * Full resort entry of a stored custom resort.
+ */
+function customResortEntry(raw) {
+    return Object.freeze({
+        slug:           raw.slug,
+        name:           raw.name.trim(),
+        country:        raw.country,
+        region:         null,
+        lat:            raw.lat,
+        lon:            raw.lon,
+        altitude:       raw.altitude,
+        summitAltitude: raw.summitAltitude ?? raw.altitude,
+        timezone:       COUNTRY_TIMEZONES[raw.country],
+        pisteKm:        null,
+        url:            null,
+        custom:         true,
+    });
+}
+
+function readCustomResorts() {
+    const stored = readStored(CUSTOM_RESORTS_STORAGE_KEY, []);
+    return Array.isArray(stored)
+        ? stored.filter(raw => raw && typeof raw.slug === 'string' && validateCustomResort(raw).length === 0)
+        : [];
+}
+
+/**
+ * The user's resorts, in creation order.
+ * @returns {object[]} Frozen resort entries (`custom: true`)
+ */
+function getCustomResorts() {
+    return readCustomResorts().map(customResortEntry);
+}
+
+/**
+ * Unused slug for a new resort name, e.g. "La Clusaz" → "custom-la-clusaz".
+ * @param {string}   name
+ * @param {object[]} resorts  Every known resort
+ */
+function customSlug(name, resorts) {
+    const base = CUSTOM_SLUG_PREFIX + (name
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'station');
+    let slug = base;
+    for (let n = 2; resorts.some(r => r.slug === slug); n++) slug = `${base}-${n}`;
+    return slug;
+}
+
+/**
+ * Add a custom resort, or replace the one with the same slug.
+ * @param {object} raw  Validated form values, with `slug` when editing
+ * @param {object[]} resorts  Every known resort (for a new slug)
+ * @returns {object} The saved resort entry
+ */
+function saveCustomResort(raw, resorts) {
+    const stored = readCustomResorts();
+    const slug = raw.slug || customSlug(raw.name, resorts);
+    const record = {
+        slug,
+        name:           raw.name.trim(),
+        country:        raw.country,
+        lat:            raw.lat,
+        lon:            raw.lon,
+        altitude:       raw.altitude,
+        summitAltitude: raw.summitAltitude ?? null,
+    };
+    const index = stored.findIndex(r => r.slug === slug);
+    if (index >= 0) stored[index] = record;
+    else stored.push(record);
+    writeStored(CUSTOM_RESORTS_STORAGE_KEY, stored);
+    return customResortEntry(record);
+}
+
+function deleteCustomResort(slug) {
+    writeStored(CUSTOM_RESORTS_STORAGE_KEY, readCustomResorts().filter(r => r.slug !== slug));
+}
+
+/* ===========================
+   Loading & lookup
+   =========================== */
+let cataloguePromise = null;
+
+/**
+ * Load and validate the catalogue once per page; the custom resorts are read
+ * again on every call.
+ * @returns {Promise<object[]>}
+ */
+function loadResorts() {
+    return loadCatalogue().then(catalogue => {
+        const slugs = new Set(catalogue.map(r => r.slug));
+        return [...catalogue, ...getCustomResorts().filter(r => !slugs.has(r.slug))];
+    });
+}
+
+function loadCatalogue() {
+    if (!cataloguePromise) {
+        cataloguePromise = fetch(RESORTS_URL)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status} – ${RESORTS_URL}`);
+                return response.json();
+            })
+            .then(validateCatalogue)
+            .catch(err => {
+                cataloguePromise = null; // allow a retry on the next refresh
+                throw err;
+            });
+    }
+    return cataloguePromise;
+}
+
+/**
+ * Find a resort by slug. Display names are still accepted so that links
+ * shared before slugs existed (`?resort=Verbier`) keep working.
+ * @param {object[]} resorts
+ * @param {string|null} key
+ * @returns {object|null}
+ */
+function findResort(resorts, key) {
+    if (!key) return null;
+    return resorts.find(r => r.slug === key)
+        || resorts.find(r => r.name === key)
+        || null;
+}
+
+/**
+ * Relative URL of the detail page for a resort.
+ * @param {object} resort
+ * @returns {string}
+ */
+function resortDetailUrl(resort) {
+    return `resort.html?resort=${encodeURIComponent(resort.slug)}`;
+}
+
+/* ===========================
+   Elevation bands
+   =========================== */
+
+// Forecast points per resort, sent to Open-Meteo through its `elevation` parameter
+// so the model is downscaled to the altitude skiers actually care about.
+// Band names are the "band.<id>" messages.
+const ELEVATION_BANDS = ['base', 'mid', 'summit'];
+
+/**
+ * Altitude in metres of one elevation band of a resort.
+ * @param {object} resort
+ * @param {string} bandId  One of ELEVATION_BANDS
+ * @returns {number}
+ */
+function bandElevation(resort, bandId) {
+    if (bandId === 'summit') return resort.summitAltitude;
+    if (bandId === 'mid')    return Math.round((resort.altitude + resort.summitAltitude) / 2);
+    return resort.altitude;
+}
+
+/**
+ * Describe the requested elevation bands of a resort.
+ * @param {object}   resort
+ * @param {string[]} [ids]  Band ids, defaults to every band
+ * @returns {{id: string, label: string, elevation: number}[]}
+ */
+function resortBands(resort, ids = ELEVATION_BANDS) {
+    return ids.map(id => ({ id, label: t(`band.${id}`), elevation: bandElevation(resort, id) }));
+}
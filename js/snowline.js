@@ -0,0 +1,73 @@
+/**
+ * Météo des Neiges – Freezing level and snow line
+ * Places the estimated rain/snow line (0 °C isotherm minus SNOW_LINE_OFFSET_M)
+ * against the resort's base and summit, so "pluie jusqu'à 1 800 m" is obvious
+ * even when the snow depth still looks good.
+ */
+
+'use strict';
+
+// Wording when something falls: the "snowline.wet.<key>" messages
+const SNOW_LINE_STATES = {
+    snow:  { class: 'snowline-snow' },
+    mixed: { class: 'snowline-mixed' },
+    rain:  { class: 'snowline-rain' },
+};
+
+/**
+ * Where the snow line sits relative to the resort.
+ * @param {object} resort
+ * @param {number|null} snowLineM
+ * @param {boolean} precipitating  Wording says "pluie" only when something falls
+ * @returns {{key: string, class: string, text: string, title: string}|null}
+ */
+function assessSnowLine(resort, snowLineM, precipitating) {
+    if (snowLineM == null) return null;
+    let key = 'mixed';
+    if (snowLineM <= resort.altitude) key = 'snow';
+    else if (snowLineM >= resort.summitAltitude) key = 'rain';
+
+    const state = SNOW_LINE_STATES[key];
+    let text = `≈ ${snowLineM} m`;
+    if (precipitating) text = t(`snowline.wet.${key}`, { altitude: snowLineM });
+
+    const where = t(`snowline.where.${key}`, { base: resort.altitude, summit: resort.summitAltitude });
+    return { key, class: state.class, text, title: t('snowline.chipTitle', { altitude: snowLineM, where }) };
+}
+
+/**
+ * Whether a weather code means precipitation (rain, snow or storm).
+ */
+function isPrecipitationCode(code) {
+    return RAIN_CODES.includes(code) || SNOW_CODES.includes(code) || STORM_CODES.includes(code);
+}
+
+/**
+ * Chip showing the snow line and its position, e.g. "Pluie jusqu'à 1800 m".
+ */
+function buildSnowLineChip(assessment) {
+    return el('span', {
+        cls:   ['snowline-chip', assessment.class],
+        text:  assessment.text,
+        attrs: { title: assessment.title },
+    });
+}
+
+/**
+ * Card row: current freezing level and snow line against base and summit.
+ * @param {object} resort
+ * @param {object} data  Base-band API response (the freezing level does not depend on the band)
+ * @returns {HTMLElement|null}
+ */
+function buildSnowLineRow(resort, data) {
+    const freezingM = currentFreezingLevelM(data.hourly);
+    const snowLineM = snowLineFromFreezingLevel(freezingM);
+    const precipitating = data.current_weather ? isPrecipitationCode(data.current_weather.weathercode) : false;
+    const assessment = assessSnowLine(resort, snowLineM, precipitating);
+    if (!assessment) return null;
+
+    const row = el('div', { cls: ['snowline-row'] });
+    row.appendChild(el('span', { cls: ['ski-rating-label'], text: t('snowline.freezingAt', { altitude: freezingM }) }));
+    row.appendChild(buildSnowLineChip(assessment));
+    return row;
+}
@@ -0,0 +1,69 @@
+/**
+ * Météo des Neiges – Local persistence
+ * Thin JSON wrapper around localStorage. Private browsing, disabled storage
+ * or a full quota must never break rendering, so every call swallows errors.
+ */
+
+'use strict';
+
+// Namespace so our keys never collide with other apps on the same origin
+const STORAGE_PREFIX = 'mdn:';
+
+/**
+ * Read a JSON value.
+ * @param {string} key
+ * @param {*} fallback  Returned when the key is missing or unreadable
+ * @returns {*}
+ */
+function readStored(key, fallback) {
+    try {
+        const raw = localStorage.getItem(STORAGE_PREFIX + key);
+        return raw == null ? fallback : JSON.parse(raw);
+    } catch (_err) {
+        return fallback;
+    }
+}
+
+/**
+ * Write a JSON value.
+ * @param {string} key
+ * @param {*} value
+ * @returns {boolean} false when the browser refused the write
+ */
+function writeStored(key, value) {
+    try {
+        localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+        return true;
+    } catch (_err) {
+        return false;
+    }
+}
+
+/**
+ * Remove a stored value.
+ * @param {string} key
+ */
+function removeStored(key) {
+    try {
+        localStorage.removeItem(STORAGE_PREFIX + key);
+    } catch (_err) {
+        // Storage unavailable – nothing to remove
+    }
+}
+
+/**
+ * Remove every stored value whose key starts with `prefix`.
+ * @param {string} prefix
+ */
+function removeStoredPrefix(prefix) {
+    try {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith(STORAGE_PREFIX + prefix)) keys.push(key);
+        }
+        keys.forEach(key => localStorage.removeItem(key));
+    } catch (_err) {
+        // Storage unavailable – nothing to remove
+    }
+}
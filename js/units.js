@@ -0,0 +1,175 @@
+/**
+ * Météo des Neiges – Display units
+ * Every value is kept metric internally (the API, the rating thresholds, the
+ * alert rules); these helpers convert and format it in the user's persisted
+ * choice of °C/°F, cm/in and km/h / mph / m/s at render time only.
+ */
+
+'use strict';
+
+const UNITS_STORAGE_KEY = 'units';
+
+const UNIT_OPTIONS = {
+    temp:  { C: '°C', F: '°F' },
+    depth: { cm: 'cm', in: 'in' },
+    wind:  { kmh: 'km/h', mph: 'mph', ms: 'm/s' },
+};
+
+const DEFAULT_UNITS = { temp: 'C', depth: 'cm', wind: 'kmh' };
+
+const CM_PER_INCH = 2.54;
+const KMH_PER_MPH = 1.609344;
+const KMH_PER_MS  = 3.6;
+
+/**
+ * Current unit choice, with unknown stored values replaced by the defaults.
+ * @returns {{temp: string, depth: string, wind: string}}
+ */
+function getUnits() {
+    const stored = readStored(UNITS_STORAGE_KEY, {}) || {};
+    const units = { ...DEFAULT_UNITS };
+    Object.keys(UNIT_OPTIONS).forEach(kind => {
+        if (stored[kind] in UNIT_OPTIONS[kind]) units[kind] = stored[kind];
+    });
+    return units;
+}
+
+function setUnit(kind, value) {
+    if (!UNIT_OPTIONS[kind] || !(value in UNIT_OPTIONS[kind])) return;
+    writeStored(UNITS_STORAGE_KEY, { ...getUnits(), [kind]: value });
+}
+
+/**
+ * Symbol of the current unit of a kind, e.g. "°F", "in", "m/s".
+ */
+function unitLabel(kind) {
+    return UNIT_OPTIONS[kind][getUnits()[kind]];
+}
+
+/* ===========================
+   Conversion (metric → display and back)
+   =========================== */
+function convertTemp(c) {
+    return getUnits().temp === 'F' ? (c * 9) / 5 + 32 : c;
+}
+
+function convertDepth(cm) {
+    return getUnits().depth === 'in' ? cm / CM_PER_INCH : cm;
+}
+
+function convertWind(kmh) {
+    const unit = getUnits().wind;
+    if (unit === 'mph') return kmh / KMH_PER_MPH;
+    if (unit === 'ms')  return kmh / KMH_PER_MS;
+    return kmh;
+}
+
+/**
+ * Convert a value typed in the display unit back to metric (°C, cm, km/h).
+ * @param {'temp'|'depth'|'wind'} kind
+ * @param {number} value
+ */
+function toMetric(kind, value) {
+    const unit = getUnits()[kind];
+    if (kind === 'temp')  return unit === 'F' ? ((value - 32) * 5) / 9 : value;
+    if (kind === 'depth') return unit === 'in' ? value * CM_PER_INCH : value;
+    if (unit === 'mph') return value * KMH_PER_MPH;
+    if (unit === 'ms')  return value * KMH_PER_MS;
+    return value;
+}
+
+/* ===========================
+   Formatting
+   =========================== */
+
+// Numbers go through formatNumber() (js/i18n.js) for the locale's separators
+
+/**
+ * "-3°C" / "27°F"
+ */
+function formatTemp(c) {
+    return `${formatNumber(convertTemp(c))}${unitLabel('temp')}`;
+}
+
+/**
+ * "-6° / 2°C" – daily low / high
+ */
+function formatTempRange(minC, maxC) {
+    return `${formatNumber(convertTemp(minC))}° / ${formatNumber(convertTemp(maxC))}${unitLabel('temp')}`;
+}
+
+/**
+ * "2 °C" / "3,6 °F" – a temperature difference, so no 32° offset.
+ * Fahrenheit, or `precise`, keeps a decimal.
+ */
+function formatTempDifference(c, precise = false) {
+    const fahrenheit = getUnits().temp === 'F';
+    return `${formatNumber(fahrenheit ? (c * 9) / 5 : c, fahrenheit || precise ? 1 : 0)} ${unitLabel('temp')}`;
+}
+
+/**
+ * "45 cm" / "17,7 in". Inches keep a decimal below 10, so do hourly amounts
+ * when `precise` is set.
+ * @param {number}  cm
+ * @param {boolean} [precise]
+ */
+function formatDepth(cm, precise = false) {
+    const value = convertDepth(cm);
+    const decimals = precise || (getUnits().depth === 'in' && Math.abs(value) < 10) ? 1 : 0;
+    return `${formatNumber(value, decimals)} ${unitLabel('depth')}`;
+}
+
+/**
+ * "65 km/h" / "40 mph" / "18 m/s"
+ */
+function formatWind(kmh) {
+    return `${formatNumber(convertWind(kmh))} ${unitLabel('wind')}`;
+}
+
+/**
+ * "800 m" / "12 km" / "0,5 mi" – visibility; metres below 1 km, and miles go
+ * with wind speeds in mph like distances.
+ */
+function formatVisibility(m) {
+    if (getUnits().wind === 'mph') {
+        const mi = m / 1000 / KMH_PER_MPH;
+        return `${formatNumber(mi, mi < 10 ? 1 : 0)} mi`;
+    }
+    if (m < 1000) return `${formatNumber(Math.round(m / 50) * 50)} m`;
+    return `${formatNumber(m / 1000, m < 10000 ? 1 : 0)} km`;
+}
+
+/**
+ * "87 km" / "54 mi" – miles go with wind speeds in mph.
+ */
+function formatDistance(km) {
+    if (getUnits().wind === 'mph') return `${formatNumber(km / KMH_PER_MPH)} mi`;
+    return `${formatNumber(km)} km`;
+}
+
+/* ===========================
+   Settings UI
+   =========================== */
+
+/**
+ * Fill the unit <select>s (#unitTemp, #unitDepth, #unitWind) and call
+ * `onChange` after the user picks another unit.
+ * @param {Function} onChange
+ */
+function initUnitSelects(onChange) {
+    const ids = { temp: 'unitTemp', depth: 'unitDepth', wind: 'unitWind' };
+    const units = getUnits();
+    Object.entries(ids).forEach(([kind, id]) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        select.textContent = '';
+        Object.entries(UNIT_OPTIONS[kind]).forEach(([value, label]) => {
+            select.appendChild(el('option', { text: label, attrs: { value } }));
+        });
+        select.value = units[kind];
+        select.addEventListener('change', () => {
+            setUnit(kind, select.value);
+            onChange();
+        });
+    });
+}
@@ -0,0 +1,93 @@
+/**
+ * Météo des Neiges – Service worker
+ * Keeps the static app shell available offline. Forecast data is NOT cached
+ * here: the pages keep their own last-known forecasts in localStorage so they
+ * can show how old the data is (see js/offline.js).
+ */
+
+'use strict';
+
+// Bump when the list below or any shell file changes so clients pick it up
+const CACHE_VERSION = 'mdn-shell-v38';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'resort.html',
+    'reliability.html',
+    'manifest.webmanifest',
+    'css/style.css',
+    'data/resorts.json',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'js/common.js',
+    'js/storage.js',
+    'js/messages.js',
+    'js/i18n.js',
+    'js/units.js',
+    'js/resorts.js',
+    'js/favorites.js',
+    'js/home.js',
+    'js/api.js',
+    'js/rating.js',
+    'js/snowline.js',
+    'js/avalanche.js',
+    'js/models.js',
+    'js/accuracy.js',
+    'js/history.js',
+    'js/charts.js',
+    'js/offline.js',
+    'js/exports.js',
+    'js/alerts.js',
+    'js/planner.js',
+    'js/custom.js',
+    'js/app.js',
+    'js/resort.js',
+    'js/reliability.js',
+];
+
+// Third-party assets worth keeping offline (Leaflet for the map)
+const CACHEABLE_ORIGINS = ['https://unpkg.com'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_VERSION)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(k => k !== CACHE_VERSION).map(k => caches.delete(k))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Stale-while-revalidate: answer from the cache right away when possible and
+ * refresh the cached copy in the background.
+ */
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+    if (!sameOrigin && !CACHEABLE_ORIGINS.includes(url.origin)) return; // API calls, map tiles
+
+    event.respondWith(
+        caches.open(CACHE_VERSION).then(async cache => {
+            // resort.html?resort=… must match the cached resort.html
+            const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+            const network = fetch(request)
+                .then(response => {
+                    if (response.ok) cache.put(request, response.clone());
+                    return response;
+                })
+                .catch(() => cached || Response.error());
+            return cached || network;
+        })
+    );
+});